@@ -0,0 +1,136 @@
+// src/core/Viewport.js
+
+/**
+ * Viewport：视口变换（平移 + 缩放）
+ *
+ * 笔画始终以世界坐标保存，视口只决定世界坐标如何映射到屏幕（CSS 像素）：
+ * screen = world * zoom + (x, y)
+ */
+export class Viewport {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.x=0] - 世界原点在屏幕上的横坐标
+   * @param {number} [options.y=0] - 世界原点在屏幕上的纵坐标
+   * @param {number} [options.zoom=1] - 缩放比例
+   * @param {number} [options.minZoom=0.1] - 最小缩放比例
+   * @param {number} [options.maxZoom=8] - 最大缩放比例
+   */
+  constructor(options = {}) {
+    this.minZoom = options.minZoom ?? 0.1
+    this.maxZoom = options.maxZoom ?? 8
+    this.x = options.x ?? 0
+    this.y = options.y ?? 0
+    this.zoom = this._clampZoom(options.zoom ?? 1)
+  }
+
+  /**
+   * 世界坐标到屏幕坐标的变换矩阵
+   * @returns {{a: number, b: number, c: number, d: number, e: number, f: number}}
+   */
+  getMatrix() {
+    return { a: this.zoom, b: 0, c: 0, d: this.zoom, e: this.x, f: this.y }
+  }
+
+  /**
+   * 屏幕坐标（CSS 像素）转换为世界坐标
+   * @param {{x: number, y: number}} point
+   * @returns {{x: number, y: number}}
+   */
+  screenToWorld(point) {
+    return {
+      x: (point.x - this.x) / this.zoom,
+      y: (point.y - this.y) / this.zoom
+    }
+  }
+
+  /**
+   * 世界坐标转换为屏幕坐标（CSS 像素）
+   * @param {{x: number, y: number}} point
+   * @returns {{x: number, y: number}}
+   */
+  worldToScreen(point) {
+    return {
+      x: point.x * this.zoom + this.x,
+      y: point.y * this.zoom + this.y
+    }
+  }
+
+  /**
+   * 按屏幕像素平移
+   * @param {number} dx
+   * @param {number} dy
+   */
+  panBy(dx, dy) {
+    this.x += dx
+    this.y += dy
+  }
+
+  /**
+   * 以屏幕上的某一点为中心缩放，该点下方的世界坐标保持不动
+   * @param {number} factor - 缩放倍数，大于 1 放大
+   * @param {{x: number, y: number}} center - 缩放中心（屏幕坐标）
+   */
+  zoomAt(factor, center) {
+    const world = this.screenToWorld(center)
+    this.zoom = this._clampZoom(this.zoom * factor)
+    this.x = center.x - world.x * this.zoom
+    this.y = center.y - world.y * this.zoom
+  }
+
+  /**
+   * 设置视口状态，未提供的字段保持不变
+   * @param {{x?: number, y?: number, zoom?: number}} state
+   */
+  set({ x, y, zoom } = {}) {
+    if (x !== undefined) this.x = x
+    if (y !== undefined) this.y = y
+    if (zoom !== undefined) this.zoom = this._clampZoom(zoom)
+  }
+
+  /**
+   * 读取视口状态
+   * @returns {{x: number, y: number, zoom: number}}
+   */
+  get() {
+    return { x: this.x, y: this.y, zoom: this.zoom }
+  }
+
+  /**
+   * 当前屏幕可见区域对应的世界坐标矩形
+   * @param {{width: number, height: number}} size - 屏幕尺寸（CSS 像素）
+   * @returns {{x: number, y: number, width: number, height: number}}
+   */
+  getVisibleRect(size) {
+    const topLeft = this.screenToWorld({ x: 0, y: 0 })
+    return {
+      x: topLeft.x,
+      y: topLeft.y,
+      width: size.width / this.zoom,
+      height: size.height / this.zoom
+    }
+  }
+
+  /**
+   * 调整视口使世界坐标矩形完整显示在屏幕中央
+   * @param {{x: number, y: number, width: number, height: number}} rect - 世界坐标矩形
+   * @param {{width: number, height: number}} size - 屏幕尺寸（CSS 像素）
+   * @param {number} [padding=20] - 四周留白（屏幕像素）
+   */
+  fitRect(rect, size, padding = 20) {
+    const availableWidth = Math.max(1, size.width - padding * 2)
+    const availableHeight = Math.max(1, size.height - padding * 2)
+    const zoom = this._clampZoom(
+      Math.min(
+        availableWidth / Math.max(rect.width, 1e-6),
+        availableHeight / Math.max(rect.height, 1e-6)
+      )
+    )
+    this.zoom = zoom
+    this.x = size.width / 2 - (rect.x + rect.width / 2) * zoom
+    this.y = size.height / 2 - (rect.y + rect.height / 2) * zoom
+  }
+
+  _clampZoom(zoom) {
+    return Math.max(this.minZoom, Math.min(this.maxZoom, zoom))
+  }
+}
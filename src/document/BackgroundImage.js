@@ -0,0 +1,245 @@
+// src/document/BackgroundImage.js
+
+import { createCanvas, canvasToBlob } from "../utils/canvas.js"
+
+/**
+ * 背景图片的摆放方式
+ * - fit: 完整显示在页面内，保持比例并居中，可能留白
+ * - fill: 铺满页面，保持比例并居中，超出页面的部分被裁掉
+ * - original: 按原始像素尺寸放在页面左上角
+ */
+export const BACKGROUND_MODES = ["fit", "fill", "original"]
+
+/**
+ * 计算图片在页面中的位置和使用的图片区域
+ *
+ * @param {{width: number, height: number}} size - 图片像素尺寸
+ * @param {{x: number, y: number, width: number, height: number}} page - 页面范围（世界坐标）
+ * @param {"fit"|"fill"|"original"} mode - 摆放方式
+ * @returns {{crop: {x: number, y: number, width: number, height: number}, rect: {x: number, y: number, width: number, height: number}}}
+ *   crop 为使用的图片区域（图片像素），rect 为该区域在世界坐标中的位置
+ * @throws {Error} 未知的摆放方式
+ */
+export function placeBackground(size, page, mode) {
+  const full = { x: 0, y: 0, width: size.width, height: size.height }
+  switch (mode) {
+    case "original":
+      return {
+        crop: full,
+        rect: { x: page.x, y: page.y, width: size.width, height: size.height }
+      }
+    case "fit": {
+      const scale = Math.min(page.width / size.width, page.height / size.height)
+      const width = size.width * scale
+      const height = size.height * scale
+      return {
+        crop: full,
+        rect: {
+          x: page.x + (page.width - width) / 2,
+          y: page.y + (page.height - height) / 2,
+          width,
+          height
+        }
+      }
+    }
+    case "fill": {
+      // 只取图片中与页面比例相同的居中区域，导出和保存时不会超出页面
+      const scale = Math.max(page.width / size.width, page.height / size.height)
+      const width = page.width / scale
+      const height = page.height / scale
+      return {
+        crop: {
+          x: (size.width - width) / 2,
+          y: (size.height - height) / 2,
+          width,
+          height
+        },
+        rect: { ...page }
+      }
+    }
+    default:
+      throw new Error(`未知的背景摆放方式: ${mode}`)
+  }
+}
+
+/**
+ * BackgroundImage 类：位于所有图层之下的锁定背景图片
+ *
+ * 背景不属于任何图层，不会被选择、擦除或撤销，
+ * 以 data URL 形式随文档保存，导出 PNG / SVG 时绘制在墨迹之下。
+ * 图片解码是异步的，解码完成前 draw() 不绘制任何内容。
+ */
+export class BackgroundImage {
+  /**
+   * @param {Object} data
+   * @param {string} data.src - 图片的 data URL
+   * @param {number} data.width - 图片像素宽度
+   * @param {number} data.height - 图片像素高度
+   * @param {"fit"|"fill"|"original"} [data.mode="fit"] - 摆放方式
+   * @param {{x: number, y: number, width: number, height: number}} data.crop - 使用的图片区域（图片像素）
+   * @param {{x: number, y: number, width: number, height: number}} data.rect - 在世界坐标中的位置
+   * @param {CanvasImageSource} [image] - 已解码的图片
+   */
+  constructor({ src, width, height, mode = "fit", crop, rect }, image = null) {
+    this.src = src
+    this.width = width
+    this.height = height
+    this.mode = mode
+    this.crop = { ...crop }
+    this.rect = { ...rect }
+    this.image = image
+    this._decoding = null
+  }
+
+  /**
+   * 按摆放方式重新计算位置
+   * @param {"fit"|"fill"|"original"} mode
+   * @param {{x: number, y: number, width: number, height: number}} page - 页面范围（世界坐标）
+   */
+  place(mode, page) {
+    const { crop, rect } = placeBackground(this, page, mode)
+    this.mode = mode
+    this.crop = crop
+    this.rect = rect
+  }
+
+  /**
+   * 解码图片（只解码一次）
+   * @returns {Promise<CanvasImageSource>}
+   */
+  decode() {
+    if (this.image) return Promise.resolve(this.image)
+    if (!this._decoding) {
+      this._decoding = decodeImage(this.src).then(
+        (image) => (this.image = image),
+        (error) => {
+          this._decoding = null
+          throw error
+        }
+      )
+    }
+    return this._decoding
+  }
+
+  /**
+   * 绘制到渲染目标（世界坐标），尚未解码时不绘制
+   * @param {CanvasRenderingContext2D} ctx
+   */
+  draw(ctx) {
+    if (!this.image) return
+    const { crop, rect } = this
+    ctx.drawImage(
+      this.image,
+      crop.x,
+      crop.y,
+      crop.width,
+      crop.height,
+      rect.x,
+      rect.y,
+      rect.width,
+      rect.height
+    )
+  }
+
+  /**
+   * @returns {{x: number, y: number, width: number, height: number}} 在世界坐标中的范围
+   */
+  getBounds() {
+    return { ...this.rect }
+  }
+
+  /**
+   * 序列化为纯 JSON 对象
+   * @returns {Object}
+   */
+  toJSON() {
+    return {
+      src: this.src,
+      width: this.width,
+      height: this.height,
+      mode: this.mode,
+      crop: { ...this.crop },
+      rect: { ...this.rect }
+    }
+  }
+
+  /**
+   * 从 JSON 对象还原背景（未解码，需调用 decode()）
+   * @param {Object} data - 由 toJSON() 生成的对象
+   * @returns {BackgroundImage}
+   * @throws {Error} 缺少图片数据或尺寸时抛出
+   */
+  static fromJSON(data) {
+    if (typeof data?.src !== "string" || !(data.width > 0 && data.height > 0)) {
+      throw new Error("无效的背景图片数据：缺少图片或尺寸")
+    }
+    const full = { x: 0, y: 0, width: data.width, height: data.height }
+    return new BackgroundImage({
+      src: data.src,
+      width: data.width,
+      height: data.height,
+      mode: BACKGROUND_MODES.includes(data.mode) ? data.mode : "fit",
+      crop: data.crop ?? full,
+      rect: data.rect ?? full
+    })
+  }
+
+  /**
+   * 读取并解码图片，按摆放方式放入页面
+   *
+   * @param {Blob|ImageBitmap|string} source - 图片文件 / Blob、已解码的 ImageBitmap，或图片 URL
+   * @param {{x: number, y: number, width: number, height: number}} page - 页面范围（世界坐标）
+   * @param {"fit"|"fill"|"original"} [mode="fit"] - 摆放方式
+   * @returns {Promise<BackgroundImage>}
+   * @throws {Error} 图片无法读取或解码时 reject
+   */
+  static async load(source, page, mode = "fit") {
+    let blob
+    let image = null
+    if (typeof source === "string") {
+      const response = await fetch(source)
+      if (!response.ok) {
+        throw new Error(`无法加载背景图片 ${source}：${response.status}`)
+      }
+      blob = await response.blob()
+    } else if (typeof Blob !== "undefined" && source instanceof Blob) {
+      blob = source
+    } else if (source && source.width > 0 && source.height > 0) {
+      // ImageBitmap 等已解码的图片：绘制到画布后编码为 PNG 以便保存
+      image = source
+      const canvas = createCanvas(source.width, source.height)
+      canvas.getContext("2d").drawImage(source, 0, 0)
+      blob = await canvasToBlob(canvas, "image/png")
+    } else {
+      throw new Error("无效的背景图片：需要 Blob、ImageBitmap 或 URL")
+    }
+
+    const src = await blobToDataURL(blob)
+    image = image ?? (await decodeImage(src, blob))
+    const size = { width: image.width, height: image.height }
+    return new BackgroundImage(
+      { src, ...size, mode, ...placeBackground(size, page, mode) },
+      image
+    )
+  }
+}
+
+// 优先使用 createImageBitmap 解码，没有时退回 <img>
+async function decodeImage(src, blob) {
+  if (typeof createImageBitmap === "function") {
+    return createImageBitmap(blob ?? (await (await fetch(src)).blob()))
+  }
+  const image = new Image()
+  image.src = src
+  await image.decode()
+  return image
+}
+
+function blobToDataURL(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader()
+    reader.onload = () => resolve(reader.result)
+    reader.onerror = () => reject(new Error("无法读取背景图片"))
+    reader.readAsDataURL(blob)
+  })
+}
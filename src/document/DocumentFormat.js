@@ -0,0 +1,172 @@
+// src/document/DocumentFormat.js
+
+import { Layer, toLayers } from "./Layer.js"
+import { BackgroundImage } from "./BackgroundImage.js"
+
+/**
+ * 文档格式标识，用于识别由本 SDK 生成的 JSON 文档
+ */
+export const DOCUMENT_FORMAT = "pen-drawing-sdk"
+
+/**
+ * 当前文档格式版本
+ *
+ * 每次修改文档结构时递增版本号，并在 migrations 中补充
+ * 从上一版本升级到新版本的迁移函数。
+ */
+export const DOCUMENT_VERSION = 5
+
+/**
+ * 版本迁移表：migrations[n] 把 n 版本的文档升级为 n + 1 版本
+ *
+ * 版本 0 指 exportLogs() 导出的旧格式：{ strokes: Stroke[], metrics, behavior }，
+ * 其中点坐标是 {x, y} 对象且没有 id。
+ * 版本 1 只有一个扁平的 strokes 列表，升级到版本 2 时放入默认图层。
+ * 版本 3 的图层中可以包含形状（kind: "shape"，保存几何参数而不是点），版本 2 的笔画无需修改。
+ * 版本 4 的图层中可以包含文字（kind: "text"），版本 3 的内容无需修改。
+ * 版本 5 增加顶层的 background（背景图片），旧文档没有背景。
+ */
+const migrations = {
+  0: (doc) => ({
+    format: DOCUMENT_FORMAT,
+    version: 1,
+    createdAt: null,
+    size: null,
+    strokes: (doc.strokes || []).map((s) => ({
+      tool: s.tool,
+      color: s.color,
+      baseSize: s.baseSize,
+      width: s.width,
+      timestamp: s.timestamp,
+      points: (s.points || []).map((p) => [p.x, p.y]),
+      pressures: s.pressures
+    }))
+  }),
+  1: (doc) => ({
+    format: DOCUMENT_FORMAT,
+    version: 2,
+    createdAt: doc.createdAt ?? null,
+    size: doc.size ?? null,
+    activeLayerId: "layer-1",
+    layers: [
+      {
+        id: "layer-1",
+        name: "图层 1",
+        visible: true,
+        opacity: 1,
+        locked: false,
+        strokes: doc.strokes || []
+      }
+    ]
+  }),
+  2: (doc) => ({ ...doc, version: 3 }),
+  3: (doc) => ({ ...doc, version: 4 }),
+  4: (doc) => ({ ...doc, version: 5, background: null })
+}
+
+/**
+ * 把图层列表序列化为当前版本的文档对象
+ *
+ * 文档结构（version 5）：
+ * {
+ *   format: "pen-drawing-sdk",
+ *   version: 5,
+ *   createdAt: string,                        // ISO 时间
+ *   size: { width: number, height: number },  // 画布 CSS 尺寸
+ *   activeLayerId: string,                    // 活动图层 ID
+ *   background: BackgroundJSON | null,        // 背景图片，见 BackgroundImage.toJSON()
+ *   layers: Array<LayerJSON>                  // 按 z 顺序，索引 0 为最底层，见 Layer.toJSON()
+ * }
+ *
+ * @param {Object} params
+ * @param {import('./Layer.js').Layer[]} [params.layers] - 图层列表
+ * @param {import('../tools/Stroke.js').Stroke[]} [params.strokes] - 未提供 layers 时，笔画放入单个图层
+ * @param {string} [params.activeLayerId] - 活动图层 ID，默认最上层
+ * @param {{width: number, height: number}} [params.size] - 画布尺寸
+ * @param {BackgroundImage|null} [params.background] - 背景图片
+ * @returns {Object} 可直接 JSON.stringify 的文档对象
+ */
+export function serializeDocument({
+  layers,
+  strokes = [],
+  activeLayerId,
+  size = null,
+  background = null
+}) {
+  const list = layers || toLayers(strokes)
+  return {
+    format: DOCUMENT_FORMAT,
+    version: DOCUMENT_VERSION,
+    createdAt: new Date().toISOString(),
+    size,
+    activeLayerId: activeLayerId ?? list[list.length - 1]?.id ?? null,
+    background: background ? background.toJSON() : null,
+    layers: list.map((l) => l.toJSON())
+  }
+}
+
+/**
+ * 把任意旧版本文档逐级迁移到当前版本
+ *
+ * @param {Object} doc - 文档对象
+ * @returns {Object} 当前版本的文档对象
+ * @throws {Error} 文档格式无法识别或版本高于当前 SDK 支持的版本时抛出
+ */
+export function migrateDocument(doc) {
+  if (!doc || typeof doc !== "object") {
+    throw new Error("无效的文档：需要一个对象")
+  }
+
+  let version = doc.version
+  if (version === undefined) {
+    if (!Array.isArray(doc.strokes)) {
+      throw new Error("无效的文档：无法识别的格式")
+    }
+    version = 0
+  } else if (doc.format !== DOCUMENT_FORMAT) {
+    throw new Error(`无效的文档：未知格式 ${doc.format}`)
+  }
+
+  if (version > DOCUMENT_VERSION) {
+    throw new Error(
+      `文档版本 ${version} 高于当前支持的版本 ${DOCUMENT_VERSION}，请升级 SDK`
+    )
+  }
+
+  let current = doc
+  while (version < DOCUMENT_VERSION) {
+    const migrate = migrations[version]
+    if (!migrate) {
+      throw new Error(`缺少从版本 ${version} 升级的迁移函数`)
+    }
+    current = migrate(current)
+    version = current.version
+  }
+  return current
+}
+
+/**
+ * 解析文档（JSON 字符串或对象），迁移到当前版本并还原图层和笔画
+ *
+ * @param {string|Object} input - 文档 JSON 字符串或对象
+ * @returns {{layers: Layer[], activeLayerId: ?string, background: ?BackgroundImage, size: ?{width: number, height: number}, createdAt: ?string}}
+ *   background 尚未解码，需调用 decode()
+ */
+export function parseDocument(input) {
+  const raw = typeof input === "string" ? JSON.parse(input) : input
+  const doc = migrateDocument(raw)
+
+  if (!Array.isArray(doc.layers) || doc.layers.length === 0) {
+    throw new Error("无效的文档：layers 必须是非空数组")
+  }
+
+  return {
+    layers: doc.layers.map((l) => Layer.fromJSON(l)),
+    activeLayerId: doc.activeLayerId ?? null,
+    background: doc.background
+      ? BackgroundImage.fromJSON(doc.background)
+      : null,
+    size: doc.size ?? null,
+    createdAt: doc.createdAt ?? null
+  }
+}
@@ -0,0 +1,184 @@
+// src/document/Layer.js
+
+import { Stroke } from "../tools/Stroke.js"
+import { Shape } from "../tools/Shape.js"
+import { TextBox } from "../tools/TextBox.js"
+import { generateId } from "../utils/id.js"
+import { SpatialIndex } from "../utils/SpatialIndex.js"
+
+/**
+ * 图层：拥有独立的笔画列表、可见性、不透明度和锁定状态
+ *
+ * 图层在 DrawingBoard.layers 中按 z 顺序排列，索引 0 位于最底层。
+ * 图层提供 strokes 数组，因此笔画类历史操作可以直接作用在图层上。
+ *
+ * 图层按需为笔画建立空间索引（键为笔画的墨迹范围），LayerOperation 执行、撤销后会同步索引；
+ * 绕过历史操作直接修改 strokes 时需调用 invalidateIndex()。
+ */
+export class Layer {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.id] - 图层 ID，默认自动生成
+   * @param {string} [options.name="图层"] - 图层名称
+   * @param {Stroke[]} [options.strokes=[]] - 笔画列表
+   * @param {boolean} [options.visible=true] - 是否可见
+   * @param {number} [options.opacity=1] - 不透明度 0~1
+   * @param {boolean} [options.locked=false] - 锁定后不能在该图层上绘制或擦除
+   */
+  constructor(options = {}) {
+    this.id = options.id || generateId("l")
+    this.name = options.name ?? "图层"
+    this.strokes = options.strokes || []
+    this.visible = options.visible ?? true
+    this.opacity = clampOpacity(options.opacity ?? 1)
+    this.locked = options.locked ?? false
+    this._index = null
+  }
+
+  /**
+   * 查询墨迹范围与指定区域相交的笔画（候选集，未做精确的几何判断）
+   * @param {{minX: number, minY: number, maxX: number, maxY: number}} box - 世界坐标
+   * @returns {Stroke[]} 按绘制顺序排列
+   */
+  queryStrokes(box) {
+    const hits = this._getIndex().query(box)
+    if (hits.size === 0) return []
+    return this.strokes.filter((s) => hits.has(s))
+  }
+
+  /**
+   * 同步受影响笔画的索引：仍在图层中的更新位置，已不在图层中的移除
+   * @param {Stroke[]} strokes
+   */
+  syncIndex(strokes) {
+    if (!this._index) return
+    const present = new Set(this.strokes)
+    for (const stroke of strokes) {
+      if (present.has(stroke)) {
+        this._index.update(stroke, stroke.getInkBounds())
+      } else {
+        this._index.remove(stroke)
+      }
+    }
+  }
+
+  /**
+   * 丢弃空间索引，下次查询时重建
+   */
+  invalidateIndex() {
+    this._index = null
+  }
+
+  _getIndex() {
+    if (!this._index) {
+      this._index = new SpatialIndex()
+      for (const stroke of this.strokes) {
+        this._index.insert(stroke, stroke.getInkBounds())
+      }
+    }
+    return this._index
+  }
+
+  /**
+   * 图层是否可以编辑（可见且未锁定）
+   * @returns {boolean}
+   */
+  isEditable() {
+    return this.visible && !this.locked
+  }
+
+  /**
+   * 修改图层属性，只接受 name / visible / opacity / locked
+   * @param {{name?: string, visible?: boolean, opacity?: number, locked?: boolean}} props
+   */
+  setProperties(props) {
+    for (const key of LAYER_PROPERTIES) {
+      if (props[key] === undefined) continue
+      this[key] = key === "opacity" ? clampOpacity(props[key]) : props[key]
+    }
+  }
+
+  /**
+   * 读取图层属性（不含笔画）
+   * @returns {{name: string, visible: boolean, opacity: number, locked: boolean}}
+   */
+  getProperties() {
+    return {
+      name: this.name,
+      visible: this.visible,
+      opacity: this.opacity,
+      locked: this.locked
+    }
+  }
+
+  /**
+   * 转换为文档中使用的 JSON 结构
+   * @returns {Object}
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      ...this.getProperties(),
+      strokes: this.strokes.map((s) => s.toJSON())
+    }
+  }
+
+  /**
+   * 从 toJSON() 的结果还原图层
+   * @param {Object} data
+   * @returns {Layer}
+   */
+  static fromJSON(data) {
+    if (!data || !Array.isArray(data.strokes)) {
+      throw new Error("无效的图层数据：strokes 必须是数组")
+    }
+    return new Layer({
+      id: data.id,
+      name: data.name,
+      visible: data.visible,
+      opacity: data.opacity,
+      locked: data.locked,
+      strokes: data.strokes.map(entityFromJSON)
+    })
+  }
+}
+
+// 按 kind 还原图层中的实体：形状、文字或普通笔画
+function entityFromJSON(data) {
+  switch (data?.kind) {
+    case "shape":
+      return Shape.fromJSON(data)
+    case "text":
+      return TextBox.fromJSON(data)
+    default:
+      return Stroke.fromJSON(data)
+  }
+}
+
+const LAYER_PROPERTIES = ["name", "visible", "opacity", "locked"]
+
+function clampOpacity(value) {
+  const opacity = Number(value)
+  return isNaN(opacity) ? 1 : Math.max(0, Math.min(1, opacity))
+}
+
+/**
+ * 把笔画列表或图层列表统一为图层列表，兼容只传入笔画的旧接口
+ * @param {Array<Stroke|Layer>} input
+ * @returns {Layer[]}
+ */
+export function toLayers(input) {
+  if (input.length > 0 && input.every((item) => Array.isArray(item.strokes))) {
+    return input
+  }
+  return [new Layer({ strokes: input })]
+}
+
+/**
+ * 按 z 顺序展开可见图层中的全部笔画
+ * @param {Layer[]} layers
+ * @returns {Stroke[]}
+ */
+export function getVisibleStrokes(layers) {
+  return layers.filter((l) => l.visible).flatMap((l) => l.strokes)
+}
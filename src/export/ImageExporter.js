@@ -0,0 +1,116 @@
+// src/export/ImageExporter.js
+
+import { CanvasRenderer } from "../renderer/CanvasRenderer.js"
+import { createCanvas, canvasToBlob } from "../utils/canvas.js"
+import { getVisibleStrokes, toLayers } from "../document/Layer.js"
+
+/**
+ * 计算笔画内容的包围盒（不含橡皮擦笔画），按各元素的墨迹范围（getInkBounds）计算
+ * @param {import('../tools/Stroke.js').Stroke[]} strokes
+ * @returns {{x: number, y: number, width: number, height: number}|null} 没有墨迹时返回 null
+ */
+export function getContentBounds(strokes) {
+  let minX = Infinity,
+    minY = Infinity,
+    maxX = -Infinity,
+    maxY = -Infinity
+
+  for (const stroke of strokes) {
+    if (stroke.tool === "eraser" || stroke.points.length === 0) continue
+    // 各类元素的墨迹范围：笔画按最大线宽外扩，文字包含字形超出文本框的部分
+    const box = stroke.getInkBounds()
+    minX = Math.min(minX, box.minX)
+    minY = Math.min(minY, box.minY)
+    maxX = Math.max(maxX, box.maxX)
+    maxY = Math.max(maxY, box.maxY)
+  }
+
+  if (minX === Infinity) return null
+  return { x: minX, y: minY, width: maxX - minX, height: maxY - minY }
+}
+
+/**
+ * 把笔画重新渲染到离屏画布并编码为图片
+ *
+ * 墨迹由 CanvasRenderer.renderLayers() 绘制在背景色和背景图片之上：
+ * 荧光笔等 "under" 层的笔画单独成组，以正片叠底与背景和下方图层混合，与屏幕上 InkCache 的合成方式相同；
+ * 含橡皮擦笔画的图层在独立画布上合成，因此橡皮擦只会擦除墨迹，不会在背景上留下“洞”。
+ *
+ * @param {Array<import('../tools/Stroke.js').Stroke|import('../document/Layer.js').Layer>} source - 要导出的笔画或图层列表
+ * @param {Object} options
+ * @param {string} [options.type="image/png"] - 图片类型：image/png | image/jpeg | image/webp
+ * @param {number} [options.quality] - JPEG/WebP 的编码质量 0~1
+ * @param {number} [options.scale=1] - 输出像素比（1 CSS 像素对应的图片像素数）
+ * @param {string|null} [options.background=null] - 背景色，null 为透明（JPEG 默认白色）
+ * @param {import('../document/BackgroundImage.js').BackgroundImage|null} [options.backgroundImage=null] - 背景图片，需已解码；
+ *   region 为 "content" 时导出区域包含背景图片的范围
+ * @param {"canvas"|"content"|{x: number, y: number, width: number, height: number}} [options.region="canvas"] - 导出区域
+ * @param {number} [options.padding=0] - 区域四周的留白（CSS 像素）
+ * @param {{width: number, height: number}} options.canvasSize - 画布 CSS 尺寸，region 为 "canvas" 或没有墨迹时使用
+ * @param {Object} [options.rendererOptions] - 传给 CanvasRenderer 的参数
+ * @returns {Promise<Blob>}
+ */
+export async function exportImage(source, options) {
+  const layers = toLayers(source)
+  const {
+    type = "image/png",
+    quality,
+    scale = 1,
+    padding = 0,
+    canvasSize,
+    rendererOptions = {}
+  } = options
+  const { backgroundImage = null } = options
+  let { background = null, region = "canvas" } = options
+
+  if (type === "image/jpeg" && !background) {
+    // JPEG 不支持透明通道
+    background = "#ffffff"
+  }
+
+  let rect
+  if (region === "content") {
+    rect = getContentBounds(getVisibleStrokes(layers))
+    if (backgroundImage) rect = unionRect(rect, backgroundImage.getBounds())
+  } else if (region && typeof region === "object") {
+    rect = region
+  }
+  if (!rect) {
+    rect = { x: 0, y: 0, width: canvasSize.width, height: canvasSize.height }
+  }
+  rect = {
+    x: rect.x - padding,
+    y: rect.y - padding,
+    width: rect.width + padding * 2,
+    height: rect.height + padding * 2
+  }
+
+  const pixelWidth = Math.max(1, Math.ceil(rect.width * scale))
+  const pixelHeight = Math.max(1, Math.ceil(rect.height * scale))
+
+  const output = createCanvas(pixelWidth, pixelHeight)
+  const ctx = output.getContext("2d")
+  if (background) {
+    ctx.fillStyle = background
+    ctx.fillRect(0, 0, pixelWidth, pixelHeight)
+  }
+  ctx.setTransform(scale, 0, 0, scale, -rect.x * scale, -rect.y * scale)
+  backgroundImage?.draw(ctx)
+
+  const renderer = new CanvasRenderer(ctx, scale, rendererOptions)
+  renderer.renderLayers(layers)
+
+  return canvasToBlob(output, type, quality)
+}
+
+function unionRect(a, b) {
+  if (!a) return b
+  const x = Math.min(a.x, b.x)
+  const y = Math.min(a.y, b.y)
+  return {
+    x,
+    y,
+    width: Math.max(a.x + a.width, b.x + b.width) - x,
+    height: Math.max(a.y + a.height, b.y + b.height) - y
+  }
+}
@@ -0,0 +1,41 @@
+// src/export/SvgExporter.js
+
+import { CanvasRenderer } from "../renderer/CanvasRenderer.js"
+import { SvgContext } from "../renderer/targets/SvgContext.js"
+import { toLayers } from "../document/Layer.js"
+
+/**
+ * 把笔画列表导出为独立的 SVG 字符串
+ *
+ * 使用与画布相同的 CanvasRenderer 管线，渲染目标换成 SvgContext：
+ * 每个笔画都是按压力变宽的填充轮廓路径；
+ * 橡皮擦笔画通过 <mask> 擦除在它之前绘制的内容，与画布上的 destination-out 效果一致，
+ * 背景色和背景图片位于遮罩之外，不会被橡皮擦掉。
+ * 每个图层输出为一个 <g>，图层不透明度作用在整组上，遮罩只作用于所在图层。
+ *
+ * @param {Array<import('../tools/Stroke.js').Stroke|import('../document/Layer.js').Layer>} source - 要导出的笔画或图层列表
+ * @param {Object} options
+ * @param {number} options.width - 输出宽度（CSS 像素）
+ * @param {number} options.height - 输出高度（CSS 像素）
+ * @param {string|null} [options.background=null] - 背景色，null 表示透明
+ * @param {import('../document/BackgroundImage.js').BackgroundImage|null} [options.backgroundImage=null] - 背景图片，以 data URL 内嵌
+ * @param {number} [options.precision=2] - 坐标保留的小数位
+ * @param {Object} [options.rendererOptions] - 传给 CanvasRenderer 的参数（收尖长度等）
+ * @returns {string} SVG 文档字符串
+ */
+export function exportSVG(source, options) {
+  const {
+    width,
+    height,
+    background = null,
+    backgroundImage = null,
+    precision = 2,
+    rendererOptions = {}
+  } = options
+
+  const target = new SvgContext({ precision })
+  const renderer = new CanvasRenderer(target, 1, rendererOptions)
+  renderer.renderLayers(toLayers(source))
+
+  return target.toSVG({ width, height, background, backgroundImage })
+}
@@ -0,0 +1,165 @@
+// src/history/HistoryManager.js
+
+import { GroupOperation } from "./HistoryOperations.js"
+
+/**
+ * HistoryManager：基于操作的撤销/重做栈
+ *
+ * - execute() 执行操作并记录，撤销时调用操作的 revert()，重做时再次 apply()
+ * - maxDepth 限制可撤销的步数，maxBytes 限制历史记录估算占用的内存，
+ *   超出时丢弃最早的记录
+ * - beginGroup() / endGroup() 之间执行的操作合并为一个撤销步骤，支持嵌套
+ */
+export class HistoryManager {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxDepth=100] - 最多保留的撤销步数
+   * @param {number} [options.maxBytes=Infinity] - 历史记录的内存预算（字节）
+   * @param {import('../logger/Logger.js').Logger} [options.logger] - 日志实例
+   */
+  constructor(options = {}) {
+    this.maxDepth = options.maxDepth ?? 100
+    this.maxBytes = options.maxBytes ?? Infinity
+    this.logger = options.logger || null
+
+    this.undoStack = []
+    this.redoStack = []
+    this._groups = []
+  }
+
+  /**
+   * 执行操作并记录到历史中
+   * @param {Object} operation - 实现了 apply(doc) / revert(doc) 的操作
+   * @param {Object} doc - 操作作用的文档
+   * @returns {Object} 传入的操作
+   */
+  execute(operation, doc) {
+    operation.apply(doc)
+    this.record(operation)
+    return operation
+  }
+
+  /**
+   * 记录一个已经执行过的操作
+   * @param {Object} operation
+   */
+  record(operation) {
+    if (this._groups.length > 0) {
+      this._groups[this._groups.length - 1].operations.push(operation)
+      return
+    }
+
+    this.undoStack.push(operation)
+    this.redoStack = []
+    this._enforceLimits()
+
+    this.logger?.debug("记录历史操作", {
+      类型: operation.type,
+      可撤销步数: this.undoStack.length
+    })
+  }
+
+  /**
+   * 开始一个操作分组，之后执行的操作会合并为一个撤销步骤
+   * @param {string} [label]
+   */
+  beginGroup(label = "group") {
+    this._groups.push(new GroupOperation([], label))
+  }
+
+  /**
+   * 结束当前分组；分组为空时不产生历史记录
+   */
+  endGroup() {
+    const group = this._groups.pop()
+    if (!group || group.operations.length === 0) return
+    this.record(group.operations.length === 1 ? group.operations[0] : group)
+  }
+
+  /**
+   * 在一个分组中执行回调
+   * @param {string} label
+   * @param {function(): void} fn
+   */
+  group(label, fn) {
+    this.beginGroup(label)
+    try {
+      fn()
+    } finally {
+      this.endGroup()
+    }
+  }
+
+  /**
+   * 撤销最近一步
+   * @param {Object} doc
+   * @returns {Object|null} 被撤销的操作，无可撤销时返回 null
+   */
+  undo(doc) {
+    const operation = this.undoStack.pop()
+    if (!operation) return null
+    operation.revert(doc)
+    this.redoStack.push(operation)
+    return operation
+  }
+
+  /**
+   * 重做最近撤销的一步
+   * @param {Object} doc
+   * @returns {Object|null} 被重做的操作，无可重做时返回 null
+   */
+  redo(doc) {
+    const operation = this.redoStack.pop()
+    if (!operation) return null
+    operation.apply(doc)
+    this.undoStack.push(operation)
+    return operation
+  }
+
+  canUndo() {
+    return this.undoStack.length > 0
+  }
+
+  canRedo() {
+    return this.redoStack.length > 0
+  }
+
+  /**
+   * 清空全部历史
+   */
+  clear() {
+    this.undoStack = []
+    this.redoStack = []
+    this._groups = []
+  }
+
+  /**
+   * 历史记录统计信息
+   * @returns {{undoDepth: number, redoDepth: number, bytes: number}}
+   */
+  getStats() {
+    return {
+      undoDepth: this.undoStack.length,
+      redoDepth: this.redoStack.length,
+      bytes: this._bytes()
+    }
+  }
+
+  _bytes() {
+    let total = 0
+    for (const op of this.undoStack) total += op.size || 0
+    for (const op of this.redoStack) total += op.size || 0
+    return total
+  }
+
+  // 超出步数或内存预算时丢弃最早的撤销记录（至少保留最近一步）
+  _enforceLimits() {
+    while (this.undoStack.length > this.maxDepth) {
+      this.undoStack.shift()
+    }
+    if (this.maxBytes === Infinity) return
+    while (this.undoStack.length > 1 && this._bytes() > this.maxBytes) {
+      this.undoStack.shift()
+    }
+  }
+}
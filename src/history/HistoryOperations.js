@@ -0,0 +1,523 @@
+// src/history/HistoryOperations.js
+
+/**
+ * 历史操作（命令模式）
+ *
+ * 每个操作只记录“发生了什么”，通过 apply / revert 在文档上执行或撤销，
+ * 不再对整个笔画列表做快照。已提交的笔画对象在操作之间共享引用，
+ * 因此历史记录的内存占用与操作数量成正比，而不是与笔画数的平方成正比。
+ *
+ * 笔画类操作作用的文档对象只需要提供 strokes 数组（例如 Layer），
+ * 通过 LayerOperation 包装后可以作用在多图层文档的指定图层上；
+ * 图层类操作作用的文档对象需要提供 layers 数组（例如 DrawingBoard）。
+ *
+ * 笔画类操作实现 getDirtyBounds()：在 apply / revert 之后调用，
+ * 返回需要重绘的墨迹区域（世界坐标包围盒列表），返回 null 表示整个图层都需要重绘；
+ * getAffectedStrokes() 返回被添加、删除或移动过的笔画，用于同步图层的空间索引。
+ */
+
+import { Mat2D } from "../utils/math.js"
+
+/**
+ * 估算单个笔画占用的内存（字节）
+ * 每个点约 16 字节坐标 + 8 字节压力，外加对象本身的固定开销
+ * @param {import('../tools/Stroke.js').Stroke} stroke
+ * @returns {number}
+ */
+export function estimateStrokeBytes(stroke) {
+  return 64 + stroke.points.length * 24
+}
+
+/**
+ * 添加笔画
+ */
+export class AddStrokeOperation {
+  /**
+   * @param {import('../tools/Stroke.js').Stroke} stroke - 要添加的笔画
+   * @param {number} [index] - 插入位置，默认追加到末尾
+   */
+  constructor(stroke, index) {
+    this.type = "add-stroke"
+    this.stroke = stroke
+    this.index = index
+    this.size = estimateStrokeBytes(stroke)
+  }
+
+  apply(doc) {
+    if (this.index === undefined || this.index >= doc.strokes.length) {
+      this.index = doc.strokes.length
+      doc.strokes.push(this.stroke)
+    } else {
+      doc.strokes.splice(this.index, 0, this.stroke)
+    }
+  }
+
+  revert(doc) {
+    const index = doc.strokes.indexOf(this.stroke)
+    if (index !== -1) doc.strokes.splice(index, 1)
+  }
+
+  getDirtyBounds() {
+    return [this.stroke.getInkBounds()]
+  }
+
+  getAffectedStrokes() {
+    return [this.stroke]
+  }
+}
+
+/**
+ * 删除一组笔画（撤销时按原位置插回）
+ */
+export class RemoveStrokesOperation {
+  /**
+   * @param {string[]} strokeIds - 要删除的笔画 ID
+   */
+  constructor(strokeIds) {
+    this.type = "remove-strokes"
+    this.strokeIds = new Set(strokeIds)
+    this.removed = []
+    this.size = 0
+  }
+
+  apply(doc) {
+    this.removed = []
+    doc.strokes.forEach((stroke, index) => {
+      if (this.strokeIds.has(stroke.id)) this.removed.push({ stroke, index })
+    })
+    // 从后往前删除，保证索引有效
+    for (let i = this.removed.length - 1; i >= 0; i--) {
+      doc.strokes.splice(this.removed[i].index, 1)
+    }
+    this.size = this.removed.reduce(
+      (sum, { stroke }) => sum + estimateStrokeBytes(stroke),
+      0
+    )
+  }
+
+  revert(doc) {
+    // 按原索引从小到大插回，还原原来的绘制顺序
+    for (const { stroke, index } of this.removed) {
+      doc.strokes.splice(Math.min(index, doc.strokes.length), 0, stroke)
+    }
+  }
+
+  getDirtyBounds() {
+    return this.removed.map(({ stroke }) => stroke.getInkBounds())
+  }
+
+  getAffectedStrokes() {
+    return this.removed.map(({ stroke }) => stroke)
+  }
+}
+
+/**
+ * 用若干新笔画替换一个笔画（保持原有的绘制顺序），例如局部擦除后的切分结果
+ */
+export class ReplaceStrokeOperation {
+  /**
+   * @param {import('../tools/Stroke.js').Stroke} stroke - 被替换的笔画
+   * @param {import('../tools/Stroke.js').Stroke[]} replacements - 替换后的笔画，可为空数组
+   */
+  constructor(stroke, replacements) {
+    this.type = "replace-stroke"
+    this.stroke = stroke
+    this.replacements = replacements
+    this.index = -1
+    this.size =
+      estimateStrokeBytes(stroke) +
+      replacements.reduce((sum, s) => sum + estimateStrokeBytes(s), 0)
+  }
+
+  apply(doc) {
+    this.index = doc.strokes.indexOf(this.stroke)
+    if (this.index === -1) return
+    doc.strokes.splice(this.index, 1, ...this.replacements)
+  }
+
+  revert(doc) {
+    if (this.index === -1) return
+    doc.strokes.splice(this.index, this.replacements.length, this.stroke)
+  }
+
+  getDirtyBounds() {
+    // 替换后的笔画（如识别出的规整图形）可能超出原笔画范围
+    return [this.stroke, ...this.replacements].map((s) => s.getInkBounds())
+  }
+
+  getAffectedStrokes() {
+    return [this.stroke, ...this.replacements]
+  }
+}
+
+/**
+ * 清空画布
+ */
+export class ClearOperation {
+  constructor() {
+    this.type = "clear"
+    this.removed = []
+    this.size = 0
+  }
+
+  apply(doc) {
+    this.removed = doc.strokes.splice(0, doc.strokes.length)
+    this.size = this.removed.reduce((sum, s) => sum + estimateStrokeBytes(s), 0)
+  }
+
+  revert(doc) {
+    doc.strokes.splice(0, doc.strokes.length, ...this.removed)
+  }
+
+  getDirtyBounds() {
+    return null
+  }
+
+  getAffectedStrokes() {
+    return this.removed
+  }
+}
+
+/**
+ * 对一组笔画应用仿射变换（撤销时应用逆矩阵）
+ */
+export class TransformOperation {
+  /**
+   * @param {string[]} strokeIds - 要变换的笔画 ID
+   * @param {{a: number, b: number, c: number, d: number, e: number, f: number}} matrix - 变换矩阵
+   */
+  constructor(strokeIds, matrix) {
+    const inverse = Mat2D.invert(matrix)
+    if (!inverse) {
+      throw new Error("无法应用不可逆的变换矩阵")
+    }
+    this.type = "transform"
+    this.strokeIds = new Set(strokeIds)
+    this.matrix = matrix
+    this.inverse = inverse
+    this.size = 64 + this.strokeIds.size * 16
+    this.strokes = []
+  }
+
+  apply(doc) {
+    this._transform(doc, this.matrix)
+  }
+
+  revert(doc) {
+    this._transform(doc, this.inverse)
+  }
+
+  getDirtyBounds() {
+    // 无论刚执行了 apply 还是 revert，变换前后的位置都包含在
+    // 当前位置及其分别经过正、逆矩阵变换后的范围内
+    const scale = Mat2D.getScale(this.matrix)
+    const widthFactor = Math.max(1, scale, 1 / scale)
+    return this.strokes.flatMap((stroke) => {
+      const box = stroke.getBoundingBox()
+      const margin = stroke.baseSize * 0.75 * widthFactor
+      return [null, this.matrix, this.inverse].map((m) =>
+        expandBox(m ? transformBox(box, m) : box, margin)
+      )
+    })
+  }
+
+  getAffectedStrokes() {
+    return this.strokes
+  }
+
+  _transform(doc, matrix) {
+    this.strokes = doc.strokes.filter((s) => this.strokeIds.has(s.id))
+    for (const stroke of this.strokes) stroke.transform(matrix)
+  }
+}
+
+// 包围盒四个角经过变换后的轴对齐包围盒
+function transformBox(box, matrix) {
+  const corners = [
+    { x: box.minX, y: box.minY },
+    { x: box.maxX, y: box.minY },
+    { x: box.maxX, y: box.maxY },
+    { x: box.minX, y: box.maxY }
+  ].map((p) => Mat2D.applyToPoint(matrix, p))
+  return {
+    minX: Math.min(...corners.map((p) => p.x)),
+    minY: Math.min(...corners.map((p) => p.y)),
+    maxX: Math.max(...corners.map((p) => p.x)),
+    maxY: Math.max(...corners.map((p) => p.y))
+  }
+}
+
+function expandBox(box, margin) {
+  return {
+    minX: box.minX - margin,
+    minY: box.minY - margin,
+    maxX: box.maxX + margin,
+    maxY: box.maxY + margin
+  }
+}
+
+/**
+ * 图层作用域：把笔画类操作限定在指定图层上执行
+ *
+ * 操作记录的是图层 ID 而不是当前活动图层，切换活动图层后撤销/重做仍作用在原图层上。
+ */
+export class LayerOperation {
+  /**
+   * @param {string} layerId - 目标图层 ID
+   * @param {Object} operation - 笔画类操作
+   */
+  constructor(layerId, operation) {
+    this.type = operation.type
+    this.layerId = layerId
+    this.operation = operation
+  }
+
+  get size() {
+    return this.operation.size || 0
+  }
+
+  getDirtyBounds() {
+    return this.operation.getDirtyBounds
+      ? this.operation.getDirtyBounds()
+      : null
+  }
+
+  apply(doc) {
+    const layer = findLayer(doc, this.layerId)
+    if (!layer) return
+    this.operation.apply(layer)
+    this._syncIndex(layer)
+  }
+
+  revert(doc) {
+    const layer = findLayer(doc, this.layerId)
+    if (!layer) return
+    this.operation.revert(layer)
+    this._syncIndex(layer)
+  }
+
+  _syncIndex(layer) {
+    if (this.operation.getAffectedStrokes) {
+      layer.syncIndex(this.operation.getAffectedStrokes())
+    } else {
+      layer.invalidateIndex()
+    }
+  }
+}
+
+/**
+ * 添加图层
+ */
+export class AddLayerOperation {
+  /**
+   * @param {import('../document/Layer.js').Layer} layer - 要添加的图层
+   * @param {number} [index] - 插入位置（z 顺序，0 为最底层），默认放在最上层
+   */
+  constructor(layer, index) {
+    this.type = "add-layer"
+    this.layer = layer
+    this.index = index
+    this.size =
+      64 + layer.strokes.reduce((sum, s) => sum + estimateStrokeBytes(s), 0)
+  }
+
+  apply(doc) {
+    if (this.index === undefined || this.index >= doc.layers.length) {
+      this.index = doc.layers.length
+    }
+    doc.layers.splice(this.index, 0, this.layer)
+  }
+
+  revert(doc) {
+    const index = doc.layers.indexOf(this.layer)
+    if (index !== -1) doc.layers.splice(index, 1)
+  }
+}
+
+/**
+ * 删除图层（撤销时连同笔画插回原位置）
+ */
+export class RemoveLayerOperation {
+  /**
+   * @param {string} layerId
+   */
+  constructor(layerId) {
+    this.type = "remove-layer"
+    this.layerId = layerId
+    this.layer = null
+    this.index = -1
+    this.size = 64
+  }
+
+  apply(doc) {
+    this.index = doc.layers.findIndex((l) => l.id === this.layerId)
+    if (this.index === -1) return
+    this.layer = doc.layers.splice(this.index, 1)[0]
+    this.size =
+      64 +
+      this.layer.strokes.reduce((sum, s) => sum + estimateStrokeBytes(s), 0)
+  }
+
+  revert(doc) {
+    if (this.index === -1) return
+    doc.layers.splice(Math.min(this.index, doc.layers.length), 0, this.layer)
+  }
+}
+
+/**
+ * 调整图层的 z 顺序
+ */
+export class MoveLayerOperation {
+  /**
+   * @param {string} layerId
+   * @param {number} toIndex - 目标位置（0 为最底层）
+   */
+  constructor(layerId, toIndex) {
+    this.type = "move-layer"
+    this.layerId = layerId
+    this.toIndex = toIndex
+    this.fromIndex = -1
+    this.size = 32
+  }
+
+  apply(doc) {
+    this.fromIndex = doc.layers.findIndex((l) => l.id === this.layerId)
+    if (this.fromIndex === -1) return
+    const [layer] = doc.layers.splice(this.fromIndex, 1)
+    const toIndex = Math.max(0, Math.min(this.toIndex, doc.layers.length))
+    doc.layers.splice(toIndex, 0, layer)
+  }
+
+  revert(doc) {
+    if (this.fromIndex === -1) return
+    const index = doc.layers.findIndex((l) => l.id === this.layerId)
+    const [layer] = doc.layers.splice(index, 1)
+    doc.layers.splice(this.fromIndex, 0, layer)
+  }
+}
+
+/**
+ * 修改图层属性（名称 / 可见性 / 不透明度 / 锁定）
+ */
+export class SetLayerPropertiesOperation {
+  /**
+   * @param {string} layerId
+   * @param {{name?: string, visible?: boolean, opacity?: number, locked?: boolean}} props
+   */
+  constructor(layerId, props) {
+    this.type = "set-layer-properties"
+    this.layerId = layerId
+    this.props = props
+    this.previous = null
+    this.size = 64
+  }
+
+  apply(doc) {
+    const layer = findLayer(doc, this.layerId)
+    if (!layer) return
+    this.previous = layer.getProperties()
+    layer.setProperties(this.props)
+  }
+
+  revert(doc) {
+    const layer = findLayer(doc, this.layerId)
+    if (layer && this.previous) layer.setProperties(this.previous)
+  }
+}
+
+/**
+ * 合并图层：把源图层的笔画按 z 顺序并入目标图层，并删除源图层
+ *
+ * 合并后的笔画使用目标图层的可见性和不透明度；源图层的不透明度乘到并入的每个笔画上，
+ * 撤销时还原。能否合并（隐藏、锁定、橡皮擦）由调用方检查，见 DrawingBoard.mergeLayers()。
+ */
+export class MergeLayersOperation {
+  /**
+   * @param {string} sourceId - 被合并（随后删除）的图层
+   * @param {string} targetId - 保留的图层
+   */
+  constructor(sourceId, targetId) {
+    this.type = "merge-layers"
+    this.sourceId = sourceId
+    this.targetId = targetId
+    this.source = null
+    this.sourceIndex = -1
+    this.targetStrokes = null
+    this.sourceOpacities = null
+    this.size = 64
+  }
+
+  apply(doc) {
+    this.sourceIndex = doc.layers.findIndex((l) => l.id === this.sourceId)
+    const target = findLayer(doc, this.targetId)
+    if (this.sourceIndex === -1 || !target || this.sourceId === this.targetId) {
+      this.sourceIndex = -1
+      return
+    }
+
+    this.source = doc.layers[this.sourceIndex]
+    this.targetStrokes = target.strokes.slice()
+    this.sourceOpacities = this.source.strokes.map((s) => s.opacity)
+    if (this.source.opacity < 1) {
+      for (const stroke of this.source.strokes) {
+        stroke.opacity = (stroke.opacity ?? 1) * this.source.opacity
+      }
+    }
+    const sourceAbove = this.sourceIndex > doc.layers.indexOf(target)
+    // 保持合并前的绘制顺序：上层的笔画画在后面
+    target.strokes.splice(
+      sourceAbove ? target.strokes.length : 0,
+      0,
+      ...this.source.strokes
+    )
+    doc.layers.splice(this.sourceIndex, 1)
+    target.invalidateIndex()
+    this.size = 64 + this.targetStrokes.length * 8
+  }
+
+  revert(doc) {
+    if (this.sourceIndex === -1) return
+    const target = findLayer(doc, this.targetId)
+    if (target) {
+      target.strokes.splice(0, target.strokes.length, ...this.targetStrokes)
+      target.invalidateIndex()
+    }
+    this.source.strokes.forEach((stroke, i) => {
+      stroke.opacity = this.sourceOpacities[i]
+    })
+    doc.layers.splice(this.sourceIndex, 0, this.source)
+  }
+}
+
+function findLayer(doc, layerId) {
+  return doc.layers.find((l) => l.id === layerId) || null
+}
+
+/**
+ * 组合操作：多个操作作为一个撤销步骤
+ */
+export class GroupOperation {
+  /**
+   * @param {Array<Object>} operations - 按执行顺序排列的子操作
+   * @param {string} [label] - 分组名称，便于调试
+   */
+  constructor(operations = [], label = "group") {
+    this.type = "group"
+    this.label = label
+    this.operations = operations
+  }
+
+  get size() {
+    return this.operations.reduce((sum, op) => sum + (op.size || 0), 0)
+  }
+
+  apply(doc) {
+    for (const op of this.operations) op.apply(doc)
+  }
+
+  revert(doc) {
+    for (let i = this.operations.length - 1; i >= 0; i--) {
+      this.operations[i].revert(doc)
+    }
+  }
+}
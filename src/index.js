@@ -1,16 +1,62 @@
 // src/index.js
 
 import { Stroke } from "./tools/Stroke.js"
+import { Shape, createShapeFromDrag } from "./tools/Shape.js"
+import { TextBox, TEXT_LINE_HEIGHT } from "./tools/TextBox.js"
 import { ToolManager } from "./tools/ToolManager.js"
+import { getSmoothingOptions } from "./tools/ToolRegistry.js"
+import { SelectionTool } from "./tools/SelectionTool.js"
 import { PointerInputHandler } from "./input/PointerInputHandler.js"
+import { GestureHandler } from "./input/GestureHandler.js"
+import { InputPredictor } from "./input/InputPredictor.js"
+import { PalmRejection } from "./input/PalmRejection.js"
+import { PressureCalibration } from "./input/PressureCalibration.js"
+import {
+  getInputPolicy,
+  getInputPolicyName,
+  getPointerAction
+} from "./input/InputPolicy.js"
+import { Viewport } from "./core/Viewport.js"
 import { StylusAdapter } from "./input/StylusAdapter.js"
 import { CanvasRenderer } from "./renderer/CanvasRenderer.js"
 import { PreviewRenderer } from "./renderer/PreviewRenderer.js"
+import { InkCache } from "./renderer/InkCache.js"
 import { Logger } from "./logger/Logger.js"
 import { PerformanceMonitor } from "./logger/PerformanceMonitor.js"
 import { StrokeAnalytics } from "./logger/StrokeAnalytics.js"
 import { PathSmoother } from "./utils/PathSmoother.js"
+import { createCanvas } from "./utils/canvas.js"
 import { bindUIEvents } from "./ui/UIEventBinder.js"
+import { TextEditor } from "./ui/TextEditor.js"
+import { serializeDocument, parseDocument } from "./document/DocumentFormat.js"
+import { Layer, getVisibleStrokes } from "./document/Layer.js"
+import {
+  BackgroundImage,
+  BACKGROUND_MODES
+} from "./document/BackgroundImage.js"
+import { exportSVG } from "./export/SvgExporter.js"
+import { exportImage, getContentBounds } from "./export/ImageExporter.js"
+import { HistoryManager } from "./history/HistoryManager.js"
+import {
+  AddStrokeOperation,
+  RemoveStrokesOperation,
+  ReplaceStrokeOperation,
+  ClearOperation,
+  TransformOperation,
+  LayerOperation,
+  AddLayerOperation,
+  RemoveLayerOperation,
+  MoveLayerOperation,
+  MergeLayersOperation,
+  SetLayerPropertiesOperation,
+  GroupOperation
+} from "./history/HistoryOperations.js"
+import {
+  findStrokesHitByEraser,
+  splitStrokesByEraser
+} from "./tools/VectorEraser.js"
+import { strokeHitsPoint, strokeIntersectsBox } from "./tools/HitTest.js"
+import { ShapeRecognizer } from "./recognition/ShapeRecognizer.js"
 import {
   getDevicePixelRatio,
   measureDevicePerformance
@@ -19,43 +65,111 @@ import {
  * 主类：组合所有子模块
  */
 class DrawingBoard {
-  constructor(canvasId) {
+  /**
+   * @param {string} canvasId - canvas 元素 ID
+   * @param {Object} [options]
+   * @param {{maxDepth?: number, maxBytes?: number}} [options.history] - 历史记录限制：最大撤销步数 / 内存预算（字节）
+   * @param {{x?: number, y?: number, zoom?: number, minZoom?: number, maxZoom?: number}} [options.viewport] - 初始视口与缩放范围
+   * @param {string[]} [options.palette] - 调色板颜色
+   * @param {Object} [options.shapeRecognition] - 形状识别设置，见 setShapeRecognition()
+   * @param {Object} [options.prediction] - 输入预测设置，见 setInputPrediction()
+   */
+  constructor(canvasId, options = {}) {
     this.canvas = document.getElementById(canvasId)
     this.ctx = this.canvas.getContext("2d")
     this.dpr = getDevicePixelRatio()
     this.canvas.width = this.canvas.clientWidth * this.dpr
     this.canvas.height = this.canvas.clientHeight * this.dpr
-    this.ctx.scale(this.dpr, this.dpr)
 
     // 初始化模块
     this.logger = new Logger("DrawingBoard", "debug")
-    this.toolManager = new ToolManager()
+    this.toolManager = new ToolManager({ palette: options.palette })
     this.stylusAdapter = new StylusAdapter()
-    this.renderer = new CanvasRenderer(this.ctx, this.dpr)
-    this.preview = new PreviewRenderer(this.ctx)
+    this.stylusProfile = "default"
+    if (options.stylusProfile) this.setStylusProfile(options.stylusProfile)
+    if (options.pressureCurve) this.setPressureCurve(options.pressureCurve)
+    // 进行中的压力校准：{ session, resolve, reject, onProgress }
+    this._calibration = null
+    const toolRegistry = this.toolManager.registry
+    this.renderer = new CanvasRenderer(this.ctx, this.dpr, { toolRegistry })
+    this.preview = new PreviewRenderer(this.ctx, { toolRegistry })
     this.monitor = new PerformanceMonitor(this.logger)
     this.analytics = new StrokeAnalytics(this.logger)
 
-    this.strokes = []
-    this.history = []
-    this.historyIndex = -1
-    this.currentStroke = null
+    // 图层按 z 顺序排列，索引 0 为最底层
+    this.layers = [new Layer({ name: "图层 1" })]
+    this.activeLayerId = this.layers[0].id
+    // 锁定的背景图片，位于所有图层之下；异步加载时以最后一次请求为准
+    this.background = null
+    this._backgroundRequest = 0
+    this.history = new HistoryManager({
+      ...options.history,
+      logger: this.logger
+    })
+    // 每个按下的指针各自正在绘制的笔画，键为 pointerId，多人可以同时书写
+    this._activeStrokes = new Map()
+    // 选择和放置文字同一时间只跟随一个指针
+    this._exclusivePointer = null
+    // 预测墨迹覆盖区域的原有像素，按保存顺序排列；副本画布循环复用
+    this._predictedInk = []
+    this._predictedInkCanvases = []
+    this.selection = new SelectionTool()
+    // 已提交墨迹的离屏缓存，渲染器在初始化后可能被替换，因此按需获取
+    this.inkCache = new InkCache(() => this.renderer)
 
     // 添加帧率控制相关属性
     this._isSimulatingLowFPS = false
-    this._lastFrameTime = 0
     this._targetFPS = 60 // 默认目标帧率
     this._frameDuration = 1000 / this._targetFPS
 
-    // 添加轨迹平滑器
+    // 轨迹平滑参数，每个笔画开始时复制给该指针的平滑器
     this.smoother = new PathSmoother({
       factor: 0.3,
       historySize: 3,
       enabled: true
     })
 
-    this.inputHandler = new PointerInputHandler(this.canvas, (e) =>
-      this.stylusAdapter.mapPressure(e)
+    // 形状识别：停笔片刻后把手绘笔画替换为规整图形，默认关闭
+    this.shapeRecognizer = new ShapeRecognizer(options.shapeRecognition)
+    this.shapeRecognition = {
+      enabled: false,
+      holdDuration: 500,
+      moveTolerance: 4
+    }
+    this.setShapeRecognition(
+      options.shapeRecognition?.enabled ?? false,
+      options.shapeRecognition
+    )
+    // 文字工具：按下的位置（松开时打开编辑框）和正在编辑的文字 { layerId, text, target }
+    this._textPlacement = null
+    this._textEdit = null
+
+    // 输入预测：在当前笔画末端临时绘制预测的墨迹，降低感知延迟，默认开启
+    // 外推参数，每个笔画开始时复制给该指针的预测器
+    this.predictor = new InputPredictor(options.prediction)
+    this.inputPrediction = { enabled: options.prediction?.enabled ?? true }
+
+    // 视口：笔画以世界坐标保存，渲染和输入都经过视口变换
+    this.viewport = new Viewport(options.viewport)
+    this._applyViewportTransform()
+
+    this.inputHandler = new PointerInputHandler(
+      this.canvas,
+      (e) => this.stylusAdapter.mapPressure(e),
+      this.viewport
+    )
+    // 防误触最先绑定，笔按下时手势和绘图逻辑已经能看到最新的笔状态
+    this.palmRejection = new PalmRejection(this.canvas, options.palmRejection)
+    this.palmRejection.bindEvents({ onPenDown: () => this._onPenDown() })
+    // 手势需要先于绘图事件绑定，双指按下时才能忽略第二根手指的绘制
+    this.gestures = new GestureHandler(this.canvas, {
+      filter: (e) => this.palmRejection.check(e) === null
+    })
+    this._bindGestures()
+    // 输入策略：按指针类型决定绘制、浏览画布还是忽略，默认笔绘制、手指平移缩放
+    this.inputPolicy = null
+    this.setInputPolicy(
+      options.inputPolicy ?? (options.multiTouch ? "multitouch" : "pen")
     )
 
     // 关键修复：必须在这里绑定绘图事件，否则无法捕获笔画
@@ -63,10 +177,7 @@ class DrawingBoard {
     this.monitor.start()
 
     this.canvasId = canvasId
-    this.inputMode = "pen"
-
-    // 初始化历史记录 - 添加空白画布状态作为第一个历史记录
-    this._saveToHistory()
+    this.textEditor = new TextEditor(this.canvas)
 
     this._initRendererAndUI()
   }
@@ -75,184 +186,1862 @@ class DrawingBoard {
     this.inputHandler.bindEvents({
       onPointerDown: this._onPointerDown.bind(this),
       onPointerMove: this._onPointerMove.bind(this),
-      onPointerUp: this._onPointerUp.bind(this)
+      onPointerUp: this._onPointerUp.bind(this),
+      onPointerCancel: this._onPointerCancel.bind(this)
     })
 
+    // 拖动形状时按下或松开 Shift 立即切换约束，不必等到下一次移动
+    const onShiftChange = (e) => {
+      if (e.key !== "Shift") return
+      for (const active of this._activeStrokes.values()) {
+        if (active.drag)
+          this._updateShapeDrag(active, active.drag.point, e.shiftKey)
+      }
+    }
+    document.addEventListener("keydown", onShiftChange)
+    document.addEventListener("keyup", onShiftChange)
+
     // 将UI事件绑定移动到这里的调用会导致重复绑定
     // 因为在_initRendererAndUI中也调用了bindUIEvents
     // bindUIEvents({ drawingBoard: this })
   }
 
+  _bindGestures() {
+    this.gestures.bindEvents({
+      onGestureStart: () => {
+        // 手势开始：放弃手指已经画出的笔画或正在进行的选择拖动
+        this._cancelActiveStrokes("touch")
+        this._exclusivePointer = null
+        this._textPlacement = null
+        this.selection.cancel()
+        this._redraw()
+      },
+      onPan: (dx, dy) => {
+        this.viewport.panBy(dx, dy)
+        this._onViewportChange()
+      },
+      onZoom: (factor, center) => {
+        this.viewport.zoomAt(factor, center)
+        this._onViewportChange()
+      }
+    })
+  }
+
   _onPointerDown(event) {
-    const pos = this.inputHandler.getPointerPosition(
-      event.clientX,
-      event.clientY
-    )
+    if (this.gestures.isActive()) return
+    if (!this._acceptDrawing(event)) return
+
+    if (this._textEdit) {
+      // 编辑文字时点击画布只结束编辑，不开始新的操作
+      this.commitText()
+      return
+    }
+
+    // 选择和放置文字只跟随一个指针，进行中时忽略其他指针
+    if (this._exclusivePointer !== null) return
+
+    if (this._calibration) {
+      // 校准期间只记录触控笔的笔画，不修改文档
+      if (event.pointerType === "pen") this._beginCalibrationStroke(event)
+      return
+    }
+
+    const pos = this.inputHandler.getWorldPosition(event.clientX, event.clientY)
     const pressure = this.stylusAdapter.mapPressure(event)
+    const orientation = this.stylusAdapter.mapOrientation(event)
 
-    // 重置平滑器状态
-    this.smoother.reset()
+    const tool = this.toolManager.getCurrentTool()
+    const layer = this.getActiveLayer()
+    if (!layer.isEditable()) {
+      this.logger?.warn("活动图层已隐藏或锁定，无法编辑", { 图层: layer.name })
+      return
+    }
+
+    if (tool === "select") {
+      this._exclusivePointer = event.pointerId
+      this.selection.pointerDown(pos, layer.strokes)
+      this._redraw()
+      return
+    }
+
+    const definition = this.toolManager.getToolDefinition()
+    if (definition.text) {
+      // 文字工具：松开时再打开编辑框，避免按下时的默认焦点切换使编辑框立即失去焦点
+      this._exclusivePointer = event.pointerId
+      this._textPlacement = pos
+      return
+    }
+
+    if (definition.shape) {
+      // 形状工具：从按下的位置拖出形状，松开时作为一个形状实体提交
+      const shape = new Shape(
+        tool,
+        createShapeFromDrag(definition.shape, pos, pos),
+        0.5,
+        this.toolManager.getToolSize()
+      )
+      shape.color = this.toolManager.getColor()
+      shape.opacity = this.toolManager.getOpacity()
+      const active = this._beginActiveStroke(event, shape)
+      active.drag = { type: definition.shape, anchor: pos, point: pos }
+      return
+    }
 
     // 第一个点不平滑，直接使用
-    const tool = this.toolManager.getCurrentTool()
     const size = this.toolManager.getToolSize()
-    this.currentStroke = new Stroke(tool, pos, pressure, size)
+    const stroke = new Stroke(tool, pos, pressure, size, orientation)
+    stroke.color = this.toolManager.getColor()
+    stroke.opacity = this.toolManager.getOpacity()
+    const active = this._beginActiveStroke(event, stroke)
+    // 模拟低帧率时保留增强的平滑参数，否则使用工具的平滑预设
+    if (!this._isSimulatingLowFPS) {
+      active.smoother.setOptions(getSmoothingOptions(definition.smoothing))
+    }
+    active.predictor.addSample(
+      this.inputHandler.getPointerPosition(event.clientX, event.clientY),
+      event.timeStamp
+    )
+
+    // 其他指针的预测墨迹还原时可能覆盖起笔圆点，先擦掉
+    this._erasePredictedInk()
+    this.preview.drawStartPoint(
+      pos,
+      tool,
+      size / 2,
+      stroke.color,
+      stroke.opacity
+    )
+    this._restoreBackgroundUnder(stroke)
+    this._startShapeHold(active, pos)
+  }
+
+  /**
+   * 按输入策略和防误触判断按下的指针能否绘制
+   * @param {PointerEvent} event
+   * @returns {boolean}
+   */
+  _acceptDrawing(event) {
+    if (getPointerAction(this.inputPolicy, event.pointerType) !== "draw") {
+      return false
+    }
+    const reason = this.palmRejection.check(event)
+    if (reason) {
+      this.logger?.debug("忽略疑似手掌的触摸", { 原因: reason })
+      return false
+    }
+    return true
+  }
+
+  // 触控笔按下：笔优先，放弃手指正在绘制的笔画和进行中的手势
+  _onPenDown() {
+    this.gestures.cancel()
+    if (this._cancelActiveStrokes("touch") > 0) this._redraw()
+  }
+
+  /**
+   * 为按下的指针开始一个笔画，同一指针已有的笔画会被放弃
+   *
+   * 每个指针有独立的平滑器和预测器，多人同时书写时互不干扰；
+   * 平滑和预测参数从 this.smoother / this.predictor 复制。
+   *
+   * @param {PointerEvent} event - 按下事件
+   * @param {Stroke} stroke - 正在绘制的笔画或形状
+   * @returns {Object} 该指针的绘制状态
+   */
+  _beginActiveStroke(event, stroke) {
+    const previous = this._activeStrokes.get(event.pointerId)
+    if (previous) this._cancelShapeHold(previous)
+
+    const active = {
+      stroke,
+      pointerType: event.pointerType,
+      smoother: new PathSmoother(this.smoother),
+      predictor: new InputPredictor(this.predictor),
+      // 上一帧绘制的预测点（世界坐标）
+      predicted: [],
+      // 形状工具的拖动状态：{ type, anchor, point }
+      drag: null,
+      holdTimer: null,
+      holdAnchor: null,
+      recognized: null,
+      lastFrameTime: 0
+    }
+    this._activeStrokes.set(event.pointerId, active)
+    return active
+  }
+
+  /**
+   * 开始一笔校准笔画：以钢笔显示，记录原始压力，松开后不提交
+   * @param {PointerEvent} event
+   */
+  _beginCalibrationStroke(event) {
+    const pos = this.inputHandler.getWorldPosition(event.clientX, event.clientY)
+    const size = this.toolManager.getToolSize("pen")
+    const stroke = new Stroke(
+      "pen",
+      pos,
+      this.stylusAdapter.mapPressure(event),
+      size,
+      this.stylusAdapter.mapOrientation(event)
+    )
+    stroke.color = this.toolManager.getColor()
+    const active = this._beginActiveStroke(event, stroke)
+    active.calibration = true
+    active.smoother.setOptions(getSmoothingOptions("default"))
+
+    const session = this._calibration.session
+    session.beginStroke()
+    session.addSample(this.stylusAdapter.normalizePressure(event.pressure))
+    this.preview.drawStartPoint(pos, "pen", size / 2, stroke.color, 1)
+  }
 
-    this.preview.drawStartPoint(pos, tool, size / 2)
+  /**
+   * 松开校准笔画：计入当前阶段并报告进度，两个阶段都完成后拟合并应用曲线
+   */
+  _endCalibrationStroke() {
+    const { session, resolve, reject, onProgress } = this._calibration
+    session.endStroke()
+    onProgress?.(session.getProgress())
+    if (!session.isComplete()) return
+
+    this._calibration = null
+    try {
+      const curve = session.fit()
+      this.stylusAdapter.setPressureCurve(curve)
+      this.logger?.info("压力校准完成")
+      resolve(curve)
+    } catch (error) {
+      this.logger?.warn("压力校准失败", { 错误: error.message })
+      reject(error)
+    }
+  }
+
+  /**
+   * 放弃正在绘制的笔画（不重绘）
+   * @param {string|null} [pointerType=null] - 只放弃该类型指针的笔画，null 时全部放弃
+   * @returns {number} 放弃的笔画数
+   */
+  _cancelActiveStrokes(pointerType = null) {
+    let count = 0
+    for (const [pointerId, active] of this._activeStrokes) {
+      if (pointerType && active.pointerType !== pointerType) continue
+      this._cancelShapeHold(active)
+      this._activeStrokes.delete(pointerId)
+      count++
+    }
+    return count
   }
 
   _onPointerMove(event) {
-    if (!this.currentStroke) return
+    if (this.gestures.isActive()) return
+
+    if (event.pointerId === this._exclusivePointer) {
+      if (this.selection.isActive()) {
+        this.selection.pointerMove(
+          this.inputHandler.getWorldPosition(event.clientX, event.clientY)
+        )
+        this._redraw()
+      }
+      return
+    }
+
+    const active = this._activeStrokes.get(event.pointerId)
+    if (!active) return
+
+    if (
+      active.pointerType === "touch" &&
+      this.palmRejection.isPalmContact(event)
+    ) {
+      // 手掌刚接触时面积较小，面积变大后放弃已经画出的笔画
+      this.logger?.debug("忽略疑似手掌的触摸", { 原因: "contact" })
+      this._onPointerCancel(event)
+      return
+    }
+
+    if (active.drag) {
+      this._updateShapeDrag(
+        active,
+        this.inputHandler.getWorldPosition(event.clientX, event.clientY),
+        event.shiftKey
+      )
+      return
+    }
 
     // 如果正在模拟低帧率，限制处理频率
     if (this._isSimulatingLowFPS) {
       const now = performance.now()
-      const elapsed = now - this._lastFrameTime
+      const elapsed = now - active.lastFrameTime
 
       if (elapsed < this._frameDuration) {
         return // 跳过此次处理，限制帧率
       }
 
-      this._lastFrameTime = now
+      active.lastFrameTime = now
+    }
+
+    // 两帧之间的全部硬件采样都加入笔画，停笔判断使用最新的采样
+    const samples = this.inputHandler.getCoalescedEvents(event)
+    const latest = samples[samples.length - 1]
+    const pos = this.inputHandler.getWorldPosition(
+      latest.clientX,
+      latest.clientY
+    )
+
+    if (active.holdAnchor) {
+      const tolerance = this.shapeRecognition.moveTolerance / this.viewport.zoom
+      const moved =
+        Math.hypot(pos.x - active.holdAnchor.x, pos.y - active.holdAnchor.y) >
+        tolerance
+      // 已吸附为图形时忽略停笔处的抖动，移动超出范围则取消吸附继续手绘
+      if (active.recognized && !moved) return
+      if (moved) this._startShapeHold(active, pos)
     }
 
-    const pos = this.inputHandler.getPointerPosition(
-      event.clientX,
-      event.clientY
+    for (const sample of samples) this._addStrokeSample(active, sample)
+
+    const stroke = active.stroke
+    active.predicted = this._getPredictedPoints(active, event)
+    if (this._needsFullPreview(stroke)) {
+      // 预览会反复填充整条笔画，半透明时颜色会逐帧叠加变深，
+      // 因此先用缓存恢复已提交墨迹，再完整绘制正在绘制的笔画（含预测的墨迹）
+      this._redraw()
+      return
+    }
+    // 擦掉上一帧预测的墨迹，真实采样仍增量绘制
+    this._erasePredictedInk()
+    this.preview.renderPreviewSegment(stroke)
+    this._restoreBackgroundUnder(stroke)
+    this._drawPredictedInk()
+  }
+
+  /**
+   * 正在绘制的笔画是否每帧都要完整重绘：半透明，或工具要求（previewRedraw）
+   * @param {Stroke} stroke
+   * @returns {boolean}
+   */
+  _needsFullPreview(stroke) {
+    return (
+      stroke.opacity < 1 ||
+      !!this.toolManager.getToolDefinition(stroke.tool)?.previewRedraw
+    )
+  }
+
+  /**
+   * 在主画布上绘制增量预览的笔画的预测墨迹
+   *
+   * 只绘制笔画末尾几个点延伸到预测位置的一小段；绘制前把覆盖区域的像素复制到副本画布，
+   * 下一帧由 _erasePredictedInk() 还原，不需要重绘整个画布。
+   * 完整重绘的笔画（见 _needsFullPreview）由 _renderActiveStroke() 连同预测点一起绘制。
+   */
+  _drawPredictedInk() {
+    for (const active of this._activeStrokes.values()) {
+      const { stroke, predicted } = active
+      if (
+        predicted.length === 0 ||
+        active.drag ||
+        active.recognized ||
+        stroke.points.length < 2 ||
+        this._needsFullPreview(stroke)
+      ) {
+        continue
+      }
+
+      const tail = extendStroke(getStrokeTail(stroke), predicted)
+      const rect = this._getDeviceRect(tail.getInkBounds())
+      if (!rect) continue
+      const canvas = this._savePredictedRegion(rect)
+
+      const matrix = this.ctx.getTransform()
+      this.ctx.save()
+      this.ctx.setTransform(1, 0, 0, 1, 0, 0)
+      this.ctx.beginPath()
+      this.ctx.rect(rect.x, rect.y, rect.width, rect.height)
+      this.ctx.clip()
+      this.ctx.setTransform(matrix)
+      this.renderer.renderStroke(tail)
+      this._restoreBackgroundUnder(tail)
+      this.ctx.restore()
+      this._predictedInk.push({ ...rect, canvas })
+    }
+  }
+
+  /**
+   * 还原预测墨迹覆盖区域的像素
+   */
+  _erasePredictedInk() {
+    if (this._predictedInk.length === 0) return
+    // 后保存的区域可能包含之前绘制的预测墨迹，按相反顺序还原
+    this.ctx.save()
+    this.ctx.setTransform(1, 0, 0, 1, 0, 0)
+    this.ctx.globalAlpha = 1
+    this.ctx.globalCompositeOperation = "source-over"
+    for (let i = this._predictedInk.length - 1; i >= 0; i--) {
+      const { canvas, x, y, width, height } = this._predictedInk[i]
+      this.ctx.clearRect(x, y, width, height)
+      this.ctx.drawImage(canvas, 0, 0, width, height, x, y, width, height)
+    }
+    this.ctx.restore()
+    this._predictedInk = []
+  }
+
+  // 把主画布上的区域复制到下一张副本画布（画布之间复制，不读回像素数据）
+  _savePredictedRegion(rect) {
+    const index = this._predictedInk.length
+    let canvas = this._predictedInkCanvases[index]
+    if (!canvas || canvas.width < rect.width || canvas.height < rect.height) {
+      canvas = createCanvas(
+        Math.max(rect.width, canvas?.width ?? 0),
+        Math.max(rect.height, canvas?.height ?? 0)
+      )
+      this._predictedInkCanvases[index] = canvas
+    }
+    const ctx = canvas.getContext("2d")
+    ctx.clearRect(0, 0, rect.width, rect.height)
+    ctx.drawImage(
+      this.canvas,
+      rect.x,
+      rect.y,
+      rect.width,
+      rect.height,
+      0,
+      0,
+      rect.width,
+      rect.height
+    )
+    return canvas
+  }
+
+  /**
+   * 世界坐标的区域在主画布上覆盖的整数像素范围（外扩 2 个像素覆盖抗锯齿边缘）
+   * @param {{minX: number, minY: number, maxX: number, maxY: number}} box
+   * @returns {{x: number, y: number, width: number, height: number}|null} 不在画布内时为 null
+   */
+  _getDeviceRect(box) {
+    const { a, b, c, d, e, f } = this.ctx.getTransform()
+    const xs = []
+    const ys = []
+    for (const [x, y] of [
+      [box.minX, box.minY],
+      [box.maxX, box.minY],
+      [box.minX, box.maxY],
+      [box.maxX, box.maxY]
+    ]) {
+      xs.push(a * x + c * y + e)
+      ys.push(b * x + d * y + f)
+    }
+    const x0 = Math.max(0, Math.floor(Math.min(...xs)) - 2)
+    const y0 = Math.max(0, Math.floor(Math.min(...ys)) - 2)
+    const x1 = Math.min(this.canvas.width, Math.ceil(Math.max(...xs)) + 2)
+    const y1 = Math.min(this.canvas.height, Math.ceil(Math.max(...ys)) + 2)
+    if (x1 <= x0 || y1 <= y0) return null
+    return { x: x0, y: y0, width: x1 - x0, height: y1 - y0 }
+  }
+
+  /**
+   * 把一个硬件采样平滑后加入指针的笔画
+   * @param {Object} active - 指针的绘制状态
+   * @param {PointerEvent} sample
+   */
+  _addStrokeSample(active, sample) {
+    const pos = this.inputHandler.getWorldPosition(
+      sample.clientX,
+      sample.clientY
     )
 
     // 应用平滑策略，低性能模式下使用更强的平滑
+    const smoother = active.smoother
     let smoothedPos
     if (this.lowPerformance) {
       // 低帧率模式：多次平滑以获得更平滑的曲线
-      const firstSmooth = this.smoother.smooth(pos)
-      const secondSmooth = this.smoother.smooth(firstSmooth)
+      const firstSmooth = smoother.smooth(pos)
+      const secondSmooth = smoother.smooth(firstSmooth)
       smoothedPos = {
         x: (firstSmooth.x + secondSmooth.x) / 2,
         y: (firstSmooth.y + secondSmooth.y) / 2
       }
     } else {
       // 正常模式：单次平滑
-      smoothedPos = this.smoother.smooth(pos)
+      smoothedPos = smoother.smooth(pos)
     }
 
-    const pressure = this.stylusAdapter.mapPressure(event)
-    this.currentStroke.addPoint(smoothedPos, pressure)
+    active.stroke.addPoint(
+      smoothedPos,
+      this.stylusAdapter.mapPressure(sample),
+      this.stylusAdapter.mapOrientation(sample)
+    )
+    active.predictor.addSample(
+      this.inputHandler.getPointerPosition(sample.clientX, sample.clientY),
+      sample.timeStamp
+    )
+    if (active.calibration) {
+      this._calibration?.session.addSample(
+        this.stylusAdapter.normalizePressure(sample.pressure)
+      )
+    }
+  }
+
+  /**
+   * 笔画之后的预测位置（世界坐标）：优先使用浏览器的预测事件，否则按最近的采样外推
+   * @param {Object} active - 指针的绘制状态
+   * @param {PointerEvent} event
+   * @returns {Array<{x: number, y: number}>}
+   */
+  _getPredictedPoints(active, event) {
+    if (!this.inputPrediction.enabled) return []
+    const events = this.inputHandler.getPredictedEvents(event)
+    if (events.length > 0) {
+      return events.map((e) =>
+        this.inputHandler.getWorldPosition(e.clientX, e.clientY)
+      )
+    }
+    return active.predictor.predict().map((p) => this.viewport.screenToWorld(p))
+  }
 
-    this.preview.renderPreviewSegment(this.currentStroke)
+  /**
+   * 绘制一个指针正在绘制的笔画：拖动中的形状、吸附后的图形或带预测墨迹的手绘笔画
+   * @param {Object} active - 指针的绘制状态
+   */
+  _renderActiveStroke(active) {
+    const { stroke, predicted } = active
+    if (active.drag) {
+      this.preview.renderShape(stroke)
+      return
+    }
+    if (active.recognized) {
+      this.renderer.renderStroke(active.recognized.stroke)
+      return
+    }
+    if (stroke.points.length < 2) {
+      this.preview.drawStartPoint(
+        stroke.points[0],
+        stroke.tool,
+        stroke.baseSize / 2,
+        stroke.color,
+        stroke.opacity
+      )
+    } else {
+      // 增量预览的笔画的预测墨迹由 _drawPredictedInk() 单独绘制
+      this.renderer.renderStroke(
+        predicted.length > 0 && this._needsFullPreview(stroke)
+          ? extendStroke(stroke, predicted)
+          : stroke
+      )
+    }
+    this._restoreBackgroundUnder(stroke)
   }
 
-  _onPointerUp() {
-    if (this.currentStroke?.isValid()) {
-      this.strokes.push(this.currentStroke)
-      this._saveToHistory()
-      this.analytics.track(this.currentStroke)
-      this.monitor.measureRender(() => {
-        this.renderer.clearCanvas(this.canvas.width, this.canvas.height)
-        this.renderer.renderStrokes(this.strokes)
+  _onPointerUp(event) {
+    if (event.pointerId === this._exclusivePointer) {
+      this._exclusivePointer = null
+      this._finishExclusive()
+      return
+    }
+
+    const active = this._activeStrokes.get(event.pointerId)
+    if (!active) return
+    this._activeStrokes.delete(event.pointerId)
+    this._cancelShapeHold(active)
+
+    if (active.calibration) {
+      this._redraw()
+      if (this._calibration) this._endCalibrationStroke()
+      return
+    }
+
+    const { stroke, recognized } = active
+    const predicted = active.predicted.length > 0
+
+    if (
+      stroke.tool === "eraser" &&
+      this.toolManager.getEraserMode() !== "pixel"
+    ) {
+      // 矢量橡皮擦：修改笔画数据，橡皮擦轨迹本身不进入文档
+      this._applyVectorEraser(stroke)
+      this.monitor.measureRender(() => this._redraw())
+      return
+    }
+
+    if (stroke.isValid()) {
+      // 新笔画直接叠加到图层缓存上，不重绘已有墨迹
+      const layer = this.getActiveLayer()
+      this.history.execute(
+        new LayerOperation(layer.id, new AddStrokeOperation(stroke)),
+        this
+      )
+      this.inkCache.appendStroke(layer, stroke)
+      this.analytics.track(stroke)
+      if (recognized) {
+        // 替换为图形是单独的撤销步骤，撤销后恢复手绘笔画
+        this._executeOnLayer(
+          layer.id,
+          new ReplaceStrokeOperation(stroke, [recognized.stroke])
+        )
+        this.logger?.debug("手绘笔画已替换为图形", {
+          类型: recognized.type,
+          置信度: recognized.confidence.toFixed(2)
+        })
+      }
+      this.monitor.measureRender(() => this._redraw())
+    } else if (predicted) {
+      // 无效的笔画不提交，只需擦掉预测的墨迹
+      this._redraw()
+    }
+  }
+
+  // 独占指针松开：结束套索选择 / 拖动，或在按下的位置编辑文字
+  _finishExclusive() {
+    if (this.selection.isActive()) {
+      // 套索选择只需检查与套索范围相交的笔画
+      const layer = this.getActiveLayer()
+      const lassoBox = this.selection.getLassoBounds()
+      const result = this.selection.pointerUp(
+        lassoBox ? layer.queryStrokes(lassoBox) : layer.strokes
+      )
+      if (result?.type === "transform") {
+        // 整个拖动过程作为一次变换提交，只产生一个撤销步骤
+        this.transformStrokes(result.ids, result.matrix)
+      } else {
+        this._redraw()
+      }
+      this.logger?.debug("选择操作", {
+        结果: result?.type,
+        笔画数: result?.ids.length
       })
+      return
+    }
+
+    if (this._textPlacement) {
+      const point = this._textPlacement
+      this._textPlacement = null
+      this._editTextAt(point)
     }
-    this.currentStroke = null
   }
 
-  _saveToHistory() {
-    const copy = this.strokes.map((s) => s.clone())
-    if (this.historyIndex < this.history.length - 1) {
-      this.history = this.history.slice(0, this.historyIndex + 1)
+  /**
+   * 浏览器取消了指针（例如被系统手势接管）：放弃该指针的笔画或选择拖动，不提交任何内容
+   * @param {PointerEvent} event
+   */
+  _onPointerCancel(event) {
+    if (event.pointerId === this._exclusivePointer) {
+      this._exclusivePointer = null
+      this._textPlacement = null
+      this.selection.cancel()
+      this._redraw()
+      return
     }
-    this.history.push(copy)
-    this.historyIndex = this.history.length - 1
 
-    // 添加调试日志
-    this.logger?.debug("保存历史记录", {
-      历史索引: this.historyIndex,
-      历史记录数: this.history.length,
-      当前笔画数: this.strokes.length
-    })
+    const active = this._activeStrokes.get(event.pointerId)
+    if (!active) return
+    this._activeStrokes.delete(event.pointerId)
+    this._cancelShapeHold(active)
+    if (active.calibration) this._calibration?.session.cancelStroke()
+    this._redraw()
   }
 
-  undo() {
-    // 完全重新设计撤销功能
-    this.logger?.debug("准备撤销", {
-      历史索引: this.historyIndex,
-      历史记录数: this.history.length,
-      当前笔画数: this.strokes.length
+  /**
+   * 按拖动位置更新正在绘制的形状，先恢复已提交墨迹再完整预览一次
+   * @param {Object} active - 指针的绘制状态
+   * @param {{x: number, y: number}} point - 当前位置（世界坐标）
+   * @param {boolean} constrain - 是否按住 Shift：正方形 / 圆，直线吸附到 15° 的整数倍
+   */
+  _updateShapeDrag(active, point, constrain) {
+    const drag = active.drag
+    drag.point = point
+    active.stroke.setGeometry(
+      createShapeFromDrag(drag.type, drag.anchor, point, {
+        constrain,
+        size: active.stroke.baseSize
+      })
+    )
+    this._redraw()
+  }
+
+  /**
+   * 从 anchor 处重新开始停笔计时，计时结束时尝试识别指针的笔画
+   * @param {Object} active - 指针的绘制状态
+   * @param {{x: number, y: number}} anchor - 停笔位置（世界坐标）
+   */
+  _startShapeHold(active, anchor) {
+    const stroke = active.stroke
+    if (active.recognized) {
+      // 离开停笔位置：取消吸附，恢复显示手绘笔画
+      active.recognized = null
+      this._redraw()
+    }
+    clearTimeout(active.holdTimer)
+    active.holdTimer = null
+    active.holdAnchor = null
+
+    const definition = this.toolManager.getToolDefinition(stroke.tool)
+    if (
+      !this.shapeRecognition.enabled ||
+      definition?.color === "none" ||
+      definition?.compositeOperation === "destination-out"
+    ) {
+      return
+    }
+
+    active.holdAnchor = anchor
+    active.holdTimer = setTimeout(() => {
+      active.holdTimer = null
+      this._snapActiveStroke(active)
+    }, this.shapeRecognition.holdDuration)
+  }
+
+  /**
+   * @param {Object} active - 指针的绘制状态
+   */
+  _cancelShapeHold(active) {
+    clearTimeout(active.holdTimer)
+    active.holdTimer = null
+    active.holdAnchor = null
+    active.recognized = null
+  }
+
+  // 停笔计时结束：识别成功时用图形代替手绘笔画显示，松开后提交
+  _snapActiveStroke(active) {
+    const stroke = active.stroke
+    if (!stroke.isValid()) return
+
+    const result = this.shapeRecognizer.recognize(stroke.points)
+    if (!result) return
+
+    active.recognized = {
+      ...result,
+      stroke: this._createShapeStroke(stroke, result.shape)
+    }
+    this._redraw()
+  }
+
+  /**
+   * 按手绘笔画的工具、颜色和平均压力生成形状实体
+   * @param {Stroke} source
+   * @param {Object} shape - ShapeRecognizer 识别出的形状几何
+   * @returns {Shape}
+   */
+  _createShapeStroke(source, shape) {
+    const pressure =
+      source.pressures.reduce((a, b) => a + b, 0) / source.pressures.length
+    const stroke = new Shape(source.tool, shape, pressure, source.baseSize)
+    stroke.color = source.color
+    stroke.opacity = source.opacity
+    stroke.seed = source.seed
+    return stroke
+  }
+
+  /**
+   * 在指定位置编辑文字：点中活动图层中的文字时修改该文字，否则以该点为首行中线新建文本框
+   * @param {{x: number, y: number}} point - 世界坐标
+   */
+  _editTextAt(point) {
+    const layer = this.getActiveLayer()
+    const target = this.hitTest(point, 0, { layerId: layer.id }).find(
+      (stroke) => stroke.kind === "text"
+    )
+    if (target) {
+      this.editText(target.id)
+      return
+    }
+
+    const fontSize = this.toolManager.getToolSize()
+    const text = new TextBox(
+      this.toolManager.getCurrentTool(),
+      { x: point.x, y: point.y - (fontSize * TEXT_LINE_HEIGHT) / 2 },
+      "",
+      { fontSize, fontFamily: this.toolManager.getFontFamily() }
+    )
+    text.color = this.toolManager.getColor()
+    text.opacity = this.toolManager.getOpacity()
+    this._openTextEditor(layer, text, null)
+  }
+
+  /**
+   * 打开编辑框编辑文字草稿，修改原文字时编辑期间不在画布上绘制原文字
+   * @param {Layer} layer - 文字所在图层
+   * @param {TextBox} text - 编辑中的草稿
+   * @param {TextBox|null} target - 被修改的原文字，新建时为 null
+   */
+  _openTextEditor(layer, text, target) {
+    this._textEdit = { layerId: layer.id, text, target }
+    this.textEditor.open(text.text, this._getTextEditorStyle(), () =>
+      this.commitText()
+    )
+    if (target) this._redraw()
+  }
+
+  // 编辑框的样式：位置和字号换算为屏幕坐标
+  _getTextEditorStyle() {
+    const { text } = this._textEdit
+    return {
+      position: this.viewport.worldToScreen(text.position),
+      fontSize: text.fontSize * this.viewport.zoom,
+      fontFamily: text.fontFamily,
+      color: text.color,
+      opacity: text.opacity,
+      rotation: text.rotation
+    }
+  }
+
+  /**
+   * 编辑文字期间修改文字工具的设置时，同步到编辑中的文字
+   * @param {{color?: string, opacity?: number, fontSize?: number, fontFamily?: string}} changes
+   */
+  _updateTextEdit(changes) {
+    if (!this._textEdit || !this.toolManager.getToolDefinition()?.text) return
+    Object.assign(this._textEdit.text, changes)
+    this.textEditor.setStyle(this._getTextEditorStyle())
+  }
+
+  /**
+   * 按当前橡皮擦模式擦除笔画，一次擦除作为一个撤销步骤
+   * @param {Stroke} eraser - 橡皮擦轨迹
+   */
+  _applyVectorEraser(eraser) {
+    // 只擦除活动图层
+    const layer = this.getActiveLayer()
+    const candidates = layer.queryStrokes(eraser.getInkBounds())
+    if (this.toolManager.getEraserMode() === "stroke") {
+      const hit = findStrokesHitByEraser(candidates, eraser, {
+        toolRegistry: this.toolManager.registry
+      })
+      if (hit.length > 0) {
+        this._executeOnLayer(
+          layer.id,
+          new RemoveStrokesOperation(hit.map((s) => s.id))
+        )
+      }
+      this.logger?.debug("整笔擦除", { 删除笔画数: hit.length })
+      return
+    }
+
+    const results = splitStrokesByEraser(candidates, eraser, {
+      toolRegistry: this.toolManager.registry
     })
+    if (results.length === 0) return
+
+    this.history.group("erase", () => {
+      for (const { stroke, pieces } of results) {
+        this._executeOnLayer(
+          layer.id,
+          new ReplaceStrokeOperation(stroke, pieces)
+        )
+      }
+    })
+    this.logger?.debug("局部擦除", { 受影响笔画数: results.length })
+  }
+
+  /**
+   * 在指定图层上执行笔画类操作并记录到历史
+   * @param {string} layerId
+   * @param {Object} operation
+   */
+  _executeOnLayer(layerId, operation) {
+    this._execute(new LayerOperation(layerId, operation))
+  }
+
+  /**
+   * 执行操作、记录到历史，并标记受影响的墨迹缓存区域
+   * @param {Object} operation
+   */
+  _execute(operation) {
+    this.history.execute(operation, this)
+    this._invalidateForOperation(operation)
+  }
+
+  /**
+   * 根据操作（执行、撤销或重做之后）重绘墨迹缓存中受影响的区域
+   * 图层顺序、可见性、不透明度等只影响合成，不需要重绘缓存
+   * @param {Object} operation
+   */
+  _invalidateForOperation(operation) {
+    if (operation instanceof GroupOperation) {
+      operation.operations.forEach((op) => this._invalidateForOperation(op))
+    } else if (operation instanceof LayerOperation) {
+      const layer = this.getLayer(operation.layerId)
+      if (layer) this.inkCache.redrawRegion(layer, operation.getDirtyBounds())
+    } else if (operation instanceof MergeLayersOperation) {
+      this.inkCache.invalidate(operation.targetId)
+    }
+  }
+
+  /**
+   * 把设备像素比和视口变换设置到画布上下文，之后的绘制都使用世界坐标
+   */
+  _applyViewportTransform() {
+    const m = this.viewport.getMatrix()
+    this.ctx.setTransform(this.dpr, 0, 0, this.dpr, 0, 0)
+    this.ctx.transform(m.a, m.b, m.c, m.d, m.e, m.f)
+    this.selection.scale = this.viewport.zoom
+  }
+
+  _onViewportChange() {
+    this._applyViewportTransform()
+    if (this._textEdit) this.textEditor.setStyle(this._getTextEditorStyle())
+    this._redraw()
+  }
+
+  /**
+   * 清空画布并按 z 顺序合成全部图层
+   * 通常直接合成墨迹缓存；缓存失效（如视口变化）的图层会在合成时整层重绘
+   */
+  _redraw() {
+    this.renderer.clearCanvas(this.canvas.width, this.canvas.height)
+    this._predictedInk = []
+    // 背景先于墨迹绘制，荧光笔等 "under" 层的笔画在每个图层中单独成组，
+    // 以正片叠底与背景和下方图层混合（InkCache 与 renderLayers 相同）；
+    // 橡皮擦只作用于所在图层的缓存或独立画布，不会擦到背景
+    this.background?.draw(this.ctx)
+
+    const matrix = this.selection.previewMatrix
+    const editing = this._textEdit?.target
+    if (matrix) {
+      // 拖动选区时只对选中笔画叠加预览矩阵，松开后才真正修改笔画数据，
+      // 选中笔画的位置每帧都在变化，因此不使用缓存
+      this.renderer.renderLayers(this.layers, {
+        getTransform: (stroke) =>
+          this.selection.selectedIds.has(stroke.id) ? matrix : null
+      })
+    } else if (editing) {
+      // 正在修改的文字由编辑框显示，编辑期间不绘制原文字
+      this.renderer.renderLayers(this.layers, {
+        filter: (stroke) => stroke !== editing
+      })
+    } else {
+      this.inkCache.sync(
+        this.canvas.width,
+        this.canvas.height,
+        this.ctx.getTransform()
+      )
+      this.inkCache.composite(this.ctx, this.layers)
+    }
+
+    // 正在绘制的笔画（可能来自多个指针）绘制在已提交墨迹之上
+    for (const active of this._activeStrokes.values()) {
+      this._renderActiveStroke(active)
+    }
+    this._drawPredictedInk()
+
+    if (this.toolManager.getCurrentTool() === "select") {
+      this.selection.renderOverlay(this.ctx, this.getActiveLayer().strokes)
+    }
+  }
+
+  /**
+   * 橡皮擦的实时预览直接以 destination-out 绘制在主画布上，会连同背景一起擦掉，
+   * 预览后在透明处补回背景
+   * @param {Stroke} stroke - 正在绘制的笔画
+   */
+  _restoreBackgroundUnder(stroke) {
+    const definition = this.toolManager.getToolDefinition(stroke.tool)
+    if (
+      !this.background ||
+      definition?.compositeOperation !== "destination-out"
+    ) {
+      return
+    }
+    this.ctx.save()
+    this.ctx.globalCompositeOperation = "destination-over"
+    this.background.draw(this.ctx)
+    this.ctx.restore()
+  }
 
-    // 修改撤销条件：允许回到索引0（空白画布状态）
-    if (this.history.length > 0 && this.historyIndex > 0) {
-      // 关键变化：不是修改当前状态，而是回到前一个历史状态
-      this.historyIndex--
+  /**
+   * 全部图层的笔画（按 z 顺序展开，只读）
+   * @returns {Stroke[]}
+   */
+  get strokes() {
+    return this.layers.flatMap((layer) => layer.strokes)
+  }
 
-      // 从历史记录中恢复笔画状态
-      this.strokes = this.history[this.historyIndex].map((s) => s.clone())
+  undo() {
+    this.commitText()
+    this.logger?.debug("准备撤销", this.history.getStats())
 
+    const operation = this.history.undo(this)
+    if (operation) {
       this.logger?.debug("撤销完成", {
-        回退到历史索引: this.historyIndex,
-        恢复后笔画数: this.strokes.length,
-        撤销前索引: this.historyIndex + 1,
-        撤销前笔画数: this.history[this.historyIndex + 1].length
+        操作类型: operation.type,
+        当前笔画数: this.strokes.length
       })
+      this._invalidateForOperation(operation)
+      this._redraw()
+    } else {
+      this.logger?.debug("无法撤销 - 没有更早的历史记录")
+    }
+  }
 
-      // 重新渲染画布
-      this.renderer.clearCanvas(this.canvas.width, this.canvas.height)
-      this.renderer.renderStrokes(this.strokes)
+  redo() {
+    this.commitText()
+    this.logger?.debug("准备重做", this.history.getStats())
+
+    const operation = this.history.redo(this)
+    if (operation) {
+      this.logger?.debug("重做完成", {
+        操作类型: operation.type,
+        当前笔画数: this.strokes.length
+      })
+      this._invalidateForOperation(operation)
+      this._redraw()
     } else {
-      this.logger?.debug("无法撤销 - 没有更早的历史记录", {
-        历史索引: this.historyIndex,
-        历史长度: this.history.length
+      this.logger?.debug("无法重做 - 已是最新状态")
+    }
+  }
+
+  canUndo() {
+    return this.history.canUndo()
+  }
+
+  canRedo() {
+    return this.history.canRedo()
+  }
+
+  /**
+   * 清空全部图层的笔画（保留图层本身，可撤销）
+   */
+  clear() {
+    this.commitText()
+    this.history.group("clear", () => {
+      for (const layer of this.layers) {
+        if (layer.strokes.length > 0) {
+          this._executeOnLayer(layer.id, new ClearOperation())
+        }
+      }
+    })
+    this.selection.clear()
+    this._redraw()
+  }
+
+  /**
+   * 删除指定笔画（可撤销），笔画可以位于任意图层
+   * @param {string[]} strokeIds
+   */
+  removeStrokes(strokeIds) {
+    if (!strokeIds.length) return
+    this._executeByLayer(
+      "remove",
+      strokeIds,
+      (ids) => new RemoveStrokesOperation(ids)
+    )
+    this._redraw()
+  }
+
+  /**
+   * 对指定笔画应用仿射变换（可撤销），笔画可以位于任意图层
+   * @param {string[]} strokeIds
+   * @param {{a: number, b: number, c: number, d: number, e: number, f: number}} matrix - 变换矩阵，见 Mat2D
+   */
+  transformStrokes(strokeIds, matrix) {
+    if (!strokeIds.length) return
+    this._executeByLayer(
+      "transform",
+      strokeIds,
+      (ids) => new TransformOperation(ids, matrix)
+    )
+    this._redraw()
+  }
+
+  // 按所在图层拆分笔画 ID，每个图层一个操作，合并为一个撤销步骤
+  _executeByLayer(label, strokeIds, createOperation) {
+    const idSet = new Set(strokeIds)
+    this.history.group(label, () => {
+      for (const layer of this.layers) {
+        const ids = layer.strokes
+          .filter((s) => idSet.has(s.id))
+          .map((s) => s.id)
+        if (ids.length > 0) {
+          this._executeOnLayer(layer.id, createOperation(ids))
+        }
+      }
+    })
+  }
+
+  /**
+   * 查找指定点附近的笔画（按墨迹实际宽度精确判断，不含橡皮擦轨迹）
+   * @param {{x: number, y: number}} point - 世界坐标
+   * @param {number} [radius=0] - 命中半径（世界坐标）
+   * @param {Object} [options]
+   * @param {string} [options.layerId] - 只在指定图层中查找，默认所有可见图层
+   * @returns {Stroke[]} 命中的笔画，最上层的在前
+   */
+  hitTest(point, radius = 0, options = {}) {
+    const box = {
+      minX: point.x - radius,
+      minY: point.y - radius,
+      maxX: point.x + radius,
+      maxY: point.y + radius
+    }
+    return this._queryLayers(box, options)
+      .filter((stroke) =>
+        strokeHitsPoint(stroke, point, radius, {
+          toolRegistry: this.toolManager.registry
+        })
+      )
+      .reverse()
+  }
+
+  /**
+   * 查找墨迹与矩形相交的笔画（按墨迹实际宽度精确判断，不含橡皮擦轨迹）
+   * @param {{x: number, y: number, width: number, height: number}} rect - 世界坐标
+   * @param {Object} [options]
+   * @param {string} [options.layerId] - 只在指定图层中查找，默认所有可见图层
+   * @returns {Stroke[]} 按绘制顺序排列
+   */
+  strokesInRect(rect, options = {}) {
+    const box = {
+      minX: Math.min(rect.x, rect.x + rect.width),
+      minY: Math.min(rect.y, rect.y + rect.height),
+      maxX: Math.max(rect.x, rect.x + rect.width),
+      maxY: Math.max(rect.y, rect.y + rect.height)
+    }
+    return this._queryLayers(box, options).filter((stroke) =>
+      strokeIntersectsBox(stroke, box, {
+        toolRegistry: this.toolManager.registry
       })
+    )
+  }
+
+  // 通过图层的空间索引取得候选笔画（按 z 顺序）
+  _queryLayers(box, { layerId } = {}) {
+    const layers = layerId
+      ? [this.getLayer(layerId)].filter(Boolean)
+      : this.layers.filter((layer) => layer.visible)
+    return layers
+      .flatMap((layer) => layer.queryStrokes(box))
+      .filter((stroke) => stroke.tool !== "eraser")
+  }
+
+  /**
+   * 获取全部图层（按 z 顺序，索引 0 为最底层）
+   * @returns {Layer[]}
+   */
+  getLayers() {
+    return this.layers.slice()
+  }
+
+  /**
+   * 按 ID 获取图层
+   * @param {string} layerId
+   * @returns {Layer|null}
+   */
+  getLayer(layerId) {
+    return this.layers.find((layer) => layer.id === layerId) || null
+  }
+
+  /**
+   * 获取活动图层；活动图层被删除（例如撤销了添加图层）时回退到最上层
+   * @returns {Layer}
+   */
+  getActiveLayer() {
+    let layer = this.getLayer(this.activeLayerId)
+    if (!layer) {
+      layer = this.layers[this.layers.length - 1]
+      this.activeLayerId = layer.id
     }
+    return layer
   }
 
-  redo() {
-    this.logger?.debug("准备重做", {
-      历史索引: this.historyIndex,
-      历史记录数: this.history.length
+  /**
+   * 设置活动图层，绘制、擦除和选择只作用于活动图层
+   * @param {string} layerId
+   */
+  setActiveLayer(layerId) {
+    if (!this.getLayer(layerId)) {
+      this.logger?.warn("图层不存在", { layerId })
+      return
+    }
+    this.activeLayerId = layerId
+    this.selection.clear()
+    this._redraw()
+  }
+
+  /**
+   * 添加图层并设为活动图层（可撤销）
+   * @param {{name?: string, visible?: boolean, opacity?: number, locked?: boolean}} [options]
+   * @param {number} [index] - 插入位置，默认放在最上层
+   * @returns {Layer}
+   */
+  addLayer(options = {}, index) {
+    const layer = new Layer({
+      name: `图层 ${this.layers.length + 1}`,
+      ...options,
+      strokes: []
     })
+    this._execute(new AddLayerOperation(layer, index))
+    this.activeLayerId = layer.id
+    this.selection.clear()
+    this._redraw()
+    return layer
+  }
 
-    if (this.historyIndex < this.history.length - 1) {
-      this.historyIndex++
-      this.strokes = this.history[this.historyIndex].map((s) => s.clone())
+  /**
+   * 删除图层及其笔画（可撤销），至少保留一个图层
+   * @param {string} layerId
+   * @returns {boolean} 是否删除成功
+   */
+  removeLayer(layerId) {
+    const index = this.layers.findIndex((layer) => layer.id === layerId)
+    if (index === -1 || this.layers.length <= 1) return false
+
+    this._execute(new RemoveLayerOperation(layerId))
+    if (this.activeLayerId === layerId) {
+      this.activeLayerId = this.layers[Math.max(0, index - 1)].id
+      this.selection.clear()
+    }
+    this._redraw()
+    return true
+  }
 
-      this.logger?.debug("重做完成", {
-        前进到历史索引: this.historyIndex,
-        恢复后笔画数: this.strokes.length
+  /**
+   * 调整图层的 z 顺序（可撤销）
+   * @param {string} layerId
+   * @param {number} toIndex - 目标位置，0 为最底层
+   */
+  moveLayer(layerId, toIndex) {
+    const index = this.layers.findIndex((layer) => layer.id === layerId)
+    if (index === -1 || index === toIndex) return
+    this._execute(new MoveLayerOperation(layerId, toIndex))
+    this._redraw()
+  }
+
+  /**
+   * 合并图层（可撤销）：sourceId 的笔画按 z 顺序并入 targetId，随后删除 sourceId
+   *
+   * 源图层的不透明度乘到并入的笔画上。以下情况合并会改变画面，不合并：
+   * - 任一图层隐藏或锁定
+   * - 位于上方的图层含像素橡皮擦笔画（合并后会擦到下方图层的墨迹）
+   *
+   * @param {string} sourceId
+   * @param {string} [targetId] - 默认合并到下方相邻的图层
+   * @returns {boolean} 是否合并成功
+   */
+  mergeLayers(sourceId, targetId) {
+    const index = this.layers.findIndex((layer) => layer.id === sourceId)
+    targetId = targetId ?? this.layers[index - 1]?.id
+    const target = this.getLayer(targetId)
+    if (index === -1 || !target || targetId === sourceId) return false
+
+    const source = this.layers[index]
+    const upper = index > this.layers.indexOf(target) ? source : target
+    if (
+      !source.isEditable() ||
+      !target.isEditable() ||
+      upper.strokes.some((stroke) => this.renderer.isErasing(stroke))
+    ) {
+      this.logger?.debug("图层不能合并", {
+        源图层: sourceId,
+        目标图层: targetId
       })
+      return false
+    }
 
-      this.renderer.clearCanvas(this.canvas.width, this.canvas.height)
-      this.renderer.renderStrokes(this.strokes)
-    } else {
-      this.logger?.debug("无法重做 - 已是最新状态", {
-        历史索引: this.historyIndex,
-        历史长度: this.history.length
+    this._execute(new MergeLayersOperation(sourceId, targetId))
+    if (this.activeLayerId === sourceId) this.activeLayerId = targetId
+    this.selection.clear()
+    this._redraw()
+    return true
+  }
+
+  /**
+   * 修改图层属性（可撤销）
+   * @param {string} layerId
+   * @param {{name?: string, visible?: boolean, opacity?: number, locked?: boolean}} props
+   */
+  setLayerProperties(layerId, props) {
+    if (!this.getLayer(layerId)) return
+    this._execute(new SetLayerPropertiesOperation(layerId, props))
+    this._redraw()
+  }
+
+  /**
+   * 开始一个历史分组：直到 endHistoryGroup() 之前的操作合并为一个撤销步骤
+   * @param {string} [label]
+   */
+  beginHistoryGroup(label) {
+    this.history.beginGroup(label)
+  }
+
+  /**
+   * 结束历史分组
+   */
+  endHistoryGroup() {
+    this.history.endGroup()
+  }
+
+  /**
+   * 设置背景图片，例如要批注的截图或扫描的作业
+   *
+   * 背景位于所有图层之下，不能被选择、移动或擦除，
+   * 随 serialize() 保存，并包含在 exportImage() / exportSVG() 的结果中。
+   * 背景放在世界坐标中从原点开始、与画布同尺寸的页面内（即导出的 "canvas" 区域）。
+   * 设置或移除背景不进入撤销历史，clear() 也不会移除背景。
+   *
+   * @param {Blob|ImageBitmap|string} source - 图片文件 / Blob、ImageBitmap，或图片 URL（需允许 fetch 读取）
+   * @param {Object} [options]
+   * @param {"fit"|"fill"|"original"} [options.mode="fit"] - 摆放方式：完整显示 / 铺满并裁剪 / 原始尺寸
+   * @returns {Promise<BackgroundImage>} 图片无法加载或解码时 reject，原背景保持不变
+   */
+  async setBackgroundImage(source, { mode = "fit" } = {}) {
+    if (!BACKGROUND_MODES.includes(mode)) {
+      throw new Error(`未知的背景摆放方式: ${mode}`)
+    }
+    const request = ++this._backgroundRequest
+    const background = await BackgroundImage.load(source, this._getPage(), mode)
+    // 加载期间又设置或移除了背景时，丢弃这次的结果
+    if (request === this._backgroundRequest) {
+      this.background = background
+      this._redraw()
+      this.logger?.info("背景图片已设置", {
+        尺寸: `${background.width}×${background.height}`,
+        摆放方式: mode
       })
     }
+    return background
   }
 
-  clear() {
-    this.strokes = []
-    this._saveToHistory()
-    this.renderer.clearCanvas(this.canvas.width, this.canvas.height)
+  /**
+   * 修改背景图片的摆放方式
+   * @param {"fit"|"fill"|"original"} mode
+   */
+  setBackgroundMode(mode) {
+    if (!this.background) return
+    this.background.place(mode, this._getPage())
+    this._redraw()
+  }
+
+  /**
+   * 移除背景图片
+   */
+  removeBackgroundImage() {
+    this._backgroundRequest++
+    if (!this.background) return
+    this.background = null
+    this._redraw()
+  }
+
+  /**
+   * @returns {BackgroundImage|null} 当前背景图片
+   */
+  getBackgroundImage() {
+    return this.background
+  }
+
+  // 背景图片摆放的页面：世界坐标中从原点开始、与画布同尺寸的区域
+  _getPage() {
+    return { x: 0, y: 0, ...this._getCanvasSize() }
+  }
+
+  /**
+   * 读取视口状态
+   * @returns {{x: number, y: number, zoom: number}} x / y 为世界原点在屏幕上的位置（CSS 像素）
+   */
+  getViewport() {
+    return this.viewport.get()
+  }
+
+  /**
+   * 设置视口（平移与缩放），未提供的字段保持不变
+   * @param {{x?: number, y?: number, zoom?: number}} state
+   */
+  setViewport(state) {
+    this.viewport.set(state)
+    this._onViewportChange()
+  }
+
+  /**
+   * 调整视口，使所有可见图层的内容完整显示在画布中央
+   * @param {number} [padding=20] - 四周留白（CSS 像素）
+   */
+  zoomToFit(padding = 20) {
+    const bounds = getContentBounds(getVisibleStrokes(this.layers))
+    if (!bounds) {
+      this.viewport.set({ x: 0, y: 0, zoom: 1 })
+    } else {
+      this.viewport.fitRect(bounds, this._getCanvasSize(), padding)
+    }
+    this._onViewportChange()
+  }
+
+  _getCanvasSize() {
+    return { width: this.canvas.clientWidth, height: this.canvas.clientHeight }
   }
 
   setTool(tool) {
+    this.commitText()
+    const previous = this.toolManager.getCurrentTool()
     this.toolManager.setTool(tool)
+    if (
+      previous === "select" &&
+      this.toolManager.getCurrentTool() !== "select"
+    ) {
+      this.selection.clear()
+      this._redraw()
+    }
+  }
+
+  /**
+   * 获取当前选中的笔画 ID
+   * @returns {string[]}
+   */
+  getSelection() {
+    return this.selection
+      .getSelectedStrokes(this.getActiveLayer().strokes)
+      .map((stroke) => stroke.id)
+  }
+
+  /**
+   * 以编程方式选中活动图层中的笔画（需切换到 select 工具才会显示控制柄）
+   * @param {string[]} strokeIds
+   */
+  selectStrokes(strokeIds) {
+    this.selection.select(strokeIds)
+    this._redraw()
+  }
+
+  clearSelection() {
+    this.selection.clear()
+    this._redraw()
+  }
+
+  /**
+   * 删除选中的笔画（可撤销）
+   */
+  deleteSelection() {
+    const ids = this.getSelection()
+    this.selection.clear()
+    if (ids.length > 0) {
+      this.removeStrokes(ids)
+    } else {
+      this._redraw()
+    }
   }
 
   setToolSize(size) {
     this.toolManager.setToolSize(size)
+    this._updateTextEdit({ fontSize: this.toolManager.getToolSize() })
+  }
+
+  /**
+   * 注册自定义工具，之后可通过 setTool(name) 使用，画布渲染与导出都会使用该定义
+   * @param {string} name - 工具名
+   * @param {import('./tools/ToolRegistry.js').ToolDefinition} definition
+   * @returns {Readonly<import('./tools/ToolRegistry.js').ToolDefinition>}
+   */
+  registerTool(name, definition) {
+    const normalized = this.toolManager.registerTool(name, definition)
+    // 已有笔画可能使用该工具名，渲染结果随定义变化
+    if (this.strokes.some((s) => s.tool === name)) {
+      this.inkCache.invalidate()
+      this._redraw()
+    }
+    return normalized
+  }
+
+  /**
+   * 已注册的工具名
+   * @returns {string[]}
+   */
+  getTools() {
+    return this.toolManager.getTools()
+  }
+
+  /**
+   * 设置橡皮擦模式
+   * @param {string} mode - "partial"（局部擦除）| "stroke"（整笔擦除）| "pixel"（像素擦除）
+   */
+  setEraserMode(mode) {
+    this.toolManager.setEraserMode(mode)
+  }
+
+  getEraserMode() {
+    return this.toolManager.getEraserMode()
   }
 
   getToolSize() {
     return this.toolManager.getToolSize()
   }
 
+  /**
+   * 设置当前工具的颜色，之后绘制的笔画使用该颜色
+   * @param {string} color - CSS 颜色值
+   * @returns {boolean} 是否设置成功，无效的颜色值不会生效
+   */
+  setColor(color) {
+    if (!this.toolManager.setColor(color)) return false
+    this._updateTextEdit({ color: this.toolManager.getColor() })
+    return true
+  }
+
+  getColor() {
+    return this.toolManager.getColor()
+  }
+
+  /**
+   * 设置当前工具的不透明度
+   * @param {number} opacity - 0~1
+   */
+  setOpacity(opacity) {
+    this.toolManager.setOpacity(opacity)
+    this._updateTextEdit({ opacity: this.toolManager.getOpacity() })
+  }
+
+  getOpacity() {
+    return this.toolManager.getOpacity()
+  }
+
+  getPalette() {
+    return this.toolManager.getPalette()
+  }
+
+  /**
+   * 替换调色板
+   * @param {string[]} colors
+   */
+  setPalette(colors) {
+    this.toolManager.setPalette(colors)
+  }
+
+  /**
+   * 最近使用的颜色，最近的在前
+   * @returns {string[]}
+   */
+  getRecentColors() {
+    return this.toolManager.getRecentColors()
+  }
+
+  /**
+   * 设置文字工具的字体族，编辑文字时同时应用到编辑中的文字
+   * @param {string} family - CSS font-family，如 "serif"、"'Noto Sans SC', sans-serif"
+   */
+  setFontFamily(family) {
+    this.toolManager.setFontFamily(family)
+    this._updateTextEdit({ fontFamily: this.toolManager.getFontFamily() })
+  }
+
+  getFontFamily() {
+    return this.toolManager.getFontFamily()
+  }
+
+  /**
+   * 编辑活动图层中的文字（切换到文字工具点击文字时也会进入编辑）
+   * @param {string} textId - 文字的 ID
+   * @returns {boolean} 是否进入编辑
+   */
+  editText(textId) {
+    const layer = this.getActiveLayer()
+    const target = layer.strokes.find(
+      (stroke) => stroke.id === textId && stroke.kind === "text"
+    )
+    if (!target || !layer.isEditable()) return false
+    this.commitText()
+    this._openTextEditor(layer, target.clone(), target)
+    return true
+  }
+
+  /**
+   * @returns {boolean} 是否正在编辑文字
+   */
+  isEditingText() {
+    return this._textEdit !== null
+  }
+
+  /**
+   * 结束文字编辑并提交（可撤销）：新文字添加到图层，修改过的文字替换原文字，
+   * 内容被清空的文字从图层中删除；没有修改时不产生撤销步骤
+   */
+  commitText() {
+    const edit = this._textEdit
+    if (!edit) return
+    this._textEdit = null
+
+    const { text, target } = edit
+    text.setText(this.textEditor.close())
+    const layer = this.getLayer(edit.layerId)
+    if (!layer) {
+      this._redraw()
+      return
+    }
+
+    if (!target) {
+      if (text.isValid()) {
+        this._executeOnLayer(layer.id, new AddStrokeOperation(text))
+      }
+    } else if (!text.isValid()) {
+      this._executeOnLayer(layer.id, new RemoveStrokesOperation([target.id]))
+    } else if (
+      ["text", "color", "opacity", "fontSize", "fontFamily"].some(
+        (key) => text[key] !== target[key]
+      )
+    ) {
+      this._executeOnLayer(layer.id, new ReplaceStrokeOperation(target, [text]))
+    }
+    this._redraw()
+  }
+
+  /**
+   * 放弃文字编辑，文档保持不变
+   */
+  cancelText() {
+    if (!this._textEdit) return
+    this._textEdit = null
+    this.textEditor.close()
+    this._redraw()
+  }
+
+  /**
+   * 开启或关闭形状识别
+   *
+   * 开启后绘制结束前停笔 holdDuration 毫秒，若笔画被识别为直线、矩形、椭圆、三角形或箭头，
+   * 画布上会改为显示规整图形；此时松开即提交图形，继续移动则取消吸附。
+   * 提交时先添加手绘笔画，再以单独的撤销步骤替换为图形，撤销一次即可恢复手绘笔画。
+   *
+   * @param {boolean} enabled
+   * @param {Object} [options]
+   * @param {number} [options.holdDuration=500] - 停笔多久后识别（毫秒）
+   * @param {number} [options.moveTolerance=4] - 停笔判定允许的移动范围（屏幕像素）
+   * @param {number} [options.minConfidence] - 识别结果的最低置信度，见 ShapeRecognizer
+   */
+  setShapeRecognition(enabled, options = {}) {
+    this.shapeRecognition.enabled = !!enabled
+    if (options.holdDuration !== undefined) {
+      this.shapeRecognition.holdDuration = options.holdDuration
+    }
+    if (options.moveTolerance !== undefined) {
+      this.shapeRecognition.moveTolerance = options.moveTolerance
+    }
+    if (options.minConfidence !== undefined) {
+      this.shapeRecognizer.minConfidence = options.minConfidence
+    }
+    if (!enabled) {
+      for (const active of this._activeStrokes.values()) {
+        this._cancelShapeHold(active)
+      }
+    }
+  }
+
+  /**
+   * @returns {boolean} 是否开启了形状识别
+   */
+  isShapeRecognitionEnabled() {
+    return this.shapeRecognition.enabled
+  }
+
+  /**
+   * 开启或关闭输入预测
+   *
+   * 开启后每帧在当前笔画末端临时绘制预测的墨迹，收到真实采样后替换，不会进入文档。
+   * 浏览器支持 getPredictedEvents() 时使用其预测，否则按最近的采样速度外推。
+   *
+   * @param {boolean} enabled
+   * @param {Object} [options] - 外推参数，见 InputPredictor
+   * @param {number} [options.lookahead] - 预测时长（毫秒）
+   * @param {number} [options.maxDistance] - 最大预测距离（屏幕像素）
+   */
+  setInputPrediction(enabled, options = {}) {
+    this.inputPrediction.enabled = !!enabled
+    if (options.lookahead !== undefined) {
+      this.predictor.lookahead = options.lookahead
+    }
+    if (options.maxDistance !== undefined) {
+      this.predictor.maxDistance = options.maxDistance
+    }
+  }
+
+  /**
+   * 设置输入策略：按指针类型决定用于绘制、浏览画布还是忽略
+   *
+   * 手指用于浏览画布时单指拖动平移、双指捏合缩放；手指用于绘制时第二根手指按下会开始双指缩放，
+   * 开启 multiTouch 后每根手指各画一笔，触摸手势关闭。滚轮缩放总是可用。
+   * 手指不再用于绘制时，手指正在绘制的笔画被放弃。
+   *
+   * @param {string|Object} policy - 预设名（见 INPUT_POLICIES）或覆盖当前策略部分字段的对象
+   * @param {"draw"|"ignore"} [policy.pen]
+   * @param {"draw"|"ignore"} [policy.mouse]
+   * @param {"draw"|"navigate"|"ignore"} [policy.touch]
+   * @param {boolean} [policy.multiTouch]
+   * @throws {Error} 未知的预设或用途时抛出
+   */
+  setInputPolicy(policy) {
+    const previous = this.inputPolicy
+    this.inputPolicy = getInputPolicy(policy, previous ?? undefined)
+    const { touch, multiTouch } = this.inputPolicy
+    this.gestures.setTouchGestures(
+      touch === "navigate" || (touch === "draw" && !multiTouch),
+      { singleTouchPan: touch === "navigate" }
+    )
+    if (touch !== "draw" && this._cancelActiveStrokes("touch") > 0) {
+      this._redraw()
+    }
+    if (previous) this.logger?.info("输入策略已更新", { 策略: this.inputMode })
+  }
+
+  /**
+   * @returns {Readonly<Object>} 当前输入策略，见 setInputPolicy()
+   */
+  getInputPolicy() {
+    return this.inputPolicy
+  }
+
+  /**
+   * 开启或关闭多人同时书写
+   *
+   * 开启时切换到 "multitouch" 输入策略：触控输入也可以绘制，每根手指各自绘制一个笔画，
+   * 适合多人共用的触控大屏，双指捏合缩放和平移随之关闭。
+   * 关闭后恢复双指手势，第二根手指按下时放弃手指正在绘制的笔画。
+   *
+   * @param {boolean} enabled
+   */
+  setMultiTouchDrawing(enabled) {
+    this.setInputPolicy(enabled ? "multitouch" : { multiTouch: false })
+  }
+
+  /**
+   * @returns {boolean} 是否开启了多人同时书写
+   */
+  isMultiTouchDrawingEnabled() {
+    return this.inputPolicy.touch === "draw" && this.inputPolicy.multiTouch
+  }
+
+  /**
+   * 切换触控笔配置（死区、压力曲线和线宽范围），见 StylusAdapter
+   * @param {string} name - 'default'、'surface'、'wacom' 或 'apple'，未知的配置名使用 default
+   */
+  setStylusProfile(name) {
+    this.stylusAdapter.useProfile(name)
+    this.stylusProfile = this.stylusAdapter.profileName
+  }
+
+  /**
+   * 设置用户的压力曲线，优先于触控笔配置中的曲线，只影响之后绘制的笔画
+   *
+   * 保存：JSON.stringify(board.getPressureCurve())；恢复：board.setPressureCurve(JSON.parse(saved))
+   *
+   * @param {import('./input/PressureCurve.js').PressureCurve|Object|number[]|null} curve - PressureCurve、其 JSON 或 [low, high] 简写，null 时恢复使用配置中的曲线
+   * @throws {Error} 曲线无效时抛出
+   */
+  setPressureCurve(curve) {
+    this.stylusAdapter.setPressureCurve(curve)
+  }
+
+  /**
+   * @returns {import('./input/PressureCurve.js').PressureCurve} 当前生效的压力曲线
+   */
+  getPressureCurve() {
+    return this.stylusAdapter.getPressureCurve()
+  }
+
+  /**
+   * 压力校准：请用户先轻压书写几笔，再用力书写几笔，按其习惯拟合压力曲线
+   *
+   * 校准期间只接受触控笔，笔画以钢笔显示，松开后即消失，不进入文档；
+   * 完成后拟合的曲线自动生效（见 setPressureCurve()），可序列化保存供下次恢复。
+   *
+   * @param {Object} [options] - 见 PressureCalibration
+   * @param {number} [options.strokes=3] - 每个阶段需要的笔画数
+   * @param {function({phase: string, recorded: number, strokes: number}): void} [options.onProgress] - 每记录一笔后调用，phase 为接下来需要的阶段
+   * @returns {Promise<import('./input/PressureCurve.js').PressureCurve>} 拟合出的曲线；取消、轻重压没有区别或开始新的校准时 reject
+   */
+  calibratePressure(options = {}) {
+    this.cancelPressureCalibration()
+    const { onProgress, ...sessionOptions } = options
+    return new Promise((resolve, reject) => {
+      this._calibration = {
+        session: new PressureCalibration(sessionOptions),
+        resolve,
+        reject,
+        onProgress
+      }
+      this.logger?.info("开始压力校准")
+    })
+  }
+
+  /**
+   * 取消进行中的压力校准，正在绘制的校准笔画被放弃
+   */
+  cancelPressureCalibration() {
+    const calibration = this._calibration
+    if (!calibration) return
+    this._calibration = null
+    for (const [pointerId, active] of this._activeStrokes) {
+      if (active.calibration) this._activeStrokes.delete(pointerId)
+    }
+    this._redraw()
+    calibration.reject(new Error("压力校准已取消"))
+  }
+
+  /**
+   * @returns {boolean} 是否正在进行压力校准
+   */
+  isCalibratingPressure() {
+    return this._calibration !== null
+  }
+
+  /**
+   * 开启或关闭防误触，并可调整判定参数
+   *
+   * 开启后，接触面积过大、触控笔按下期间或刚离开屏幕时、以及笔附近的触摸不会绘制，也不参与手势；
+   * 触控笔按下时手指正在绘制的笔画和进行中的手势总是被放弃。
+   *
+   * @param {boolean} enabled
+   * @param {Object} [options] - 见 PalmRejection
+   * @param {number} [options.maxContactSize] - 手指接触面积的最大边长（CSS 像素）
+   * @param {number} [options.penTimeout] - 笔活动后拒绝所有触摸的时长（毫秒）
+   * @param {number} [options.proximityTimeout] - 笔活动后拒绝笔附近触摸的时长（毫秒）
+   * @param {number} [options.proximityRadius] - 笔附近的范围（CSS 像素）
+   */
+  setPalmRejection(enabled, options = {}) {
+    this.palmRejection.setOptions({ ...options, enabled })
+  }
+
+  /**
+   * @returns {boolean} 是否开启了防误触
+   */
+  isPalmRejectionEnabled() {
+    return this.palmRejection.enabled
+  }
+
+  /**
+   * @returns {number} 正在绘制的笔画数（每个按下的指针一个）
+   */
+  getActiveStrokeCount() {
+    return this._activeStrokes.size
+  }
+
+  /**
+   * @returns {boolean} 是否开启了输入预测
+   */
+  isInputPredictionEnabled() {
+    return this.inputPrediction.enabled
+  }
+
+  /**
+   * 识别笔画的形状，不修改文档
+   * @param {Stroke|Array<{x: number, y: number}>} strokeOrPoints
+   * @returns {Array<{type: string, confidence: number, shape: Object}>} 各形状的置信度，从高到低排列
+   */
+  recognizeShape(strokeOrPoints) {
+    const points = Array.isArray(strokeOrPoints)
+      ? strokeOrPoints
+      : strokeOrPoints.points
+    return this.shapeRecognizer.classify(points)
+  }
+
+  /**
+   * 在 "pen"（笔绘制，手指平移缩放）和 "mouse"（所有输入都可以绘制）两种输入策略之间切换
+   * @returns {string} 切换后的策略名
+   */
   toggleInputMode() {
-    this.inputMode = this.inputMode === "pen" ? "mouse" : "pen"
+    this.setInputPolicy(this.inputMode === "pen" ? "mouse" : "pen")
     return this.inputMode
   }
 
+  /**
+   * 当前输入策略的预设名，自定义策略为 "custom"
+   * @returns {string}
+   */
+  get inputMode() {
+    return getInputPolicyName(this.inputPolicy)
+  }
+
   exportLogs() {
     const data = {
       strokes: this.strokes,
@@ -281,6 +2070,126 @@ class DrawingBoard {
     }
   }
 
+  /**
+   * 导出为独立的 SVG 字符串，笔画为按压力变宽的矢量轮廓
+   * @param {Object} [options]
+   * @param {number} [options.width] - 输出宽度，默认画布 CSS 宽度
+   * @param {number} [options.height] - 输出高度，默认画布 CSS 高度
+   * @param {string|null} [options.background=null] - 背景色，null 为透明
+   * @param {BackgroundImage|null} [options.backgroundImage] - 背景图片，默认当前背景，null 为不包含
+   * @returns {string}
+   */
+  exportSVG(options = {}) {
+    this.commitText()
+    return exportSVG(this.layers, {
+      width: this.canvas.clientWidth,
+      height: this.canvas.clientHeight,
+      backgroundImage: this.background,
+      rendererOptions: {
+        smoothSteps: this.renderer.smoothSteps,
+        toolRegistry: this.toolManager.registry
+      },
+      ...options
+    })
+  }
+
+  /**
+   * 导出为 SVG Blob，便于下载或上传
+   * @param {Object} [options] - 同 exportSVG
+   * @returns {Blob}
+   */
+  exportSVGBlob(options = {}) {
+    return new Blob([this.exportSVG(options)], { type: "image/svg+xml" })
+  }
+
+  /**
+   * 把笔画重新渲染到离屏画布并导出为图片，与屏幕 DPR 无关
+   * @param {Object} [options]
+   * @param {string} [options.type="image/png"] - image/png | image/jpeg | image/webp
+   * @param {number} [options.quality] - JPEG/WebP 编码质量 0~1
+   * @param {number} [options.scale] - 输出像素比，默认当前屏幕 DPR（region 为 "viewport" 时再乘以视口缩放比例）
+   * @param {string|null} [options.background=null] - 背景色，null 为透明
+   * @param {BackgroundImage|null} [options.backgroundImage] - 背景图片，默认当前背景，null 为不包含
+   * @param {"canvas"|"viewport"|"content"|{x: number, y: number, width: number, height: number}} [options.region="canvas"] - 导出区域：
+   *   "canvas" 为世界坐标中从原点开始、与画布同尺寸的区域，"viewport" 为当前屏幕可见区域，"content" 为裁剪到墨迹范围
+   * @param {number} [options.padding=0] - 区域四周留白（CSS 像素）
+   * @returns {Promise<Blob>}
+   */
+  async exportImage(options = {}) {
+    this.commitText()
+    const { backgroundImage = this.background } = options
+    // 从文档加载的背景可能还在解码
+    await backgroundImage?.decode()
+    // 导出可见区域时默认与屏幕显示的像素密度一致
+    const viewport = options.region === "viewport"
+    return exportImage(this.layers, {
+      scale: viewport ? this.dpr * this.viewport.zoom : this.dpr,
+      ...options,
+      backgroundImage,
+      region: viewport
+        ? this.viewport.getVisibleRect(this._getCanvasSize())
+        : options.region,
+      canvasSize: {
+        width: this.canvas.clientWidth,
+        height: this.canvas.clientHeight
+      },
+      rendererOptions: {
+        smoothSteps: this.renderer.smoothSteps,
+        toolRegistry: this.toolManager.registry
+      }
+    })
+  }
+
+  /**
+   * 把当前画布内容序列化为版本化的文档对象
+   * 文档结构见 src/document/DocumentFormat.js
+   * @returns {Object} 可直接 JSON.stringify 后保存的文档
+   */
+  serialize() {
+    this.commitText()
+    return serializeDocument({
+      layers: this.layers,
+      activeLayerId: this.activeLayerId,
+      background: this.background,
+      size: {
+        width: this.canvas.clientWidth,
+        height: this.canvas.clientHeight
+      }
+    })
+  }
+
+  /**
+   * 加载文档（旧版本会自动迁移），替换当前内容并重置历史记录
+   * 文档中的背景图片异步解码，解码完成后自动重绘
+   * @param {string|Object} doc - serialize() 的结果或其 JSON 字符串
+   */
+  load(doc) {
+    const { layers, activeLayerId, background } = parseDocument(doc)
+
+    this.cancelText()
+    this._cancelActiveStrokes()
+    this.layers = layers
+    this.activeLayerId = activeLayerId
+    this.getActiveLayer()
+    this.inkCache.invalidate()
+    this.selection.clear()
+    this.history.clear()
+    this._backgroundRequest++
+    this.background = background
+    this._redraw()
+    background?.decode().then(
+      () => {
+        if (this.background === background) this._redraw()
+      },
+      (error) => this.logger?.error("背景图片解码失败", { 错误: error.message })
+    )
+
+    this.logger?.info("文档已加载", {
+      图层数: this.layers.length,
+      笔画数: this.strokes.length
+    })
+  }
+
   // 模拟低帧率模式
   simulateLowFPS(enable) {
     this._isSimulatingLowFPS = enable
@@ -336,14 +2245,17 @@ class DrawingBoard {
 
     const smoothSteps = fps < 30 ? 2 : 4
 
+    const toolRegistry = this.toolManager.registry
     this.renderer = new CanvasRenderer(this.ctx, this.dpr, {
       lowFPS: this.lowPerformance,
-      smoothSteps
+      smoothSteps,
+      toolRegistry
     })
 
     this.preview = new PreviewRenderer(this.ctx, {
       lowFPS: this.lowPerformance,
-      smoothSteps
+      smoothSteps,
+      toolRegistry
     })
 
     // 监控FPS变化，动态调整渲染质量
@@ -370,12 +2282,6 @@ class DrawingBoard {
       }
     })
 
-    this.stylusProfile = "default"
-    this.setStylusProfile = (name) => {
-      this.stylusProfile = name
-      this.stylusAdapter?.useProfile?.(name)
-    }
-
     // 🛠 Debug 日志输出 pointer event
     this._debugEvent = (e) => {
       console.log("PointerEvent:", {
@@ -392,7 +2298,6 @@ class DrawingBoard {
     const originalDown = this._onPointerDown?.bind(this)
     this._onPointerDown = (e) => {
       this._debugEvent(e)
-      if (this.inputMode === "pen" && e.pointerType !== "pen") return
       const pressure = e.pressure > 0 ? e.pressure : 0.5
       e._patchedPressure = pressure
       originalDown?.(e)
@@ -407,19 +2312,165 @@ class DrawingBoard {
   }
 }
 
-// 自动挂载（示例）
-window.drawingBoard = new DrawingBoard("drawing-board")
+// 预测墨迹从笔画末尾的这几个点开始绘制，与已绘制的墨迹衔接
+const PREDICTION_TAIL_POINTS = 4
+
+// 笔画末尾几个点组成的笔画，只用于绘制预测的墨迹
+function getStrokeTail(stroke) {
+  const start = Math.max(0, stroke.points.length - PREDICTION_TAIL_POINTS)
+  const tail = new Stroke(
+    stroke.tool,
+    stroke.points[start],
+    stroke.pressures[start],
+    stroke.baseSize
+  )
+  tail.id = stroke.id
+  tail.points = stroke.points.slice(start)
+  tail.pressures = stroke.pressures.slice(start)
+  tail.orientations = stroke.orientations?.slice(start) ?? null
+  tail.color = stroke.color
+  tail.opacity = stroke.opacity
+  tail.width = stroke.width
+  tail.timestamp = stroke.timestamp
+  tail.seed = stroke.seed
+  tail.rotation = stroke.rotation
+  return tail
+}
+
+// 在笔画副本末端追加预测点，沿用最后一个点的压力和姿态
+function extendStroke(stroke, points) {
+  const extended = stroke.clone()
+  const last = stroke.points.length - 1
+  for (const point of points) {
+    extended.addPoint(
+      point,
+      stroke.pressures[last],
+      stroke.orientations?.[last] ?? null
+    )
+  }
+  return extended
+}
+
+// 自动挂载（示例）：仅在浏览器中且页面存在对应元素时执行，Node 中可安全引入
+if (
+  typeof document !== "undefined" &&
+  document.getElementById("drawing-board")
+) {
+  window.drawingBoard = new DrawingBoard("drawing-board")
+}
 
 // 导出所有主要类和工具
 export { DrawingBoard } // 直接导出当前文件中定义的DrawingBoard类
 export { Stroke } from "./tools/Stroke.js"
-export { ToolManager } from "./tools/ToolManager.js"
+export { ToolManager, DEFAULT_PALETTE } from "./tools/ToolManager.js"
+export {
+  ToolRegistry,
+  SMOOTHING_PRESETS,
+  getSmoothingOptions
+} from "./tools/ToolRegistry.js"
+export {
+  BrushEngine,
+  BRUSH_PRESETS,
+  getBrushPreset
+} from "./renderer/BrushEngine.js"
+export { createRandom } from "./utils/random.js"
+export {
+  StylusAdapter,
+  getBrushOrientation,
+  tiltToSpherical,
+  sphericalToTilt
+} from "./input/StylusAdapter.js"
+export {
+  NIB_DEFAULTS,
+  getNibOptions,
+  getNibAngles,
+  applyNibWidth
+} from "./renderer/NibOutline.js"
+export { ShapeRecognizer } from "./recognition/ShapeRecognizer.js"
+export {
+  Shape,
+  SHAPE_TYPES,
+  shapeToPoints,
+  createShapeFromDrag,
+  transformShapeGeometry
+} from "./tools/Shape.js"
+export { traceShape } from "./renderer/ShapeOutline.js"
+export {
+  TextBox,
+  DEFAULT_FONT_FAMILY,
+  TEXT_LINE_HEIGHT
+} from "./tools/TextBox.js"
+export { TextEditor } from "./ui/TextEditor.js"
+export { countDirectionChanges } from "./utils/geometry.js"
+export { Viewport } from "./core/Viewport.js"
+export { GestureHandler } from "./input/GestureHandler.js"
+export { PointerInputHandler } from "./input/PointerInputHandler.js"
+export { InputPredictor } from "./input/InputPredictor.js"
+export { PalmRejection } from "./input/PalmRejection.js"
+export {
+  PressureCurve,
+  createPressureCurve,
+  createMonotoneCurve
+} from "./input/PressureCurve.js"
+export {
+  PressureCalibration,
+  CALIBRATION_PHASES
+} from "./input/PressureCalibration.js"
+export {
+  INPUT_POLICIES,
+  POINTER_ACTIONS,
+  getInputPolicy,
+  getPointerAction
+} from "./input/InputPolicy.js"
+export { Layer } from "./document/Layer.js"
+export {
+  BackgroundImage,
+  BACKGROUND_MODES,
+  placeBackground
+} from "./document/BackgroundImage.js"
+export { SelectionTool } from "./tools/SelectionTool.js"
 export { CanvasRenderer } from "./renderer/CanvasRenderer.js"
 export { PreviewRenderer } from "./renderer/PreviewRenderer.js"
+export { RecordingContext } from "./renderer/targets/RecordingContext.js"
+export { SvgContext } from "./renderer/targets/SvgContext.js"
+export {
+  RENDER_TARGET_METHODS,
+  isRenderTarget
+} from "./renderer/targets/RenderTarget.js"
 export { PathSmoother } from "./utils/PathSmoother.js"
+export { Mat2D, Vec2 } from "./utils/math.js"
+export { HistoryManager } from "./history/HistoryManager.js"
+export {
+  AddStrokeOperation,
+  RemoveStrokesOperation,
+  ReplaceStrokeOperation,
+  ClearOperation,
+  TransformOperation,
+  LayerOperation,
+  AddLayerOperation,
+  RemoveLayerOperation,
+  MoveLayerOperation,
+  MergeLayersOperation,
+  SetLayerPropertiesOperation,
+  GroupOperation
+} from "./history/HistoryOperations.js"
+export {
+  findStrokesHitByEraser,
+  splitStrokesByEraser
+} from "./tools/VectorEraser.js"
+export {
+  DOCUMENT_FORMAT,
+  DOCUMENT_VERSION,
+  serializeDocument,
+  parseDocument,
+  migrateDocument
+} from "./document/DocumentFormat.js"
+export { exportSVG } from "./export/SvgExporter.js"
+export { exportImage, getContentBounds } from "./export/ImageExporter.js"
 
 // 导出辅助工具和函数
 export {
   getDevicePixelRatio,
   measureDevicePerformance
 } from "./utils/device.js"
+export { measureTextWidth } from "./utils/canvas.js"
@@ -0,0 +1,141 @@
+// src/input/GestureHandler.js
+
+/**
+ * 手势处理模块：滚轮缩放、双指捏合缩放与平移，可选单指拖动平移
+ *
+ * 需要在 PointerInputHandler 之前绑定，这样第二根手指按下时手势已经开始，
+ * 绘图逻辑可以通过 isActive() 忽略这次按下。
+ */
+export class GestureHandler {
+  /**
+   * @param {HTMLCanvasElement} canvas - 画布 DOM 元素
+   * @param {Object} [options]
+   * @param {number} [options.wheelZoomSpeed=0.0015] - 每个滚轮像素对应的缩放速度
+   * @param {boolean} [options.touchGestures=true] - 是否响应双指缩放与平移
+   * @param {boolean} [options.singleTouchPan=false] - 是否响应单指拖动平移
+   * @param {function(PointerEvent): boolean} [options.filter] - 返回 false 的触摸不参与手势（例如被防误触拒绝的手掌）
+   */
+  constructor(canvas, options = {}) {
+    this.canvas = canvas
+    this.wheelZoomSpeed = options.wheelZoomSpeed ?? 0.0015
+    this.touchGestures = options.touchGestures ?? true
+    this.singleTouchPan = options.singleTouchPan ?? false
+    this.filter = options.filter ?? null
+    this.touches = new Map()
+    this._last = null
+  }
+
+  /**
+   * 绑定手势事件
+   * @param {Object} handlers
+   * @param {function(number, {x: number, y: number}): void} [handlers.onZoom] - 缩放倍数与缩放中心（画布内 CSS 像素）
+   * @param {function(number, number): void} [handlers.onPan] - 平移距离（CSS 像素）
+   * @param {function(): void} [handlers.onGestureStart] - 手势开始
+   * @param {function(): void} [handlers.onGestureEnd] - 手势结束
+   */
+  bindEvents(handlers) {
+    const { onZoom, onPan, onGestureStart, onGestureEnd } = handlers
+
+    this.canvas.addEventListener(
+      "wheel",
+      (e) => {
+        e.preventDefault()
+        // deltaMode 为 1 时单位是行，按 16px 换算
+        const delta = e.deltaMode === 1 ? e.deltaY * 16 : e.deltaY
+        // 触控板捏合会以 ctrlKey + wheel 的形式上报，增量较小，放大系数
+        const speed = e.ctrlKey ? this.wheelZoomSpeed * 6 : this.wheelZoomSpeed
+        onZoom?.(Math.exp(-delta * speed), this._toCanvas(e))
+      },
+      { passive: false }
+    )
+
+    this.canvas.addEventListener("pointerdown", (e) => {
+      if (e.pointerType !== "touch" || !this.touchGestures) return
+      if (this.filter && !this.filter(e)) return
+      this.touches.set(e.pointerId, this._toCanvas(e))
+      if (this.touches.size < this._minTouches()) return
+      const started = !this.isActive()
+      // 手指数量变化时重新取基准，避免中点跳变
+      this._last = this._measure()
+      if (started) onGestureStart?.()
+    })
+
+    this.canvas.addEventListener("pointermove", (e) => {
+      if (!this.touches.has(e.pointerId)) return
+      this.touches.set(e.pointerId, this._toCanvas(e))
+      if (!this.isActive()) return
+
+      const current = this._measure()
+      onPan?.(
+        current.center.x - this._last.center.x,
+        current.center.y - this._last.center.y
+      )
+      if (this._last.distance > 0) {
+        onZoom?.(current.distance / this._last.distance, current.center)
+      }
+      this._last = current
+    })
+
+    const end = (e) => {
+      if (!this.touches.delete(e.pointerId)) return
+      if (!this._last) return
+      if (this.touches.size >= this._minTouches()) {
+        this._last = this._measure()
+      } else {
+        this._last = null
+        onGestureEnd?.()
+      }
+    }
+    this.canvas.addEventListener("pointerup", end)
+    this.canvas.addEventListener("pointercancel", end)
+    this.canvas.addEventListener("pointerleave", end)
+  }
+
+  /**
+   * 开启或关闭触摸手势，关闭时放弃正在进行的手势
+   * @param {boolean} enabled
+   * @param {Object} [options]
+   * @param {boolean} [options.singleTouchPan] - 是否响应单指拖动平移
+   */
+  setTouchGestures(enabled, options = {}) {
+    this.touchGestures = !!enabled
+    if (options.singleTouchPan !== undefined) {
+      this.singleTouchPan = !!options.singleTouchPan
+    }
+    if (!enabled) this.cancel()
+  }
+
+  /**
+   * 放弃正在进行的手势（例如触控笔按下时），已按下的手指在抬起前不再参与手势
+   */
+  cancel() {
+    this.touches.clear()
+    this._last = null
+  }
+
+  /**
+   * 是否正在进行触摸手势
+   * @returns {boolean}
+   */
+  isActive() {
+    return this._last !== null
+  }
+
+  _minTouches() {
+    return this.singleTouchPan ? 1 : 2
+  }
+
+  // 取前两根手指的中点和距离，只有一根手指时距离为 0
+  _measure() {
+    const [a, b = a] = [...this.touches.values()]
+    return {
+      center: { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 },
+      distance: Math.hypot(b.x - a.x, b.y - a.y)
+    }
+  }
+
+  _toCanvas(e) {
+    const rect = this.canvas.getBoundingClientRect()
+    return { x: e.clientX - rect.left, y: e.clientY - rect.top }
+  }
+}
@@ -0,0 +1,102 @@
+// src/input/InputPolicy.js
+// 输入策略：按指针类型决定输入用于绘制、浏览画布还是被忽略
+
+/**
+ * 指针的用途
+ * - draw: 绘制（以及选择、放置文字等编辑操作）
+ * - navigate: 浏览画布，单指拖动平移、双指捏合缩放，只适用于触摸
+ * - ignore: 忽略
+ */
+export const POINTER_ACTIONS = ["draw", "navigate", "ignore"]
+
+/**
+ * @typedef {Object} InputPolicy
+ * @property {"draw"|"ignore"} pen - 触控笔的用途
+ * @property {"draw"|"ignore"} mouse - 鼠标的用途
+ * @property {"draw"|"navigate"|"ignore"} touch - 手指的用途
+ * @property {boolean} multiTouch - 手指绘制时是否每根手指各画一笔；否则第二根手指按下时开始双指缩放
+ */
+
+/**
+ * 预设的输入策略
+ * - pen: 笔绘制，手指平移和缩放，鼠标不绘制
+ * - mouse: 笔、鼠标和手指都可以绘制，双指捏合缩放
+ * - multitouch: 笔、鼠标和手指都可以绘制，每根手指各画一笔，适合多人共用的触控大屏
+ */
+export const INPUT_POLICIES = Object.freeze({
+  pen: Object.freeze({
+    pen: "draw",
+    mouse: "ignore",
+    touch: "navigate",
+    multiTouch: false
+  }),
+  mouse: Object.freeze({
+    pen: "draw",
+    mouse: "draw",
+    touch: "draw",
+    multiTouch: false
+  }),
+  multitouch: Object.freeze({
+    pen: "draw",
+    mouse: "draw",
+    touch: "draw",
+    multiTouch: true
+  })
+})
+
+/**
+ * 把预设名或部分设置解析为完整的输入策略
+ * @param {string|Partial<InputPolicy>} policy - 预设名，或覆盖 base 中部分字段的对象
+ * @param {InputPolicy} [base=INPUT_POLICIES.pen] - 对象形式时的基础策略
+ * @returns {Readonly<InputPolicy>}
+ * @throws {Error} 未知的预设或用途时抛出
+ */
+export function getInputPolicy(policy, base = INPUT_POLICIES.pen) {
+  if (typeof policy === "string") {
+    if (!INPUT_POLICIES[policy]) throw new Error(`未知的输入策略: ${policy}`)
+    return INPUT_POLICIES[policy]
+  }
+
+  const result = {
+    ...base,
+    ...policy,
+    multiTouch: !!(policy.multiTouch ?? base.multiTouch)
+  }
+  for (const type of ["pen", "mouse", "touch"]) {
+    if (!POINTER_ACTIONS.includes(result[type])) {
+      throw new Error(`未知的指针用途: ${type} = ${result[type]}`)
+    }
+  }
+  if (result.pen === "navigate" || result.mouse === "navigate") {
+    throw new Error("只有触摸可以用于浏览画布")
+  }
+  return Object.freeze(result)
+}
+
+/**
+ * 输入策略中某种指针的用途，未知的指针类型按鼠标处理
+ * @param {InputPolicy} policy
+ * @param {string} pointerType - PointerEvent.pointerType
+ * @returns {"draw"|"navigate"|"ignore"}
+ */
+export function getPointerAction(policy, pointerType) {
+  if (pointerType === "pen" || pointerType === "touch") {
+    return policy[pointerType]
+  }
+  return policy.mouse
+}
+
+/**
+ * 策略对应的预设名，与所有预设都不同时为 "custom"
+ * @param {InputPolicy} policy
+ * @returns {string}
+ */
+export function getInputPolicyName(policy) {
+  const names = Object.keys(INPUT_POLICIES)
+  return (
+    names.find((name) => {
+      const preset = INPUT_POLICIES[name]
+      return Object.keys(preset).every((key) => preset[key] === policy[key])
+    }) ?? "custom"
+  )
+}
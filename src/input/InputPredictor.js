@@ -0,0 +1,77 @@
+// src/input/InputPredictor.js
+
+/**
+ * 输入预测：浏览器不提供 getPredictedEvents() 时，按最近的采样外推笔尖位置
+ *
+ * 用最近 window 毫秒内首尾两个采样估计速度，沿当前方向匀速外推 lookahead 毫秒，
+ * 外推距离不超过 maxDistance，停笔（速度接近 0）时不预测。
+ * 坐标系由调用方决定，通常使用屏幕坐标，预测距离与缩放无关。
+ */
+export class InputPredictor {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.lookahead=16] - 预测的时长（毫秒），约一帧
+   * @param {number} [options.window=40] - 估计速度使用的采样时间窗口（毫秒）
+   * @param {number} [options.maxDistance=24] - 最大预测距离
+   * @param {number} [options.steps=2] - 预测点数，均匀分布在预测时长内
+   */
+  constructor(options = {}) {
+    this.lookahead = options.lookahead ?? 16
+    this.window = options.window ?? 40
+    this.maxDistance = options.maxDistance ?? 24
+    this.steps = options.steps ?? 2
+    this.samples = []
+  }
+
+  /**
+   * 清空采样（每个笔画开始时调用）
+   */
+  reset() {
+    this.samples = []
+  }
+
+  /**
+   * 记录一个真实采样
+   * @param {{x: number, y: number}} point
+   * @param {number} time - 采样时间（毫秒，通常为 event.timeStamp）
+   */
+  addSample(point, time) {
+    this.samples.push({ x: point.x, y: point.y, time })
+    // 保留时间窗口内的采样，至少保留两个
+    while (
+      this.samples.length > 2 &&
+      time - this.samples[0].time > this.window
+    ) {
+      this.samples.shift()
+    }
+  }
+
+  /**
+   * 外推出的后续位置
+   * @returns {Array<{x: number, y: number}>} 没有足够采样或已停笔时为空数组
+   */
+  predict() {
+    const n = this.samples.length
+    if (n < 2) return []
+    const first = this.samples[0]
+    const last = this.samples[n - 1]
+    const dt = last.time - first.time
+    if (dt <= 0) return []
+
+    const vx = (last.x - first.x) / dt
+    const vy = (last.y - first.y) / dt
+    const speed = Math.hypot(vx, vy)
+    if (speed < 0.01) return []
+
+    const distance = Math.min(speed * this.lookahead, this.maxDistance)
+    const points = []
+    for (let i = 1; i <= this.steps; i++) {
+      const d = (distance * i) / this.steps
+      points.push({
+        x: last.x + (vx / speed) * d,
+        y: last.y + (vy / speed) * d
+      })
+    }
+    return points
+  }
+}
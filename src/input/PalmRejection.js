@@ -0,0 +1,128 @@
+// src/input/PalmRejection.js
+
+/**
+ * 防误触（手掌拒绝）：判断一次触摸是否可能是书写时搭在屏幕上的手掌
+ *
+ * 依次使用三种线索：
+ * - 接触面积：width / height 超过 maxContactSize 的触摸是手掌或手的侧面
+ * - 时间：触控笔按下期间，以及笔离开屏幕或悬停后的 penTimeout 毫秒内，所有触摸都被拒绝
+ * - 位置：笔最近 proximityTimeout 毫秒内活动过时，距笔的位置 proximityRadius 以内的触摸被拒绝，
+ *   另一只手在远处的操作不受影响
+ *
+ * 需要先于其他指针处理绑定事件，这样笔按下时其他模块已经能看到最新的笔状态。
+ */
+export class PalmRejection {
+  /**
+   * @param {HTMLCanvasElement} canvas - 画布 DOM 元素
+   * @param {Object} [options]
+   * @param {boolean} [options.enabled=true] - 是否启用
+   * @param {number} [options.maxContactSize=40] - 手指接触面积的最大边长（CSS 像素）
+   * @param {number} [options.penTimeout=300] - 笔活动后拒绝所有触摸的时长（毫秒）
+   * @param {number} [options.proximityTimeout=2000] - 笔活动后拒绝笔附近触摸的时长（毫秒）
+   * @param {number} [options.proximityRadius=200] - 笔附近的范围（CSS 像素）
+   */
+  constructor(canvas, options = {}) {
+    this.canvas = canvas
+    this.enabled = options.enabled ?? true
+    this.maxContactSize = options.maxContactSize ?? 40
+    this.penTimeout = options.penTimeout ?? 300
+    this.proximityTimeout = options.proximityTimeout ?? 2000
+    this.proximityRadius = options.proximityRadius ?? 200
+    this._penDown = false
+    this._penTime = -Infinity
+    this._penPosition = null
+  }
+
+  /**
+   * 绑定事件，记录触控笔的按下、移动（包括悬停）和抬起
+   * @param {Object} [handlers]
+   * @param {function(PointerEvent): void} [handlers.onPenDown] - 笔按下时调用，可在此取消手指的操作
+   */
+  bindEvents(handlers = {}) {
+    const { onPenDown } = handlers
+
+    const track = (e) => {
+      if (e.pointerType !== "pen") return
+      this._penTime = e.timeStamp
+      this._penPosition = { x: e.clientX, y: e.clientY }
+    }
+
+    this.canvas.addEventListener("pointerdown", (e) => {
+      track(e)
+      if (e.pointerType !== "pen") return
+      this._penDown = true
+      onPenDown?.(e)
+    })
+    this.canvas.addEventListener("pointermove", track)
+
+    const release = (e) => {
+      track(e)
+      if (e.pointerType === "pen") this._penDown = false
+    }
+    this.canvas.addEventListener("pointerup", release)
+    this.canvas.addEventListener("pointercancel", release)
+    this.canvas.addEventListener("pointerleave", release)
+  }
+
+  /**
+   * 判断一次触摸是否应被拒绝，只检查触摸，笔和鼠标总是接受
+   * @param {PointerEvent} event
+   * @returns {"contact"|"pen"|"timing"|"proximity"|null} 拒绝的原因，接受时为 null
+   */
+  check(event) {
+    if (!this.enabled || event.pointerType !== "touch") return null
+    if (this.isPalmContact(event)) return "contact"
+    if (this._penDown) return "pen"
+
+    const elapsed = event.timeStamp - this._penTime
+    if (elapsed < this.penTimeout) return "timing"
+    if (
+      elapsed < this.proximityTimeout &&
+      Math.hypot(
+        event.clientX - this._penPosition.x,
+        event.clientY - this._penPosition.y
+      ) < this.proximityRadius
+    ) {
+      return "proximity"
+    }
+    return null
+  }
+
+  /**
+   * 接触面积是否超过手指的范围；手掌刚接触时面积较小，移动过程中需要重新检查
+   * @param {PointerEvent} event
+   * @returns {boolean}
+   */
+  isPalmContact(event) {
+    return (
+      this.enabled &&
+      event.pointerType === "touch" &&
+      Math.max(event.width ?? 0, event.height ?? 0) > this.maxContactSize
+    )
+  }
+
+  /**
+   * @returns {boolean} 触控笔是否正在接触屏幕
+   */
+  isPenDown() {
+    return this._penDown
+  }
+
+  /**
+   * 修改参数，见构造函数
+   * @param {Object} options
+   */
+  setOptions(options = {}) {
+    if (options.enabled !== undefined) this.enabled = !!options.enabled
+    if (options.maxContactSize !== undefined) {
+      this.maxContactSize = options.maxContactSize
+    }
+    if (options.penTimeout !== undefined) this.penTimeout = options.penTimeout
+    if (options.proximityTimeout !== undefined) {
+      this.proximityTimeout = options.proximityTimeout
+    }
+    if (options.proximityRadius !== undefined) {
+      this.proximityRadius = options.proximityRadius
+    }
+  }
+}
@@ -7,20 +7,23 @@ export class PointerInputHandler {
   /**
    * @param {HTMLCanvasElement} canvas - 画布 DOM 元素
    * @param {function} pressureResolver - 计算压力值的方法
+   * @param {import('../core/Viewport.js').Viewport} [viewport] - 视口，用于把屏幕坐标转换为世界坐标
    */
-  constructor(canvas, pressureResolver) {
+  constructor(canvas, pressureResolver, viewport = null) {
     this.canvas = canvas
     this.getPressure = pressureResolver
+    this.viewport = viewport
     this.pointerIds = new Set()
     this.lastPointerType = null
   }
 
   /**
    * 绑定指针相关事件
-   * @param {Object} handlers - 各类事件处理器
+   * @param {Object} handlers - 各类事件处理器，每个指针的事件带有各自的 pointerId
    */
   bindEvents(handlers) {
-    const { onPointerDown, onPointerMove, onPointerUp } = handlers
+    const { onPointerDown, onPointerMove, onPointerUp, onPointerCancel } =
+      handlers
 
     this.canvas.addEventListener("pointerdown", (e) => {
       this.pointerIds.add(e.pointerId)
@@ -44,10 +47,40 @@ export class PointerInputHandler {
       onPointerUp?.(e)
     })
 
+    // 被浏览器取消的指针没有提供处理器时按松开处理
+    this.canvas.addEventListener("pointercancel", (e) => {
+      this.pointerIds.delete(e.pointerId)
+      const handler = onPointerCancel ?? onPointerUp
+      handler?.(e)
+    })
+
     // 禁止默认行为
     this.canvas.style.touchAction = "none"
   }
 
+  /**
+   * 一次 pointermove 携带的全部硬件采样，按时间顺序排列
+   *
+   * 高采样率的数位板在两帧之间会产生多个采样，浏览器把它们合并为一个事件；
+   * 不支持 getCoalescedEvents() 时只返回事件本身。
+   *
+   * @param {PointerEvent} event
+   * @returns {PointerEvent[]}
+   */
+  getCoalescedEvents(event) {
+    const events = event.getCoalescedEvents?.()
+    return events && events.length > 0 ? events : [event]
+  }
+
+  /**
+   * 浏览器预测的后续采样，不支持时为空数组
+   * @param {PointerEvent} event
+   * @returns {PointerEvent[]}
+   */
+  getPredictedEvents(event) {
+    return event.getPredictedEvents?.() ?? []
+  }
+
   /**
    * 获取当前 pointer 在 canvas 内的坐标（CSS 像素）
    * @param {number} clientX
@@ -61,4 +94,15 @@ export class PointerInputHandler {
       y: clientY - rect.top
     }
   }
+
+  /**
+   * 获取当前 pointer 对应的世界坐标（经过视口的平移和缩放），没有视口时与 getPointerPosition 相同
+   * @param {number} clientX
+   * @param {number} clientY
+   * @returns {{x: number, y: number}}
+   */
+  getWorldPosition(clientX, clientY) {
+    const pos = this.getPointerPosition(clientX, clientY)
+    return this.viewport ? this.viewport.screenToWorld(pos) : pos
+  }
 }
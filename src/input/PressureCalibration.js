@@ -0,0 +1,134 @@
+// src/input/PressureCalibration.js
+
+import { createMonotoneCurve } from "./PressureCurve.js"
+
+/**
+ * 校准的阶段：先记录轻压的笔画，再记录重压的笔画
+ */
+export const CALIBRATION_PHASES = ["light", "hard"]
+
+/**
+ * PressureCalibration 类：记录用户轻压和重压书写的几笔，拟合个人的压力曲线
+ *
+ * 每个阶段取所有采样压力的中位数作为该用户的“轻压”和“重压”，
+ * 拟合出经过 (0, 0)、(轻压, lightTarget)、(重压, hardTarget)、(1, 1) 的单调曲线：
+ * 用户习惯的轻压画出细线，习惯的重压画出接近最粗的线；重压达到最大压力 1 时直接对应最粗的线。
+ * 采样为经过死区处理后的压力（见 StylusAdapter.normalizePressure()），与曲线的输入一致。
+ */
+export class PressureCalibration {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.strokes=3] - 每个阶段需要的笔画数
+   * @param {number} [options.minSamples=5] - 采样少于此数的笔画（例如点击）不计入
+   * @param {number} [options.lightTarget=0.25] - 轻压映射到的曲线输出
+   * @param {number} [options.hardTarget=0.85] - 重压映射到的曲线输出
+   */
+  constructor(options = {}) {
+    this.strokes = options.strokes ?? 3
+    this.minSamples = options.minSamples ?? 5
+    this.lightTarget = options.lightTarget ?? 0.25
+    this.hardTarget = options.hardTarget ?? 0.85
+    this.recorded = { light: [], hard: [] }
+    this._current = null
+  }
+
+  /**
+   * 当前阶段，两个阶段都记录完成后为 "done"
+   * @returns {"light"|"hard"|"done"}
+   */
+  get phase() {
+    return (
+      CALIBRATION_PHASES.find(
+        (phase) => this.recorded[phase].length < this.strokes
+      ) ?? "done"
+    )
+  }
+
+  /**
+   * 开始记录一笔（未结束的上一笔被丢弃）
+   */
+  beginStroke() {
+    this._current = []
+  }
+
+  /**
+   * 记录一个采样
+   * @param {number} pressure - 经过死区处理的压力（0 ~ 1）
+   */
+  addSample(pressure) {
+    // 抬笔瞬间可能上报 0，不计入
+    if (this._current && pressure > 0) this._current.push(pressure)
+  }
+
+  /**
+   * 结束当前笔画，采样足够时计入当前阶段
+   * @returns {boolean} 是否计入
+   */
+  endStroke() {
+    const samples = this._current
+    this._current = null
+    const phase = this.phase
+    if (!samples || samples.length < this.minSamples || phase === "done") {
+      return false
+    }
+    this.recorded[phase].push(samples)
+    return true
+  }
+
+  /**
+   * 丢弃当前笔画
+   */
+  cancelStroke() {
+    this._current = null
+  }
+
+  /**
+   * @returns {{phase: "light"|"hard"|"done", recorded: number, strokes: number}}
+   *   当前阶段、该阶段已记录的笔画数和需要的笔画数
+   */
+  getProgress() {
+    const phase = this.phase
+    return {
+      phase,
+      recorded: phase === "done" ? this.strokes : this.recorded[phase].length,
+      strokes: this.strokes
+    }
+  }
+
+  /**
+   * @returns {boolean} 是否已记录足够的笔画
+   */
+  isComplete() {
+    return this.phase === "done"
+  }
+
+  /**
+   * 按记录的笔画拟合压力曲线
+   * @returns {import('./PressureCurve.js').PressureCurve}
+   * @throws {Error} 笔画不足，或重压不明显大于轻压时抛出
+   */
+  fit() {
+    if (!this.isComplete()) throw new Error("压力校准尚未完成")
+    const light = median(this.recorded.light.flat())
+    const hard = median(this.recorded.hard.flat())
+    if (!(hard - light >= 0.05)) {
+      throw new Error("重压与轻压的压力没有明显区别，请重新校准")
+    }
+    const anchors = [
+      { x: 0, y: 0 },
+      { x: light, y: this.lightTarget }
+    ]
+    // 许多笔用力时会达到最大压力 1，此时重压直接对应最粗的线
+    if (hard < 1) anchors.push({ x: hard, y: this.hardTarget })
+    anchors.push({ x: 1, y: 1 })
+    return createMonotoneCurve(anchors)
+  }
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b)
+  const middle = sorted.length >> 1
+  return sorted.length % 2
+    ? sorted[middle]
+    : (sorted[middle - 1] + sorted[middle]) / 2
+}
@@ -0,0 +1,230 @@
+// src/input/PressureCurve.js
+
+/**
+ * PressureCurve 类：把 0 ~ 1 的输入压力映射为 0 ~ 1 的输出压力
+ *
+ * 两种表示：
+ * - bezier: 与 CSS cubic-bezier() 相同，端点固定为 (0, 0) 和 (1, 1)，
+ *   points 为两个控制点 [x1, y1, x2, y2]，x 必须在 0 ~ 1 之间
+ * - table: values 为在输入 0 ~ 1 上均匀分布的输出值，之间线性插值
+ */
+export class PressureCurve {
+  /**
+   * @param {"bezier"|"table"} type
+   * @param {number[]} values - bezier 为 [x1, y1, x2, y2]，table 为输出值列表
+   * @throws {Error} 参数无效时抛出
+   */
+  constructor(type, values) {
+    if (type === "bezier") {
+      const [x1, y1, x2, y2] = values
+      if (
+        values.length !== 4 ||
+        !values.every(Number.isFinite) ||
+        !(x1 >= 0 && x1 <= 1 && x2 >= 0 && x2 <= 1)
+      ) {
+        throw new Error(`无效的压力曲线控制点: ${values}`)
+      }
+      this.points = [x1, y1, x2, y2]
+    } else if (type === "table") {
+      if (
+        values.length < 2 ||
+        !values.every((v) => Number.isFinite(v) && v >= 0 && v <= 1)
+      ) {
+        throw new Error("无效的压力曲线查找表：至少需要两个 0 ~ 1 之间的值")
+      }
+      this.values = [...values]
+    } else {
+      throw new Error(`未知的压力曲线类型: ${type}`)
+    }
+    this.type = type
+  }
+
+  /**
+   * @returns {PressureCurve} 输出等于输入的曲线
+   */
+  static linear() {
+    return new PressureCurve("bezier", [1 / 3, 1 / 3, 2 / 3, 2 / 3])
+  }
+
+  /**
+   * @param {number} x1
+   * @param {number} y1
+   * @param {number} x2
+   * @param {number} y2
+   * @returns {PressureCurve}
+   */
+  static bezier(x1, y1, x2, y2) {
+    return new PressureCurve("bezier", [x1, y1, x2, y2])
+  }
+
+  /**
+   * @param {number[]} values - 在输入 0 ~ 1 上均匀分布的输出值
+   * @returns {PressureCurve}
+   */
+  static table(values) {
+    return new PressureCurve("table", values)
+  }
+
+  /**
+   * 把输入压力映射为输出压力
+   * @param {number} pressure - 0 ~ 1，超出范围时截断
+   * @returns {number} 0 ~ 1
+   */
+  map(pressure) {
+    const x = clamp01(pressure)
+    if (this.type === "table") {
+      const position = x * (this.values.length - 1)
+      const i = Math.min(Math.floor(position), this.values.length - 2)
+      const t = position - i
+      return this.values[i] + (this.values[i + 1] - this.values[i]) * t
+    }
+
+    const [x1, y1, x2, y2] = this.points
+    return clamp01(cubic(y1, y2, solveBezierT(x1, x2, x)))
+  }
+
+  /**
+   * 序列化为纯 JSON 对象
+   * @returns {{type: "bezier", points: number[]}|{type: "table", values: number[]}}
+   */
+  toJSON() {
+    return this.type === "bezier"
+      ? { type: "bezier", points: [...this.points] }
+      : { type: "table", values: [...this.values] }
+  }
+
+  /**
+   * 从 JSON 对象还原曲线
+   * @param {Object} data - 由 toJSON() 生成的对象
+   * @returns {PressureCurve}
+   * @throws {Error} 数据无效时抛出
+   */
+  static fromJSON(data) {
+    if (data?.type === "bezier" && Array.isArray(data.points)) {
+      return new PressureCurve("bezier", data.points)
+    }
+    if (data?.type === "table" && Array.isArray(data.values)) {
+      return new PressureCurve("table", data.values)
+    }
+    throw new Error("无效的压力曲线数据：需要 bezier 控制点或查找表")
+  }
+}
+
+/**
+ * 把各种压力曲线写法统一为 PressureCurve
+ *
+ * - PressureCurve 实例原样返回
+ * - 两个数字 [low, high]（StylusAdapter 配置中的写法）：以直线上的两个控制点
+ *   (1/3, 1/3) 和 (2/3, 2/3) 为基准，分别把高度乘以 low 和 high，[1, 1] 为直线；
+ *   low 小于 1 时轻压更不灵敏，high 大于 1 时中高段更快达到最大压力
+ * - 其他对象按 PressureCurve.fromJSON() 解析
+ *
+ * @param {PressureCurve|number[]|Object} spec
+ * @returns {PressureCurve}
+ * @throws {Error} 无法解析时抛出
+ */
+export function createPressureCurve(spec) {
+  if (spec instanceof PressureCurve) return spec
+  if (Array.isArray(spec) && spec.length === 2) {
+    const [low, high] = spec
+    return PressureCurve.bezier(
+      1 / 3,
+      low / 3,
+      2 / 3,
+      Math.min(1, (high * 2) / 3)
+    )
+  }
+  return PressureCurve.fromJSON(spec)
+}
+
+/**
+ * 生成经过给定点的单调光滑曲线（单调三次 Hermite 插值，Fritsch–Carlson 方法），以查找表表示
+ *
+ * 点的 x 必须严格递增，y 必须不减；曲线在各点之间不会出现回落或过冲。
+ *
+ * @param {Array<{x: number, y: number}>} anchors - 经过的点，通常包含 (0, 0) 和 (1, 1)
+ * @param {number} [size=33] - 查找表的长度
+ * @returns {PressureCurve}
+ * @throws {Error} 点不满足单调条件时抛出
+ */
+export function createMonotoneCurve(anchors, size = 33) {
+  const n = anchors.length
+  for (let i = 1; i < n; i++) {
+    if (!(
+      anchors[i].x > anchors[i - 1].x && anchors[i].y >= anchors[i - 1].y
+    )) {
+      throw new Error("压力曲线经过的点必须单调递增")
+    }
+  }
+
+  const slopes = []
+  for (let i = 0; i < n - 1; i++) {
+    slopes.push(
+      (anchors[i + 1].y - anchors[i].y) / (anchors[i + 1].x - anchors[i].x)
+    )
+  }
+  const tangents = anchors.map((_, i) => {
+    if (i === 0) return slopes[0]
+    if (i === n - 1) return slopes[n - 2]
+    const [a, b] = [slopes[i - 1], slopes[i]]
+    // 相邻两段一升一平时取 0，保持单调；否则取调和平均
+    return a * b <= 0 ? 0 : (2 * a * b) / (a + b)
+  })
+
+  const values = []
+  let j = 0
+  for (let k = 0; k < size; k++) {
+    const x = k / (size - 1)
+    while (j < n - 2 && x > anchors[j + 1].x) j++
+    const p0 = anchors[j]
+    const p1 = anchors[j + 1]
+    const h = p1.x - p0.x
+    const t = clamp01((x - p0.x) / h)
+    const t2 = t * t
+    const t3 = t2 * t
+    const y =
+      (2 * t3 - 3 * t2 + 1) * p0.y +
+      (t3 - 2 * t2 + t) * h * tangents[j] +
+      (-2 * t3 + 3 * t2) * p1.y +
+      (t3 - t2) * h * tangents[j + 1]
+    values.push(clamp01(y))
+  }
+  return PressureCurve.table(values)
+}
+
+function clamp01(value) {
+  return Math.max(0, Math.min(1, value))
+}
+
+// 端点为 0 和 1 的一维三次贝塞尔
+function cubic(p1, p2, t) {
+  const u = 1 - t
+  return 3 * u * u * t * p1 + 3 * u * t * t * p2 + t * t * t
+}
+
+// 求 x(t) = x 的参数 t：先用牛顿迭代，导数过小时改用二分
+function solveBezierT(x1, x2, x) {
+  let t = x
+  for (let i = 0; i < 8; i++) {
+    const error = cubic(x1, x2, t) - x
+    if (Math.abs(error) < 1e-6) return t
+    const u = 1 - t
+    const derivative =
+      3 * u * u * x1 + 6 * u * t * (x2 - x1) + 3 * t * t * (1 - x2)
+    if (Math.abs(derivative) < 1e-6) break
+    t -= error / derivative
+    if (t < 0 || t > 1) break
+  }
+
+  let low = 0
+  let high = 1
+  t = x
+  for (let i = 0; i < 30; i++) {
+    const value = cubic(x1, x2, t)
+    if (Math.abs(value - x) < 1e-6) break
+    if (value < x) low = t
+    else high = t
+    t = (low + high) / 2
+  }
+  return t
+}
@@ -1,7 +1,25 @@
 // src/input/StylusAdapter.js
 
+import { createPressureCurve } from "./PressureCurve.js"
+
+/**
+ * @typedef {Object} StylusOrientation
+ * @property {number} tiltX - 笔身在 X-Z 平面内的倾角（度，-90 ~ 90），向右倾斜为正
+ * @property {number} tiltY - 笔身在 Y-Z 平面内的倾角（度，-90 ~ 90），向下（朝向用户）倾斜为正
+ * @property {number} azimuth - 方位角（弧度，0 ~ 2π）：笔身在屏幕上的投影方向，0 指向右侧，顺时针增大
+ * @property {number} altitude - 高度角（弧度，0 ~ π/2）：π/2 为垂直于屏幕，0 为平贴屏幕
+ * @property {number} twist - 笔身绕自身轴线的旋转（度，0 ~ 359），设备不支持时为 0
+ */
+
 /**
  * StylusAdapter：根据不同设备提供压力处理逻辑
+ *
+ * 每个设备配置包含三项：
+ * - minPressure: 死区，原始压力低于此值时视为 0，其余部分拉伸到 0 ~ 1
+ * - pressureCurve: 压力曲线，[low, high] 简写或 PressureCurve / 其 JSON（见 createPressureCurve()）
+ * - widthRange: [最细, 最粗] 线宽之比，最轻的笔触仍保留 最细 / 最粗 的压力，线条不会过细
+ *
+ * 用户曲线（setPressureCurve()，例如校准结果）优先于配置中的曲线，切换配置时保留。
  */
 export class StylusAdapter {
   constructor() {
@@ -28,39 +46,156 @@ export class StylusAdapter {
       }
     }
 
-    this.currentProfile = this.profileMap["default"]
+    this.userCurve = null
+    this.useProfile("default")
   }
 
   /**
-   * 设置当前使用的触控笔配置
+   * 设置当前使用的触控笔配置，未知的配置名使用 default
    * @param {string} profileName - 例如 'surface', 'wacom', 'apple'
    */
   useProfile(profileName) {
-    this.currentProfile =
-      this.profileMap[profileName] || this.profileMap["default"]
+    this.profileName = this.profileMap[profileName] ? profileName : "default"
+    this.currentProfile = this.profileMap[this.profileName]
+    this._profileCurve = createPressureCurve(this.currentProfile.pressureCurve)
   }
 
   /**
-   * 对原始 event 压力值进行映射（支持 sigmoid、拉伸等）
+   * 设置用户的压力曲线，优先于配置中的曲线
+   * @param {import('./PressureCurve.js').PressureCurve|Object|number[]|null} curve - 见 createPressureCurve()，null 时恢复使用配置中的曲线
+   * @throws {Error} 曲线无效时抛出
+   */
+  setPressureCurve(curve) {
+    this.userCurve = curve ? createPressureCurve(curve) : null
+  }
+
+  /**
+   * @returns {import('./PressureCurve.js').PressureCurve} 当前生效的压力曲线
+   */
+  getPressureCurve() {
+    return this.userCurve ?? this._profileCurve
+  }
+
+  /**
+   * 对原始 event 压力值进行映射：死区 → 压力曲线 → 线宽范围
+   * 鼠标、手指等没有压力的输入固定为 0.5
    * @param {PointerEvent} event
    * @returns {number} 映射后的压力值 (0~1)
    */
   mapPressure(event) {
-    let pressure = 0.5
+    if (event.pointerType !== "pen" || !(event.pressure >= 0)) return 0.5
 
-    if (event.pointerType === "pen" && event.pressure >= 0) {
-      pressure = event.pressure
+    const [thinnest, thickest] = this.currentProfile.widthRange
+    const floor = Math.min(1, thinnest / thickest)
+    const pressure = this.getPressureCurve().map(
+      this.normalizePressure(event.pressure)
+    )
+    return floor + (1 - floor) * pressure
+  }
 
-      // 使用 Sigmoid 函数调整压力分布，使中段区间更灵敏
-      pressure = 1 / (1 + Math.exp(-6 * (pressure - 0.3)))
+  /**
+   * 按当前配置的死区处理原始压力，结果即压力曲线的输入
+   * @param {number} pressure - PointerEvent.pressure
+   * @returns {number} 0 ~ 1
+   */
+  normalizePressure(pressure) {
+    const min = this.currentProfile.minPressure
+    return Math.max(0, Math.min(1, (pressure - min) / (1 - min)))
+  }
 
-      // 再次拉伸到期望范围（示例区间0.05-0.95）
-      pressure = Math.max(
-        0.05,
-        Math.min(0.95, 0.05 + (0.9 * (pressure - 0.2)) / 0.5)
-      )
-    }
+  /**
+   * 读取触控笔的姿态：倾斜、方位角 / 高度角和旋转
+   *
+   * 优先使用事件的 tiltX / tiltY，缺失时由 altitudeAngle / azimuthAngle 换算，
+   * 两种表示会同时记录。鼠标和手指没有姿态，返回 null。
+   *
+   * @param {PointerEvent} event
+   * @returns {StylusOrientation|null}
+   */
+  mapOrientation(event) {
+    if (event.pointerType !== "pen") return null
+    return readOrientation(event)
+  }
 
-    return pressure
+  /**
+   * 把触控笔姿态转换为笔刷朝向，见 getBrushOrientation()
+   * @param {StylusOrientation|null} orientation
+   * @returns {{angle: number|null, tilt: number}}
+   */
+  getBrushOrientation(orientation) {
+    return getBrushOrientation(orientation)
+  }
+}
+
+/**
+ * 由倾角换算方位角和高度角（PointerEvent 规范中的换算公式）
+ * @param {number} tiltX - 度
+ * @param {number} tiltY - 度
+ * @returns {{azimuth: number, altitude: number}} 弧度
+ */
+export function tiltToSpherical(tiltX, tiltY) {
+  if (tiltX === 0 && tiltY === 0) return { azimuth: 0, altitude: Math.PI / 2 }
+  const tanX = Math.tan((tiltX * Math.PI) / 180)
+  const tanY = Math.tan((tiltY * Math.PI) / 180)
+  let azimuth = Math.atan2(tanY, tanX)
+  if (azimuth < 0) azimuth += Math.PI * 2
+  return { azimuth, altitude: Math.atan(1 / Math.hypot(tanX, tanY)) }
+}
+
+/**
+ * 由方位角和高度角换算倾角
+ * @param {number} azimuth - 弧度
+ * @param {number} altitude - 弧度
+ * @returns {{tiltX: number, tiltY: number}} 度
+ */
+export function sphericalToTilt(azimuth, altitude) {
+  const toDegrees = (rad) => (rad * 180) / Math.PI
+  const cosAltitude = Math.cos(altitude)
+  const sinAltitude = Math.sin(altitude)
+  return {
+    tiltX: toDegrees(Math.atan2(Math.cos(azimuth) * cosAltitude, sinAltitude)),
+    tiltY: toDegrees(Math.atan2(Math.sin(azimuth) * cosAltitude, sinAltitude))
+  }
+}
+
+/**
+ * 把触控笔姿态转换为笔刷朝向
+ *
+ * angle 为扁平笔尖宽边在屏幕上的方向（弧度）：
+ * 设备报告了旋转（twist 不为 0，如可旋转笔杆的美术笔）时取旋转角；
+ * 否则笔身倾斜时，宽边垂直于笔身的投影方向，像握着平头马克笔一样；
+ * 笔身垂直或没有姿态时为 null，由工具使用固定的笔尖角度。
+ * tilt 为倾斜程度，0 为垂直，1 为平贴屏幕。
+ *
+ * @param {StylusOrientation|null} orientation
+ * @returns {{angle: number|null, tilt: number}}
+ */
+export function getBrushOrientation(orientation) {
+  if (!orientation) return { angle: null, tilt: 0 }
+  const tilt = 1 - orientation.altitude / (Math.PI / 2)
+  if (orientation.twist) {
+    return { angle: (orientation.twist * Math.PI) / 180, tilt }
+  }
+  // 高度角接近 90° 时方位角没有意义
+  if (tilt < 0.02) return { angle: null, tilt }
+  return { angle: orientation.azimuth + Math.PI / 2, tilt }
+}
+
+function readOrientation(event) {
+  const twist = event.twist ?? 0
+  if (
+    (event.tiltX === undefined || event.tiltY === undefined) &&
+    event.altitudeAngle !== undefined &&
+    event.azimuthAngle !== undefined
+  ) {
+    return {
+      ...sphericalToTilt(event.azimuthAngle, event.altitudeAngle),
+      azimuth: event.azimuthAngle,
+      altitude: event.altitudeAngle,
+      twist
+    }
   }
+  const tiltX = event.tiltX ?? 0
+  const tiltY = event.tiltY ?? 0
+  return { tiltX, tiltY, ...tiltToSpherical(tiltX, tiltY), twist }
 }
@@ -1,5 +1,7 @@
 // src/logger/StrokeAnalytics.js
 
+import { countDirectionChanges } from "../utils/geometry.js"
+
 /**
  * StrokeAnalytics：笔画行为分析器，记录用户绘制习惯。
  */
@@ -23,28 +25,7 @@ export class StrokeAnalytics {
     const duration = Date.now() - stroke.timestamp
 
     // 分析方向变化
-    let directionChanges = 0
-    if (pointCount > 2) {
-      for (let i = 2; i < pointCount; i++) {
-        const p0 = stroke.points[i - 2]
-        const p1 = stroke.points[i - 1]
-        const p2 = stroke.points[i]
-
-        const dx1 = p1.x - p0.x
-        const dy1 = p1.y - p0.y
-        const dx2 = p2.x - p1.x
-        const dy2 = p2.y - p1.y
-
-        const dot = dx1 * dx2 + dy1 * dy2
-        const mag1 = Math.sqrt(dx1 * dx1 + dy1 * dy1)
-        const mag2 = Math.sqrt(dx2 * dx2 + dy2 * dy2)
-
-        if (mag1 > 0 && mag2 > 0) {
-          const cosAngle = dot / (mag1 * mag2)
-          if (cosAngle < 0.866) directionChanges++
-        }
-      }
-    }
+    const directionChanges = countDirectionChanges(stroke.points)
 
     // 更新整体统计
     this.strokeCount++
@@ -0,0 +1,475 @@
+// src/recognition/ShapeRecognizer.js
+
+import {
+  countDirectionChanges,
+  distancePointToSegment
+} from "../utils/geometry.js"
+
+/**
+ * 形状识别器：判断手绘笔画是否为直线、矩形、椭圆、三角形或箭头
+ *
+ * 笔画先按弧长重采样为固定数量的点，再分别拟合每种形状，
+ * 置信度由拟合误差（相对于图形尺寸）换算到 0~1。
+ * 闭合笔画参与矩形、椭圆、三角形的拟合，开放笔画参与直线、箭头的拟合。
+ *
+ * 识别结果中的 shape 为参数化的形状几何（见 Shape.js），可直接用于创建 Shape。
+ */
+export class ShapeRecognizer {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.minConfidence=0.75] - recognize() 接受结果的最低置信度
+   * @param {number} [options.sampleCount=64] - 重采样点数
+   * @param {number} [options.closeThreshold=0.2] - 首尾距离小于路径长度的该比例时视为闭合
+   * @param {number} [options.minSize=12] - 包围盒对角线小于该值（世界坐标）的笔画不识别
+   * @param {number} [options.snapAngle=6] - 直线、矩形与水平 / 垂直方向相差不超过该角度（度）时吸附
+   */
+  constructor(options = {}) {
+    this.minConfidence = options.minConfidence ?? 0.75
+    this.sampleCount = options.sampleCount ?? 64
+    this.closeThreshold = options.closeThreshold ?? 0.2
+    this.minSize = options.minSize ?? 12
+    this.snapAngle = options.snapAngle ?? 6
+  }
+
+  /**
+   * 识别置信度最高且不低于 minConfidence 的形状
+   * @param {Array<{x: number, y: number}>} points
+   * @returns {{type: string, confidence: number, shape: Object}|null}
+   */
+  recognize(points) {
+    const best = this.classify(points)[0]
+    return best && best.confidence >= this.minConfidence ? best : null
+  }
+
+  /**
+   * 对每种形状打分
+   * @param {Array<{x: number, y: number}>} points
+   * @returns {Array<{type: string, confidence: number, shape: Object}>} 按置信度从高到低排列，只包含置信度大于 0 的形状
+   */
+  classify(points) {
+    if (points.length < 3) return []
+
+    const length = pathLength(points)
+    const box = getBounds(points)
+    const diagonal = Math.hypot(box.maxX - box.minX, box.maxY - box.minY)
+    if (diagonal < this.minSize || length === 0) return []
+
+    const samples = resample(points, this.sampleCount)
+    const first = samples[0]
+    const last = samples[samples.length - 1]
+    const closed =
+      Math.hypot(last.x - first.x, last.y - first.y) <
+      this.closeThreshold * length
+
+    const context = { samples, length, diagonal }
+    const results = closed
+      ? [this._fitEllipse(context), ...this._fitPolygons(context)]
+      : [this._fitLine(context), this._fitArrow(context)]
+
+    return results
+      .filter((r) => r && r.confidence > 0)
+      .sort((a, b) => b.confidence - a.confidence)
+  }
+
+  _fitLine({ samples, diagonal }) {
+    const from = samples[0]
+    const to = samples[samples.length - 1]
+    const span = Math.hypot(to.x - from.x, to.y - from.y)
+    if (span === 0) return null
+
+    const deviation =
+      samples.reduce((sum, p) => sum + distancePointToSegment(p, from, to), 0) /
+      samples.length
+    // 在简化后的折线上判断，避免手抖产生的细小折返；来回折返的笔画即使贴近直线也不是直线
+    const vertices = simplify(samples, diagonal * 0.03)
+    const straightness = clamp01((span / pathLength(vertices) - 0.9) / 0.1)
+    const turns = countDirectionChanges(vertices, 0)
+    const confidence =
+      clamp01(1 - deviation / span / 0.05) *
+      straightness *
+      (turns > 0 ? 0.5 : 1)
+
+    const angle = this._snap(Math.atan2(to.y - from.y, to.x - from.x))
+    const mid = { x: (from.x + to.x) / 2, y: (from.y + to.y) / 2 }
+    const half = span / 2
+    return {
+      type: "line",
+      confidence,
+      shape: {
+        type: "line",
+        from: {
+          x: mid.x - Math.cos(angle) * half,
+          y: mid.y - Math.sin(angle) * half
+        },
+        to: {
+          x: mid.x + Math.cos(angle) * half,
+          y: mid.y + Math.sin(angle) * half
+        }
+      }
+    }
+  }
+
+  _fitEllipse({ samples }) {
+    const n = samples.length
+    let cx = 0
+    let cy = 0
+    for (const p of samples) {
+      cx += p.x / n
+      cy += p.y / n
+    }
+
+    // 主轴方向取协方差矩阵的特征向量
+    let sxx = 0
+    let syy = 0
+    let sxy = 0
+    for (const p of samples) {
+      const dx = p.x - cx
+      const dy = p.y - cy
+      sxx += dx * dx
+      syy += dy * dy
+      sxy += dx * dy
+    }
+    let rotation = 0.5 * Math.atan2(2 * sxy, sxx - syy)
+
+    const local = toLocal(samples, { x: cx, y: cy }, rotation)
+    const extent = getBounds(local)
+    let radiusX = (extent.maxX - extent.minX) / 2
+    let radiusY = (extent.maxY - extent.minY) / 2
+    if (radiusX === 0 || radiusY === 0) return null
+
+    // 以包围范围的中点作为中心，比均值更不受起止处重叠部分的影响
+    const offsetX = (extent.maxX + extent.minX) / 2
+    const offsetY = (extent.maxY + extent.minY) / 2
+    const center = {
+      x: cx + offsetX * Math.cos(rotation) - offsetY * Math.sin(rotation),
+      y: cy + offsetX * Math.sin(rotation) + offsetY * Math.cos(rotation)
+    }
+
+    let error = 0
+    for (const p of local) {
+      const u = (p.x - offsetX) / radiusX
+      const v = (p.y - offsetY) / radiusY
+      error += Math.abs(Math.hypot(u, v) - 1)
+    }
+    error /= n
+
+    // 接近正圆时旋转没有意义，统一为 0
+    if (Math.abs(radiusX - radiusY) < 0.1 * Math.max(radiusX, radiusY)) {
+      const r = (radiusX + radiusY) / 2
+      radiusX = r
+      radiusY = r
+      rotation = 0
+    } else {
+      rotation = this._snap(rotation)
+    }
+
+    return {
+      type: "ellipse",
+      confidence: clamp01(1 - error / 0.12),
+      shape: { type: "ellipse", center, radiusX, radiusY, rotation }
+    }
+  }
+
+  _fitPolygons({ samples, diagonal }) {
+    const corners = findCorners(samples, diagonal)
+    if (corners.length !== 3 && corners.length !== 4) return []
+
+    const error = polygonError(samples, corners) / diagonal
+    const fit = clamp01(1 - error / 0.05)
+
+    if (corners.length === 3) {
+      return [
+        {
+          type: "triangle",
+          confidence: fit,
+          shape: { type: "triangle", points: corners }
+        }
+      ]
+    }
+
+    // 内角偏离 90° 越多，越不像矩形
+    const squareness = Math.min(
+      ...corners.map((p, i) => {
+        const prev = corners[(i + 3) % 4]
+        const next = corners[(i + 1) % 4]
+        const cos = Math.abs(cosAngle(prev, p, next))
+        return clamp01(1 - cos / 0.5)
+      })
+    )
+    return [
+      {
+        type: "rectangle",
+        confidence: fit * (0.6 + 0.4 * squareness),
+        shape: this._regularizeRectangle(samples, corners)
+      }
+    ]
+  }
+
+  // 由四个角点求方向，再按该方向下全部采样点的范围得到规整矩形
+  _regularizeRectangle(samples, corners) {
+    let sin = 0
+    let cos = 0
+    for (let i = 0; i < 4; i++) {
+      const a = corners[i]
+      const b = corners[(i + 1) % 4]
+      const angle = Math.atan2(b.y - a.y, b.x - a.x)
+      const weight = Math.hypot(b.x - a.x, b.y - a.y)
+      // 四倍角使相互垂直的边方向一致
+      sin += Math.sin(angle * 4) * weight
+      cos += Math.cos(angle * 4) * weight
+    }
+    const rotation = this._snap(Math.atan2(sin, cos) / 4)
+
+    const origin = { x: 0, y: 0 }
+    const extent = getBounds(toLocal(samples, origin, rotation))
+    const u = (extent.maxX + extent.minX) / 2
+    const v = (extent.maxY + extent.minY) / 2
+    return {
+      type: "rectangle",
+      center: {
+        x: u * Math.cos(rotation) - v * Math.sin(rotation),
+        y: u * Math.sin(rotation) + v * Math.cos(rotation)
+      },
+      width: extent.maxX - extent.minX,
+      height: extent.maxY - extent.minY,
+      rotation
+    }
+  }
+
+  // 单笔画箭头：杆 + 箭头的一侧（可选：回到尖端再画另一侧）
+  _fitArrow({ samples, diagonal }) {
+    const vertices = simplify(samples, diagonal * 0.05)
+    if (vertices.length !== 3 && vertices.length !== 5) return null
+
+    const [from, tip, barb1] = vertices
+    const shaft = Math.hypot(tip.x - from.x, tip.y - from.y)
+    if (shaft === 0) return null
+
+    const barbs = [barb1]
+    if (vertices.length === 5) {
+      const [, , , back, barb2] = vertices
+      // 第二侧必须从尖端附近开始
+      if (Math.hypot(back.x - tip.x, back.y - tip.y) > shaft * 0.2) return null
+      barbs.push(barb2)
+    }
+
+    const backward = { x: from.x - tip.x, y: from.y - tip.y }
+    let lengthSum = 0
+    let angleSum = 0
+    let quality = 1
+    const sides = []
+    for (const barb of barbs) {
+      const dx = barb.x - tip.x
+      const dy = barb.y - tip.y
+      const length = Math.hypot(dx, dy)
+      if (length < shaft * 0.08 || length > shaft * 0.7) return null
+
+      const angle = Math.acos(
+        Math.max(
+          -1,
+          Math.min(1, (dx * backward.x + dy * backward.y) / (length * shaft))
+        )
+      )
+      if (angle < Math.PI / 18 || angle > (Math.PI * 7) / 18) return null
+      // 理想的箭头夹角约 30°
+      quality *= clamp01(1 - Math.abs(angle - Math.PI / 6) / (Math.PI / 4))
+      sides.push(Math.sign(backward.x * dy - backward.y * dx))
+      lengthSum += length
+      angleSum += angle
+    }
+    // 两侧箭头需要分居杆的两边
+    if (sides.length === 2 && sides[0] === sides[1]) return null
+
+    const error = polylineError(samples, vertices) / diagonal
+    const confidence =
+      clamp01(1 - error / 0.04) *
+      (0.7 + 0.3 * quality) *
+      (barbs.length === 2 ? 1 : 0.9)
+
+    return {
+      type: "arrow",
+      confidence,
+      shape: {
+        type: "arrow",
+        from: { ...from },
+        to: { ...tip },
+        headLength: lengthSum / barbs.length,
+        headAngle: angleSum / barbs.length
+      }
+    }
+  }
+
+  // 接近水平 / 垂直的角度吸附到 0、±90°
+  _snap(angle) {
+    const step = Math.PI / 2
+    const nearest = Math.round(angle / step) * step
+    const limit = (this.snapAngle * Math.PI) / 180
+    return Math.abs(angle - nearest) <= limit ? nearest : angle
+  }
+}
+
+function clamp01(value) {
+  return Math.max(0, Math.min(1, value))
+}
+
+function pathLength(points) {
+  let length = 0
+  for (let i = 1; i < points.length; i++) {
+    length += Math.hypot(
+      points[i].x - points[i - 1].x,
+      points[i].y - points[i - 1].y
+    )
+  }
+  return length
+}
+
+function getBounds(points) {
+  let minX = Infinity,
+    minY = Infinity,
+    maxX = -Infinity,
+    maxY = -Infinity
+  for (const p of points) {
+    minX = Math.min(minX, p.x)
+    minY = Math.min(minY, p.y)
+    maxX = Math.max(maxX, p.x)
+    maxY = Math.max(maxY, p.y)
+  }
+  return { minX, minY, maxX, maxY }
+}
+
+// 按弧长等距重采样
+function resample(points, count) {
+  const interval = pathLength(points) / (count - 1)
+  const result = [{ x: points[0].x, y: points[0].y }]
+  let carried = 0
+  let prev = points[0]
+
+  for (let i = 1; i < points.length; i++) {
+    let curr = points[i]
+    let d = Math.hypot(curr.x - prev.x, curr.y - prev.y)
+    while (carried + d >= interval && result.length < count) {
+      const t = (interval - carried) / d
+      const p = {
+        x: prev.x + (curr.x - prev.x) * t,
+        y: prev.y + (curr.y - prev.y) * t
+      }
+      result.push(p)
+      prev = p
+      d = Math.hypot(curr.x - prev.x, curr.y - prev.y)
+      carried = 0
+    }
+    carried += d
+    prev = curr
+  }
+
+  const last = points[points.length - 1]
+  while (result.length < count) result.push({ x: last.x, y: last.y })
+  return result
+}
+
+// 旋转到以 origin 为原点、rotation 为 x 轴方向的局部坐标
+function toLocal(points, origin, rotation) {
+  const cos = Math.cos(rotation)
+  const sin = Math.sin(rotation)
+  return points.map((p) => {
+    const dx = p.x - origin.x
+    const dy = p.y - origin.y
+    return { x: dx * cos + dy * sin, y: -dx * sin + dy * cos }
+  })
+}
+
+// Douglas-Peucker 折线简化
+function simplify(points, epsilon) {
+  if (points.length < 3) return points.slice()
+  const keep = new Array(points.length).fill(false)
+  keep[0] = true
+  keep[points.length - 1] = true
+
+  const stack = [[0, points.length - 1]]
+  while (stack.length > 0) {
+    const [start, end] = stack.pop()
+    let maxDistance = 0
+    let index = -1
+    for (let i = start + 1; i < end; i++) {
+      const d = distancePointToSegment(points[i], points[start], points[end])
+      if (d > maxDistance) {
+        maxDistance = d
+        index = i
+      }
+    }
+    if (maxDistance > epsilon) {
+      keep[index] = true
+      stack.push([start, index], [index, end])
+    }
+  }
+  return points.filter((_, i) => keep[i])
+}
+
+// 闭合路径的角点：从离起点最远处分成两段分别简化，再去掉近似共线或过近的顶点
+function findCorners(samples, diagonal) {
+  const start = samples[0]
+  let far = 0
+  let farDistance = 0
+  samples.forEach((p, i) => {
+    const d = Math.hypot(p.x - start.x, p.y - start.y)
+    if (d > farDistance) {
+      farDistance = d
+      far = i
+    }
+  })
+
+  const epsilon = diagonal * 0.06
+  const corners = [
+    ...simplify(samples.slice(0, far + 1), epsilon).slice(0, -1),
+    ...simplify(samples.slice(far), epsilon).slice(0, -1)
+  ]
+
+  let changed = true
+  while (changed && corners.length > 2) {
+    changed = false
+    for (let i = 0; i < corners.length; i++) {
+      const prev = corners[(i - 1 + corners.length) % corners.length]
+      const curr = corners[i]
+      const next = corners[(i + 1) % corners.length]
+      const tooClose =
+        Math.hypot(curr.x - prev.x, curr.y - prev.y) < diagonal * 0.1
+      // 夹角接近 180°（余弦接近 -1）说明是边上的点而不是角点
+      if (tooClose || cosAngle(prev, curr, next) < -0.9) {
+        corners.splice(i, 1)
+        changed = true
+        break
+      }
+    }
+  }
+  return corners
+}
+
+// 顶点 p 处两条边夹角的余弦
+function cosAngle(prev, p, next) {
+  const ax = prev.x - p.x
+  const ay = prev.y - p.y
+  const bx = next.x - p.x
+  const by = next.y - p.y
+  const denominator = Math.hypot(ax, ay) * Math.hypot(bx, by)
+  return denominator === 0 ? 1 : (ax * bx + ay * by) / denominator
+}
+
+function polygonError(samples, corners) {
+  return polylineError(samples, [...corners, corners[0]])
+}
+
+// 采样点到折线的平均距离
+function polylineError(samples, vertices) {
+  let sum = 0
+  for (const p of samples) {
+    let min = Infinity
+    for (let i = 0; i < vertices.length - 1; i++) {
+      min = Math.min(
+        min,
+        distancePointToSegment(p, vertices[i], vertices[i + 1])
+      )
+    }
+    sum += min
+  }
+  return sum / samples.length
+}
@@ -0,0 +1,216 @@
+// src/renderer/BrushEngine.js
+
+import { pressureToRadius } from "./StrokeOutline.js"
+import { createRandom, hash2D } from "../utils/random.js"
+
+/**
+ * 笔刷预设
+ *
+ * - spacing：相邻印章的间距，相对于印章直径
+ * - grains：每个印章中颗粒的数量，grainSize 为颗粒半径相对于印章半径的比例
+ * - distribution："uniform" 颗粒在印章内均匀分布，"gaussian" 向中心聚集（喷枪）
+ * - scatter：印章中心偏离路径的最大距离，相对于印章半径
+ * - sizeJitter / flowJitter：印章尺寸、流量的随机衰减比例
+ * - flow：单个印章的不透明度，重叠的印章会叠加
+ * - pressureSize / pressureFlow：压力对尺寸、流量的影响程度 0~1
+ * - texture：纸面纹理的凹陷比例 0~1，落在凹陷处的颗粒不绘制；textureScale 为纹理单元尺寸（世界坐标）
+ */
+export const BRUSH_PRESETS = {
+  chalk: {
+    spacing: 0.15,
+    grains: 36,
+    grainSize: 0.12,
+    distribution: "uniform",
+    scatter: 0.1,
+    sizeJitter: 0.1,
+    flowJitter: 0.3,
+    flow: 0.85,
+    pressureSize: 0.5,
+    pressureFlow: 0.3,
+    texture: 0.4,
+    textureScale: 1.5
+  },
+  airbrush: {
+    spacing: 0.1,
+    grains: 48,
+    grainSize: 0.035,
+    distribution: "gaussian",
+    scatter: 0,
+    sizeJitter: 0,
+    flowJitter: 0.2,
+    flow: 0.35,
+    pressureSize: 0.2,
+    pressureFlow: 0.9,
+    texture: 0,
+    textureScale: 1
+  },
+  pencil: {
+    spacing: 0.2,
+    grains: 10,
+    grainSize: 0.25,
+    distribution: "uniform",
+    scatter: 0.05,
+    sizeJitter: 0.1,
+    flowJitter: 0.4,
+    flow: 0.6,
+    pressureSize: 0.4,
+    pressureFlow: 0.7,
+    texture: 0.3,
+    textureScale: 0.8
+  }
+}
+
+/**
+ * 解析笔刷设置：预设名，或在 base 指定的预设（默认 chalk）上覆盖部分参数的对象
+ * @param {string|Object} brush
+ * @returns {Object} 完整的笔刷参数
+ * @throws {Error} 预设不存在时抛出
+ */
+export function getBrushPreset(brush) {
+  const name = typeof brush === "string" ? brush : (brush.base ?? "chalk")
+  const preset = BRUSH_PRESETS[name]
+  if (!preset) throw new Error(`未知的笔刷预设: ${name}`)
+  return typeof brush === "string" ? preset : { ...preset, ...brush }
+}
+
+/**
+ * 印章笔刷引擎：沿笔画路径按间距放置带颗粒纹理的印章
+ *
+ * 随机数由笔画的 seed 生成，同一笔画每次重绘、导出的结果一致。
+ * 印章按原始点的折线放置，因此预览可以从上次的位置继续绘制（见 render 的 state），
+ * 与提交后整笔重绘的结果完全相同。
+ *
+ * 颗粒不会超出压力为 1 时的笔画半径，墨迹范围仍与 Stroke.getInkBounds() 一致。
+ */
+export class BrushEngine {
+  /**
+   * 绘制笔画的印章
+   *
+   * 调用前应设置好 fillStyle 和 globalAlpha（笔画不透明度），每个印章在此基础上乘以流量。
+   *
+   * @param {import('./targets/RenderTarget.js').RenderTarget} ctx - 渲染目标
+   * @param {import('../tools/Stroke.js').Stroke} stroke
+   * @param {Object} brush - getBrushPreset() 的结果
+   * @param {Object|null} [state] - 上次调用返回的状态，从上次结束的位置继续绘制
+   * @returns {Object} 绘制状态，笔画追加新点后可传回以增量绘制
+   */
+  render(ctx, stroke, brush, state = null) {
+    const points = stroke.points
+    const pressures = stroke.pressures
+    const random = state?.random ?? createRandom(stroke.seed)
+    let index = state?.index ?? 0
+    // 到下一个印章还需沿路径前进的距离
+    let next = state?.next ?? 0
+
+    const alpha = ctx.globalAlpha
+
+    if (points.length === 1 && !state) {
+      this._stamp(ctx, points[0], pressures[0], stroke, brush, random, alpha)
+      ctx.globalAlpha = alpha
+      return {
+        random,
+        index: 0,
+        next: this._spacing(stroke, brush, pressures[0])
+      }
+    }
+
+    for (; index < points.length - 1; index++) {
+      const p0 = points[index]
+      const p1 = points[index + 1]
+      const length = Math.hypot(p1.x - p0.x, p1.y - p0.y)
+
+      while (next <= length) {
+        const t = length > 0 ? next / length : 0
+        const point = {
+          x: p0.x + (p1.x - p0.x) * t,
+          y: p0.y + (p1.y - p0.y) * t
+        }
+        const pressure =
+          pressures[index] + (pressures[index + 1] - pressures[index]) * t
+        this._stamp(ctx, point, pressure, stroke, brush, random, alpha)
+        next += this._spacing(stroke, brush, pressure)
+      }
+      next -= length
+    }
+
+    ctx.globalAlpha = alpha
+    return { random, index, next }
+  }
+
+  _radius(stroke, brush, pressure) {
+    const base = pressureToRadius(stroke.baseSize, 0.5)
+    return (
+      base +
+      (pressureToRadius(stroke.baseSize, pressure) - base) * brush.pressureSize
+    )
+  }
+
+  _spacing(stroke, brush, pressure) {
+    return Math.max(
+      0.5,
+      brush.spacing * 2 * this._radius(stroke, brush, pressure)
+    )
+  }
+
+  _stamp(ctx, center, pressure, stroke, brush, random, alpha) {
+    const maxRadius = pressureToRadius(stroke.baseSize, 1)
+    const radius = Math.min(
+      maxRadius,
+      this._radius(stroke, brush, pressure) * (1 - brush.sizeJitter * random())
+    )
+
+    // 散布后的印章仍需落在最大半径之内
+    const angle = random() * Math.PI * 2
+    const offset = Math.min(
+      brush.scatter * radius * random(),
+      maxRadius - radius
+    )
+    const cx = center.x + Math.cos(angle) * offset
+    const cy = center.y + Math.sin(angle) * offset
+
+    const flow =
+      brush.flow *
+      (1 - brush.pressureFlow + brush.pressureFlow * pressure) *
+      (1 - brush.flowJitter * random())
+    ctx.globalAlpha = alpha * Math.max(0, Math.min(1, flow))
+
+    ctx.beginPath()
+    for (let i = 0; i < brush.grains; i++) {
+      const grainRadius = Math.min(
+        radius * brush.grainSize * (0.5 + random()),
+        radius
+      )
+      const a = random() * Math.PI * 2
+      const spread =
+        brush.distribution === "gaussian"
+          ? gaussianSpread(random)
+          : Math.sqrt(random())
+      const d = spread * (radius - grainRadius)
+      const x = cx + Math.cos(a) * d
+      const y = cy + Math.sin(a) * d
+
+      // 纸面纹理固定在世界坐标中，重叠的笔画在同样的位置留白
+      if (
+        brush.texture > 0 &&
+        hash2D(
+          Math.floor(x / brush.textureScale),
+          Math.floor(y / brush.textureScale)
+        ) < brush.texture
+      ) {
+        continue
+      }
+
+      ctx.moveTo(x + grainRadius, y)
+      ctx.arc(x, y, grainRadius, 0, Math.PI * 2)
+    }
+    ctx.fill()
+  }
+}
+
+// 截断到 [0, 1] 的半正态分布，约 2.5 个标准差对应印章边缘
+function gaussianSpread(random) {
+  const u = Math.max(random(), 1e-9)
+  const v = random()
+  const g = Math.sqrt(-2 * Math.log(u)) * Math.cos(Math.PI * 2 * v)
+  return Math.min(1, Math.abs(g) / 2.5)
+}
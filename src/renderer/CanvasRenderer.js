@@ -7,11 +7,34 @@ import {
 } from "./SmoothStrategy.js"
 import { Vec2 } from "../utils/math.js"
 import { StrokeUtils } from "./StrokeUtils.js"
+import {
+  CenterlineBuilder,
+  getInkRadii,
+  getStrokeOutline,
+  traceOutline
+} from "./StrokeOutline.js"
+import { getShapeRadius, traceShape } from "./ShapeOutline.js"
+import {
+  TEXT_LINE_HEIGHT,
+  getTextFont,
+  getTextLines
+} from "../tools/TextBox.js"
+import { createCanvas } from "../utils/canvas.js"
+import { getDefaultToolRegistry } from "../tools/ToolRegistry.js"
+import { BrushEngine } from "./BrushEngine.js"
 
 export class CanvasRenderer {
+  /**
+   * @param {import('./targets/RenderTarget.js').RenderTarget} ctx - 渲染目标：画布上下文、SvgContext 或 RecordingContext
+   * @param {number} [dpr=1] - 设备像素比
+   * @param {Object} [options] - 平滑与收尖参数
+   * @param {import('../tools/ToolRegistry.js').ToolRegistry} [options.toolRegistry] - 工具注册表，用于查找合成模式和自定义渲染
+   */
   constructor(ctx, dpr = 1, options = {}) {
     this.ctx = ctx
     this.dpr = dpr
+    this.toolRegistry = options.toolRegistry ?? getDefaultToolRegistry()
+    this.brushEngine = new BrushEngine()
     this.lowFPS = options.lowFPS ?? false
     this.smoothSteps = options.smoothSteps ?? 3 // 更平滑的插值步数
     this.angleThreshold = options.angleThreshold ?? 0.06
@@ -26,54 +49,339 @@ export class CanvasRenderer {
     this.lowFPSCurveFactor = options.lowFPSCurveFactor ?? 0.45
 
     this.interpolateInLowFPS = options.interpolateInLowFPS ?? true
+
+    // 起笔/收笔收尖长度（像素），橡皮擦不收尖
+    this.taperStart = options.taperStart ?? 6
+    this.taperEnd = options.taperEnd ?? 10
   }
 
+  /**
+   * 清空画布
+   * @param {number} width - 画布像素宽度
+   * @param {number} height - 画布像素高度
+   */
   clearCanvas(width, height) {
+    if (typeof this.ctx.setTransform === "function") {
+      // 上下文可能叠加了视口变换，在设备像素坐标系下清空整个画布
+      this.ctx.save()
+      this.ctx.setTransform(1, 0, 0, 1, 0, 0)
+      this.ctx.clearRect(0, 0, width, height)
+      this.ctx.restore()
+      return
+    }
     this.ctx.clearRect(0, 0, width / this.dpr, height / this.dpr)
   }
 
-  renderStrokes(strokes) {
-    for (const stroke of strokes) {
+  /**
+   * @param {import('../tools/Stroke.js').Stroke[]} strokes
+   * @param {Object} [options]
+   * @param {function(import('../tools/Stroke.js').Stroke): ?Object} [options.getTransform] - 返回叠加在笔画上的临时变换矩阵（如拖动选区时的预览），无需变换时返回 null
+   * @param {function(import('../tools/Stroke.js').Stroke): boolean} [options.filter] - 返回 false 的笔画不绘制（如正在编辑的文字）
+   */
+  renderStrokes(strokes, options = {}) {
+    for (const stroke of this._orderByPass(strokes)) {
+      if (options.filter && !options.filter(stroke)) continue
+      const matrix = options.getTransform?.(stroke)
+      if (!matrix) {
+        this.renderStroke(stroke)
+        continue
+      }
+      this.ctx.save()
+      this.ctx.transform(
+        matrix.a,
+        matrix.b,
+        matrix.c,
+        matrix.d,
+        matrix.e,
+        matrix.f
+      )
       this.renderStroke(stroke)
+      this.ctx.restore()
+    }
+  }
+
+  /**
+   * 按 z 顺序合成图层（索引 0 为最底层）
+   *
+   * 每个图层先独立绘制再整体叠加，因此图层不透明度作用于整个图层，
+   * 像素橡皮擦也只会擦除所在图层的内容：
+   * - 渲染目标实现了 beginLayer() / endLayer() 时（SvgContext、RecordingContext、
+   *   支持该特性的浏览器画布）直接使用
+   * - 否则画布上下文借助同尺寸的临时画布完成合成
+   *
+   * "under" 层的笔画（如荧光笔）单独成组（见 groupByPass），按 getBlendMode() 的合成模式
+   * 与背景和下方图层混合，再叠加图层中的其他墨迹；InkCache 在屏幕上按同样的方式合成。
+   *
+   * @param {import('../document/Layer.js').Layer[]} layers
+   * @param {Object} [options] - 同 renderStrokes
+   */
+  renderLayers(layers, options = {}) {
+    for (const layer of layers) {
+      if (!layer.visible || layer.opacity <= 0 || layer.strokes.length === 0) {
+        continue
+      }
+
+      const { under, normal } = this.groupByPass(layer.strokes)
+      const isolated =
+        layer.opacity < 1 || normal.some((s) => this.isErasing(s))
+      if (!isolated) {
+        // 不需要独立合成时逐笔绘制，结果与整组混合相同
+        this.renderStrokes(under, options)
+        this.renderStrokes(normal, options)
+        continue
+      }
+      if (under.length > 0) {
+        this._renderGroup(
+          under,
+          layer.opacity,
+          this.getBlendMode(under),
+          options
+        )
+      }
+      this._renderGroup(normal, layer.opacity, "source-over", options)
     }
   }
 
+  /**
+   * 把图层的笔画分为两个独立合成的组，组内保持原有顺序
+   * - under: "under" 层的笔画，以及图层中的像素橡皮擦笔画（橡皮擦同样擦除位于墨迹之下的笔画）；
+   *   图层中没有 "under" 层的笔画时为空
+   * - normal: 其他笔画
+   * @param {import('../tools/Stroke.js').Stroke[]} strokes
+   * @returns {{under: import('../tools/Stroke.js').Stroke[], normal: import('../tools/Stroke.js').Stroke[]}}
+   */
+  groupByPass(strokes) {
+    const normal = strokes.filter((s) => this.getRenderPass(s) !== "under")
+    if (normal.length === strokes.length) return { under: [], normal }
+    return {
+      under: strokes.filter(
+        (s) => this.getRenderPass(s) === "under" || this.isErasing(s)
+      ),
+      normal
+    }
+  }
+
+  /**
+   * "under" 组整体叠加时的合成模式：组内笔画（不含橡皮擦）的合成模式相同时使用该模式
+   * （如荧光笔的 multiply），否则为 "source-over"
+   * @param {import('../tools/Stroke.js').Stroke[]} strokes
+   * @returns {string}
+   */
+  getBlendMode(strokes) {
+    const modes = new Set(
+      strokes
+        .map((s) => this._getCompositeOperation(s))
+        .filter((mode) => mode !== "destination-out")
+    )
+    return modes.size === 1 ? [...modes][0] : "source-over"
+  }
+
+  /**
+   * 笔画是否为像素橡皮擦（以 destination-out 擦除所在图层的墨迹）
+   * @param {import('../tools/Stroke.js').Stroke} stroke
+   * @returns {boolean}
+   */
+  isErasing(stroke) {
+    return this._getCompositeOperation(stroke) === "destination-out"
+  }
+
+  // 独立绘制一组笔画，再按不透明度和合成模式整体叠加到目标上
+  _renderGroup(strokes, opacity, compositeOperation, options) {
+    const ctx = this.ctx
+    if (typeof ctx.beginLayer === "function") {
+      ctx.save()
+      ctx.globalAlpha = opacity
+      ctx.globalCompositeOperation = compositeOperation
+      ctx.beginLayer()
+      this.renderStrokes(strokes, options)
+      ctx.endLayer()
+      ctx.restore()
+      return
+    }
+
+    const canvas = ctx.canvas
+    if (!canvas || typeof ctx.getTransform !== "function") {
+      // 非画布渲染目标无法离屏合成，退化为逐笔画应用不透明度
+      ctx.save()
+      ctx.globalAlpha = opacity
+      this.renderStrokes(strokes, options)
+      ctx.restore()
+      return
+    }
+
+    if (
+      !this._layerCanvas ||
+      this._layerCanvas.width !== canvas.width ||
+      this._layerCanvas.height !== canvas.height
+    ) {
+      this._layerCanvas = createCanvas(canvas.width, canvas.height)
+    }
+    const layerCtx = this._layerCanvas.getContext("2d")
+    layerCtx.setTransform(1, 0, 0, 1, 0, 0)
+    layerCtx.clearRect(0, 0, canvas.width, canvas.height)
+    layerCtx.setTransform(ctx.getTransform())
+
+    this.ctx = layerCtx
+    try {
+      this.renderStrokes(strokes, options)
+    } finally {
+      this.ctx = ctx
+    }
+
+    ctx.save()
+    ctx.setTransform(1, 0, 0, 1, 0, 0)
+    ctx.globalAlpha = opacity
+    ctx.globalCompositeOperation = compositeOperation
+    ctx.drawImage(this._layerCanvas, 0, 0)
+    ctx.restore()
+  }
+
   renderStroke(stroke) {
+    if (stroke.kind === "text") {
+      this.renderText(stroke)
+      return
+    }
+
     const points = stroke.points
-    const pressures = stroke.pressures
     if (points.length < 2) return
 
-    this.ctx.save()
-    this.ctx.lineCap = "round"
-    this.ctx.lineJoin = "round"
-    this.ctx.globalCompositeOperation =
-      stroke.tool === "eraser" ? "destination-out" : "source-over"
-    this.ctx.strokeStyle = stroke.color
+    const definition = this.toolRegistry.get(stroke.tool)
+    if (definition?.render) {
+      this.ctx.save()
+      this.ctx.globalCompositeOperation = definition.compositeOperation
+      this.ctx.globalAlpha = stroke.opacity ?? 1
+      this.ctx.fillStyle = stroke.color
+      definition.render(this.ctx, stroke, {
+        preview: false,
+        getOutline: () => this.getStrokeOutline(stroke),
+        traceOutline
+      })
+      this.ctx.restore()
+      return
+    }
+
+    if (definition?.brush) {
+      this.ctx.save()
+      this.ctx.globalCompositeOperation = definition.compositeOperation
+      this.ctx.globalAlpha = stroke.opacity ?? 1
+      this.ctx.fillStyle = stroke.color
+      this.brushEngine.render(this.ctx, stroke, definition.brush)
+      this.ctx.restore()
+      return
+    }
 
-    if (points.length === 1) {
+    if (stroke.kind === "shape") {
+      // 形状按几何参数绘制干净的描边，不经过中心线平滑
+      this.ctx.save()
+      this.ctx.globalCompositeOperation = this._getCompositeOperation(stroke)
+      this.ctx.fillStyle = stroke.color
+      this.ctx.globalAlpha = stroke.opacity ?? 1
       this.ctx.beginPath()
-      this.ctx.arc(
-        points[0].x,
-        points[0].y,
-        stroke.baseSize * 0.5,
-        0,
-        Math.PI * 2
-      )
+      traceShape(this.ctx, stroke.geometry, getShapeRadius(stroke, definition))
       this.ctx.fill()
       this.ctx.restore()
       return
     }
 
-    if (this.lowFPS && points.length > 10) {
-      this._renderOptimizedStroke(stroke, points, pressures)
-    } else {
-      this._renderHighQualityStroke(stroke, points, pressures)
-    }
+    const outline = this.getStrokeOutline(stroke)
+    if (outline.length < 3) return
 
+    this.ctx.save()
+    this.ctx.globalCompositeOperation = this._getCompositeOperation(stroke)
+    this.ctx.fillStyle = stroke.color
+    this.ctx.globalAlpha = stroke.opacity ?? 1
+    this.ctx.beginPath()
+    traceOutline(this.ctx, outline)
+    this.ctx.fill()
     this.ctx.restore()
   }
 
-  _renderOptimizedStroke(stroke, points, pressures) {
+  /**
+   * 绘制文字：以文本框左上角为原点旋转，逐行居中于各自的行高之内
+   * 渲染目标未实现 fillText 时跳过
+   * @param {import('../tools/TextBox.js').TextBox} text
+   */
+  renderText(text) {
+    const ctx = this.ctx
+    if (typeof ctx.fillText !== "function") return
+
+    const cos = Math.cos(text.rotation)
+    const sin = Math.sin(text.rotation)
+    const lineHeight = text.fontSize * TEXT_LINE_HEIGHT
+    ctx.save()
+    ctx.globalCompositeOperation = this._getCompositeOperation(text)
+    ctx.fillStyle = text.color
+    ctx.globalAlpha = text.opacity ?? 1
+    ctx.font = getTextFont(text)
+    ctx.textAlign = "left"
+    ctx.textBaseline = "middle"
+    ctx.transform(cos, sin, -sin, cos, text.position.x, text.position.y)
+    getTextLines(text.text).forEach((line, i) => {
+      if (line) ctx.fillText(line, 0, lineHeight * (i + 0.5))
+    })
+    ctx.restore()
+  }
+
+  /**
+   * 笔画所在的渲染层
+   * @param {import('../tools/Stroke.js').Stroke} stroke
+   * @returns {"normal"|"under"}
+   */
+  getRenderPass(stroke) {
+    return this.toolRegistry.get(stroke.tool)?.pass ?? "normal"
+  }
+
+  // "under" 层的笔画（如荧光笔）保持相对顺序，先于其他笔画绘制
+  _orderByPass(strokes) {
+    const under = strokes.filter((s) => this.getRenderPass(s) === "under")
+    if (under.length === 0 || under.length === strokes.length) return strokes
+    return [
+      ...under,
+      ...strokes.filter((s) => this.getRenderPass(s) !== "under")
+    ]
+  }
+
+  // 未注册的工具（例如文档来自注册了自定义工具的应用）按普通笔画绘制
+  _getCompositeOperation(stroke) {
+    return (
+      this.toolRegistry.get(stroke.tool)?.compositeOperation ?? "source-over"
+    )
+  }
+
+  /**
+   * 计算笔画的变宽轮廓多边形
+   *
+   * 沿平滑曲线构建中心线，每个采样点的宽度由该处插值得到的压力决定，
+   * 扁平笔尖工具再按行笔方向与笔尖角度的夹角缩放宽度，
+   * 导出（SVG 等）与画布渲染共用同一结果。
+   *
+   * @param {import('../tools/Stroke.js').Stroke} stroke
+   * @returns {Array<{x: number, y: number}>}
+   */
+  getStrokeOutline(stroke) {
+    const definition = this.toolRegistry.get(stroke.tool)
+    const nib = definition?.nib
+    // 关键点采样会丢掉逐点的触控笔姿态，扁平笔尖始终使用原始点
+    const { points, pressures } =
+      this.lowFPS && stroke.points.length > 10 && !nib
+        ? this._getOptimizedPoints(stroke.points, stroke.pressures)
+        : stroke
+    if (points.length < 2) return []
+
+    const centerline = this._buildCenterline(points, pressures)
+    const radii = getInkRadii(stroke, definition, centerline)
+    const taper = definition?.taper ?? true
+    return getStrokeOutline(centerline.points, radii, {
+      taperStart: taper ? this.taperStart : 0,
+      taperEnd: taper ? this.taperEnd : 0,
+      cap: definition?.cap
+    })
+  }
+
+  /**
+   * 低帧率模式下的关键点预处理：预平滑、采样、可选插值
+   */
+  _getOptimizedPoints(points, pressures) {
     const { points: smoothedPoints, pressures: smoothedPressures } =
       StrokeUtils.preSmoothPoints(points, pressures, this.lowFPS)
 
@@ -89,46 +397,38 @@ export class CanvasRenderer {
       sampledPoints
     )
 
-    if (sampledPoints.length < 2) return
-
-    let renderPoints = sampledPoints
-    let renderPressures = sampledPressures
-
-    if (this.interpolateInLowFPS) {
-      const strategy = new SmoothStrategy({
-        enabled: true,
-        steps: this.smoothSteps
-      })
-      const result = strategy.apply(sampledPoints, sampledPressures)
-      renderPoints = result.points
-      renderPressures = result.pressures
+    if (sampledPoints.length < 2 || !this.interpolateInLowFPS) {
+      return { points: sampledPoints, pressures: sampledPressures }
     }
 
-    this.ctx.beginPath()
-    this._renderSmoothedPath(renderPoints, renderPressures, stroke)
+    const strategy = new SmoothStrategy({
+      enabled: true,
+      steps: this.smoothSteps
+    })
+    return strategy.apply(sampledPoints, sampledPressures)
   }
 
-  _renderSmoothedPath(points, pressures, stroke) {
-    if (points.length < 2) return
+  /**
+   * 使用平滑策略的控制点把关键点展开为带压力的中心线
+   * @returns {{points: Array<{x: number, y: number}>, pressures: number[]}}
+   */
+  _buildCenterline(points, pressures) {
+    const path = new CenterlineBuilder()
+    const pressureAt = (index) => pressures[index] || 0.5
 
-    this.ctx.moveTo(points[0].x, points[0].y)
-    const firstPressure = pressures[0] || 0.5
-    this.ctx.lineWidth = stroke.baseSize * (0.5 + firstPressure)
+    path.moveTo(points[0].x, points[0].y, pressureAt(0))
 
     if (points.length === 2) {
-      this.ctx.lineTo(points[1].x, points[1].y)
-      this.ctx.stroke()
-      return
+      path.lineTo(points[1].x, points[1].y, pressureAt(1))
+      return path
     }
 
     let i = 0
     while (i < points.length - 1) {
       const remainingPoints = points.length - i
-      const pressure = pressures[i] || 0.5
-      this.ctx.lineWidth = stroke.baseSize * (0.5 + pressure)
 
       if (remainingPoints === 2) {
-        this.ctx.lineTo(points[i + 1].x, points[i + 1].y)
+        path.lineTo(points[i + 1].x, points[i + 1].y, pressureAt(i + 1))
         break
       } else if (remainingPoints === 3) {
         const cp = getMomentumControlPoint(
@@ -141,11 +441,12 @@ export class CanvasRenderer {
               : this.momentumFactor
           }
         )
-        this.ctx.quadraticCurveTo(
+        path.quadraticCurveTo(
           cp.cx,
           cp.cy,
           points[i + 2].x,
-          points[i + 2].y
+          points[i + 2].y,
+          pressureAt(i + 2)
         )
         break
       } else {
@@ -180,7 +481,15 @@ export class CanvasRenderer {
               isLastSegment
             }
           )
-          this.ctx.bezierCurveTo(cp1x, cp1y, cp2x, cp2y, p2.x, p2.y)
+          path.bezierCurveTo(
+            cp1x,
+            cp1y,
+            cp2x,
+            cp2y,
+            p2.x,
+            p2.y,
+            pressureAt(i + 2)
+          )
           i += 2
         } else if (i === 0 || i === points.length - 4) {
           const { cp1x, cp1y, cp2x, cp2y } = getFinalSegmentControlPoints(
@@ -194,7 +503,15 @@ export class CanvasRenderer {
               isLastSegment
             }
           )
-          this.ctx.bezierCurveTo(cp1x, cp1y, cp2x, cp2y, p2.x, p2.y)
+          path.bezierCurveTo(
+            cp1x,
+            cp1y,
+            cp2x,
+            cp2y,
+            p2.x,
+            p2.y,
+            pressureAt(i + 2)
+          )
           i += 2
         } else {
           const { cp1x, cp1y, cp2x, cp2y } = getCubicMomentumControlPoints(
@@ -207,25 +524,19 @@ export class CanvasRenderer {
               speedThreshold
             }
           )
-          this.ctx.bezierCurveTo(cp1x, cp1y, cp2x, cp2y, p2.x, p2.y)
+          path.bezierCurveTo(
+            cp1x,
+            cp1y,
+            cp2x,
+            cp2y,
+            p2.x,
+            p2.y,
+            pressureAt(i + 2)
+          )
           i += 2
         }
       }
     }
-    this.ctx.stroke()
-  }
-
-  _renderHighQualityStroke(stroke, points, pressures) {
-    if (points.length <= 1) return
-    if (points.length === 2) {
-      this.ctx.beginPath()
-      this.ctx.moveTo(points[0].x, points[0].y)
-      this.ctx.lineTo(points[1].x, points[1].y)
-      this.ctx.lineWidth = stroke.baseSize * (0.5 + (pressures[0] || 0.5))
-      this.ctx.stroke()
-      return
-    }
-    this.ctx.beginPath()
-    this._renderSmoothedPath(points, pressures, stroke)
+    return path
   }
 }
@@ -0,0 +1,266 @@
+// src/renderer/InkCache.js
+
+import { createCanvas } from "../utils/canvas.js"
+import { unionBoxes } from "../utils/geometry.js"
+
+/**
+ * InkCache：已提交墨迹的离屏缓存
+ *
+ * 每个图层对应一张与主画布同尺寸的离屏位图，按当前设备变换（DPR × 视口）绘制：
+ * - 新笔画只需 appendStroke() 叠加到所在图层的缓存上
+ * - 撤销、擦除、变换等操作通过 redrawRegion() 只重绘受影响的区域
+ * - composite() 按 z 顺序和图层不透明度把缓存合成到主画布
+ *
+ * 含 "under" 层笔画（如荧光笔）的图层另有一张缓存保存该组（见 CanvasRenderer.groupByPass），
+ * 合成时先按组的混合模式与背景和下方图层混合，再叠加其他墨迹，与 renderLayers() 的导出结果一致。
+ *
+ * 画布尺寸或设备变换（平移、缩放）变化时缓存整体失效，下次合成时重建。
+ */
+export class InkCache {
+  /**
+   * @param {function(): import('./CanvasRenderer.js').CanvasRenderer} getRenderer - 获取当前渲染器（渲染参数可能在运行时切换）
+   */
+  constructor(getRenderer) {
+    this.getRenderer = getRenderer
+    this.entries = new Map()
+    this.width = 0
+    this.height = 0
+    this.transform = null
+  }
+
+  /**
+   * 同步画布尺寸与设备变换，发生变化时使全部缓存失效
+   * @param {number} width - 画布像素宽度
+   * @param {number} height - 画布像素高度
+   * @param {{a: number, b: number, c: number, d: number, e: number, f: number}} transform - 世界坐标到设备像素的变换
+   */
+  sync(width, height, transform) {
+    if (width !== this.width || height !== this.height) {
+      this.width = width
+      this.height = height
+      this.entries.clear()
+    }
+    if (!this.transform || !sameTransform(this.transform, transform)) {
+      this.transform = {
+        a: transform.a,
+        b: transform.b,
+        c: transform.c,
+        d: transform.d,
+        e: transform.e,
+        f: transform.f
+      }
+      this.invalidate()
+    }
+  }
+
+  /**
+   * 使缓存失效，下次合成时整层重绘
+   * @param {string} [layerId] - 省略时使全部图层失效
+   */
+  invalidate(layerId) {
+    if (layerId === undefined) {
+      for (const entry of this.entries.values()) entry.valid = false
+      return
+    }
+    const entry = this.entries.get(layerId)
+    if (entry) entry.valid = false
+  }
+
+  /**
+   * 把新提交的笔画叠加到图层缓存上，无需重绘已有内容
+   * @param {import('../document/Layer.js').Layer} layer
+   * @param {import('../tools/Stroke.js').Stroke} stroke
+   */
+  appendStroke(layer, stroke) {
+    const entry = this.entries.get(layer.id)
+    // 缓存尚未建立或已失效时，下次合成会整层重绘，其中已包含该笔画
+    if (!entry?.valid) return
+    if (this.getRenderer().getRenderPass(stroke) !== "normal") {
+      // 位于墨迹之下的笔画要绘制在图层中已有的橡皮擦之前，重绘所在区域以保持绘制顺序
+      this.redrawRegion(layer, [stroke.getInkBounds()])
+      return
+    }
+    this._applyTransform(entry)
+    this._render(entry, [stroke])
+  }
+
+  /**
+   * 重绘图层缓存中的脏区域
+   * @param {import('../document/Layer.js').Layer} layer
+   * @param {Array<{minX: number, minY: number, maxX: number, maxY: number}>|null} boxes - 脏区域（世界坐标），null 表示整层重绘
+   */
+  redrawRegion(layer, boxes) {
+    const entry = this.entries.get(layer.id)
+    if (!entry?.valid) return
+    if (!boxes) {
+      entry.valid = false
+      return
+    }
+
+    const dirty = unionBoxes(boxes)
+    if (!dirty) return
+
+    // 外扩约 2 个设备像素，覆盖抗锯齿边缘
+    const pad = 2 / Math.hypot(this.transform.a, this.transform.b)
+    const rect = {
+      minX: dirty.minX - pad,
+      minY: dirty.minY - pad,
+      maxX: dirty.maxX + pad,
+      maxY: dirty.maxY + pad
+    }
+
+    const strokes = layer.queryStrokes(rect)
+    const { under } = this.getRenderer().groupByPass(strokes)
+    if (under.length > 0 && !this._canRenderUnder(entry, under)) {
+      // 缺少 under 组的缓存或混合模式改变时整层重绘
+      entry.valid = false
+      return
+    }
+
+    this._applyTransform(entry)
+    const contexts = entry.under ? [entry.ctx, entry.under.ctx] : [entry.ctx]
+    for (const ctx of contexts) {
+      ctx.save()
+      ctx.beginPath()
+      ctx.rect(
+        rect.minX,
+        rect.minY,
+        rect.maxX - rect.minX,
+        rect.maxY - rect.minY
+      )
+      ctx.clip()
+      ctx.clearRect(
+        rect.minX,
+        rect.minY,
+        rect.maxX - rect.minX,
+        rect.maxY - rect.minY
+      )
+    }
+    this._render(entry, strokes)
+    for (const ctx of contexts) ctx.restore()
+  }
+
+  /**
+   * 按 z 顺序把可见图层的缓存合成到主画布（覆盖在已有内容之上）
+   * @param {CanvasRenderingContext2D} ctx - 主画布上下文
+   * @param {import('../document/Layer.js').Layer[]} layers
+   */
+  composite(ctx, layers) {
+    // 丢弃已不存在的图层缓存（撤销删除图层时会重新建立）
+    const ids = new Set(layers.map((l) => l.id))
+    for (const id of this.entries.keys()) {
+      if (!ids.has(id)) this.entries.delete(id)
+    }
+
+    ctx.save()
+    ctx.setTransform(1, 0, 0, 1, 0, 0)
+    for (const layer of layers) {
+      if (!layer.visible || layer.opacity <= 0) continue
+      const entry = this._ensure(layer)
+      ctx.globalAlpha = layer.opacity
+      if (entry.under) {
+        ctx.globalCompositeOperation = entry.under.compositeOperation
+        ctx.drawImage(entry.under.canvas, 0, 0)
+        ctx.globalCompositeOperation = "source-over"
+      }
+      ctx.drawImage(entry.canvas, 0, 0)
+    }
+    ctx.restore()
+  }
+
+  // 获取图层缓存，不存在或已失效时整层重绘
+  _ensure(layer) {
+    let entry = this.entries.get(layer.id)
+    if (!entry) {
+      const canvas = createCanvas(this.width, this.height)
+      entry = {
+        canvas,
+        ctx: canvas.getContext("2d"),
+        under: null,
+        valid: false
+      }
+      this.entries.set(layer.id, entry)
+    }
+    if (!entry.valid) {
+      const { under } = this.getRenderer().groupByPass(layer.strokes)
+      if (under.length === 0) {
+        entry.under = null
+      } else {
+        entry.under ??= this._createUnderCache()
+        entry.under.compositeOperation = this.getRenderer().getBlendMode(under)
+      }
+
+      for (const target of [entry, entry.under]) {
+        if (!target) continue
+        target.ctx.setTransform(1, 0, 0, 1, 0, 0)
+        target.ctx.clearRect(0, 0, this.width, this.height)
+      }
+      entry.valid = true
+      this._applyTransform(entry)
+      this._render(entry, layer.strokes)
+    }
+    return entry
+  }
+
+  _createUnderCache() {
+    const canvas = createCanvas(this.width, this.height)
+    return {
+      canvas,
+      ctx: canvas.getContext("2d"),
+      compositeOperation: "source-over"
+    }
+  }
+
+  // under 组的缓存已建立，且新笔画不改变组的混合模式
+  _canRenderUnder(entry, under) {
+    const renderer = this.getRenderer()
+    return (
+      !!entry.under &&
+      under.every(
+        (s) =>
+          renderer.getRenderPass(s) !== "under" ||
+          renderer.getBlendMode([s]) === entry.under.compositeOperation
+      )
+    )
+  }
+
+  _applyTransform(entry) {
+    const { a, b, c, d, e, f } = this.transform
+    entry.ctx.setTransform(a, b, c, d, e, f)
+    entry.under?.ctx.setTransform(a, b, c, d, e, f)
+  }
+
+  // 按组把笔画绘制到图层缓存：under 组和橡皮擦绘制到 entry.under，其他笔画绘制到 entry.canvas
+  _render(entry, strokes) {
+    const renderer = this.getRenderer()
+    const target = renderer.ctx
+    try {
+      renderer.ctx = entry.ctx
+      renderer.renderStrokes(
+        strokes.filter((s) => renderer.getRenderPass(s) !== "under")
+      )
+      if (entry.under) {
+        renderer.ctx = entry.under.ctx
+        renderer.renderStrokes(
+          strokes.filter(
+            (s) =>
+              renderer.getRenderPass(s) === "under" || renderer.isErasing(s)
+          )
+        )
+      }
+    } finally {
+      renderer.ctx = target
+    }
+  }
+}
+
+function sameTransform(m1, m2) {
+  return (
+    m1.a === m2.a &&
+    m1.b === m2.b &&
+    m1.c === m2.c &&
+    m1.d === m2.d &&
+    m1.e === m2.e &&
+    m1.f === m2.f
+  )
+}
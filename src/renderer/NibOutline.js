@@ -0,0 +1,92 @@
+// src/renderer/NibOutline.js
+// 扁平笔尖：按行笔方向与笔尖宽边的夹角调整笔画半径
+
+import { getBrushOrientation } from "../input/StylusAdapter.js"
+
+/**
+ * 笔尖参数的默认值
+ * - angle: 笔尖宽边的方向（弧度），-π/4 为从左下到右上的常见书法角度
+ * - minWidth: 沿宽边方向行笔时的宽度比例（0 ~ 1）
+ * - stylus: 触控笔报告了姿态时，是否改用笔的朝向作为笔尖角度
+ */
+export const NIB_DEFAULTS = Object.freeze({
+  angle: -Math.PI / 4,
+  minWidth: 0.15,
+  stylus: true
+})
+
+/**
+ * 把工具定义中的 nib 设置解析为完整参数
+ * @param {boolean|Object} nib - true 使用默认值，对象覆盖部分参数
+ * @returns {Readonly<{angle: number, minWidth: number, stylus: boolean}>}
+ * @throws {Error} 参数无效时抛出
+ */
+export function getNibOptions(nib) {
+  const options = { ...NIB_DEFAULTS, ...(nib === true ? {} : nib) }
+  if (!Number.isFinite(options.angle)) {
+    throw new Error(`无效的笔尖角度: ${options.angle}`)
+  }
+  if (!(options.minWidth >= 0 && options.minWidth <= 1)) {
+    throw new Error(`无效的笔尖宽度比例: ${options.minWidth}`)
+  }
+  return Object.freeze(options)
+}
+
+/**
+ * 笔画每个点的笔尖角度（弧度）
+ *
+ * 工具允许且笔画记录了触控笔姿态时使用笔的朝向（见 getBrushOrientation），
+ * 笔垂直于屏幕等无法确定朝向的点使用工具的固定角度；结果叠加笔画的旋转角。
+ *
+ * @param {import('../tools/Stroke.js').Stroke} stroke
+ * @param {{angle: number, stylus: boolean}} nib - 解析后的笔尖参数
+ * @returns {number[]} 与 stroke.points 一一对应
+ */
+export function getNibAngles(stroke, nib) {
+  const rotation = stroke.rotation ?? 0
+  const orientations = nib.stylus ? stroke.orientations : null
+  return stroke.points.map((_, i) => {
+    const angle = orientations
+      ? getBrushOrientation(orientations[i]).angle
+      : null
+    return (angle ?? nib.angle) + rotation
+  })
+}
+
+/**
+ * 按笔尖宽边与行笔方向的夹角缩放中心线上每个点的半径（原地修改）
+ *
+ * 垂直于宽边行笔时为完整宽度，沿宽边行笔时为 minWidth 倍。
+ * 中心线由原始点平滑展开，每个中心线点使用最近的原始点的笔尖角度。
+ *
+ * @param {number[]} radii - 中心线各点的半径
+ * @param {Array<{x: number, y: number}>} centerline - 中心线点
+ * @param {Array<{x: number, y: number}>} points - 笔画的原始点
+ * @param {number[]} angles - 原始点的笔尖角度，见 getNibAngles()
+ * @param {number} minWidth - 最小宽度比例
+ */
+export function applyNibWidth(radii, centerline, points, angles, minWidth) {
+  const last = centerline.length - 1
+  let j = 0
+  for (let i = 0; i <= last; i++) {
+    const c = centerline[i]
+    // 中心线沿原始点顺序前进，最近的原始点只会向后移动
+    while (
+      j < points.length - 1 &&
+      distance2(c, points[j + 1]) <= distance2(c, points[j])
+    ) {
+      j++
+    }
+    const from = centerline[Math.max(0, i - 1)]
+    const to = centerline[Math.min(last, i + 1)]
+    const direction = Math.atan2(to.y - from.y, to.x - from.x)
+    const across = Math.abs(Math.sin(direction - angles[j]))
+    radii[i] *= minWidth + (1 - minWidth) * across
+  }
+}
+
+function distance2(a, b) {
+  const dx = a.x - b.x
+  const dy = a.y - b.y
+  return dx * dx + dy * dy
+}
@@ -5,16 +5,36 @@ import {
 } from "./SmoothStrategy.js"
 import { StrokeUtils } from "./StrokeUtils.js"
 import { SmoothStrategy } from "./SmoothStrategy.js"
+import {
+  CenterlineBuilder,
+  getStrokeOutline,
+  pressureToRadius,
+  traceOutline
+} from "./StrokeOutline.js"
+import { getShapeRadius, traceShape } from "./ShapeOutline.js"
+import { getDefaultToolRegistry } from "../tools/ToolRegistry.js"
+import { BrushEngine } from "./BrushEngine.js"
 
 export class PreviewRenderer {
+  /**
+   * @param {import('./targets/RenderTarget.js').RenderTarget} ctx - 渲染目标
+   * @param {Object} [options] - 预览平滑参数
+   * @param {import('../tools/ToolRegistry.js').ToolRegistry} [options.toolRegistry] - 工具注册表，用于查找合成模式和自定义渲染
+   */
   constructor(ctx, options = {}) {
     this.ctx = ctx
+    this.toolRegistry = options.toolRegistry ?? getDefaultToolRegistry()
+    this.brushEngine = new BrushEngine()
+    // 印章笔刷的增量绘制状态，每帧只绘制新增的印章
+    this._brushStates = new WeakMap()
     this.lowFPS = options.lowFPS ?? false
     this.lowFPSFilterWindowSize = options.lowFPSFilterWindowSize ?? 3
     this.previewLookback = options.previewLookback ?? 15
     this.smoothSteps = options.smoothSteps ?? 4 // ⬆ 插值更密集
     this.interpolateInLowFPS = options.interpolateInLowFPS ?? true
     this.maxSegmentLength = options.maxSegmentLength ?? 20 // ⬅ 每段最长长度限制（像素）
+    // 起笔收尖长度，与 CanvasRenderer 保持一致；预览时笔画仍在延伸，收笔不收尖
+    this.taperStart = options.taperStart ?? 6
 
     this.defaultOptions = {
       momentumFactor: options.momentumFactor ?? 0.5,
@@ -45,18 +65,49 @@ export class PreviewRenderer {
     const pressures = stroke.pressures
     if (points.length < 2) return
 
+    const definition = this.toolRegistry.get(stroke.tool)
     this.ctx.save()
-    this.ctx.lineCap = "round"
-    this.ctx.lineJoin = "round"
     this.ctx.globalCompositeOperation =
-      stroke.tool === "eraser" ? "destination-out" : "source-over"
+      definition?.compositeOperation ?? "source-over"
+
+    if (definition?.render) {
+      // 自定义渲染每帧绘制整条笔画
+      this.ctx.globalAlpha = stroke.opacity ?? 1
+      this.ctx.fillStyle = stroke.color
+      definition.render(this.ctx, stroke, {
+        preview: true,
+        getOutline: () => this._getFullOutline(stroke, definition),
+        traceOutline
+      })
+      this.ctx.restore()
+      return
+    }
+
+    if (definition?.brush) {
+      this.ctx.globalAlpha = stroke.opacity ?? 1
+      this.ctx.fillStyle = stroke.color
+      this._brushStates.set(
+        stroke,
+        this.brushEngine.render(
+          this.ctx,
+          stroke,
+          definition.brush,
+          this._brushStates.get(stroke)
+        )
+      )
+      this.ctx.restore()
+      return
+    }
 
     let pointsToRender = points
     let pressuresToRender = pressures
+    // 只有从笔画起点开始渲染时才做起笔收尖
+    let fromStart = true
     const options = this.lowFPS ? this.lowFPSOptions : this.defaultOptions
 
     if (this.lowFPS && points.length > 10) {
       const lookback = Math.min(points.length, this.previewLookback)
+      fromStart = lookback === points.length
       const recentPoints = points.slice(-lookback)
       const recentPressures = pressures.slice(-lookback)
 
@@ -107,28 +158,28 @@ export class PreviewRenderer {
         pointsToRender,
         pressuresToRender,
         stroke,
-        options
+        options,
+        fromStart
       )
     }
 
     this.ctx.restore()
   }
 
-  _renderSmoothedPreviewPath(points, pressures, stroke, options) {
-    this.ctx.beginPath()
-    this.ctx.moveTo(points[0].x, points[0].y)
+  _renderSmoothedPreviewPath(points, pressures, stroke, options, fromStart) {
+    const path = new CenterlineBuilder()
+    const pressureAt = (index) => pressures[index] || 0.5
+    path.moveTo(points[0].x, points[0].y, pressureAt(0))
 
     for (let i = 0; i < points.length - 1; ) {
       const remaining = points.length - i
-      const pressure = pressures[i] || 0.5
-      this.ctx.lineWidth = stroke.baseSize * (0.5 + pressure)
 
       const dx = points[i + 2]?.x - points[i + 1]?.x || 0
       const dy = points[i + 2]?.y - points[i + 1]?.y || 0
       const segLength = Math.sqrt(dx * dx + dy * dy)
 
       if (remaining === 2 || segLength > this.maxSegmentLength) {
-        this.ctx.lineTo(points[i + 1].x, points[i + 1].y)
+        path.lineTo(points[i + 1].x, points[i + 1].y, pressureAt(i + 1))
         i += 1
       } else if (remaining === 3) {
         const cp = getMomentumControlPoint(
@@ -137,11 +188,12 @@ export class PreviewRenderer {
           points[i + 2],
           options
         )
-        this.ctx.quadraticCurveTo(
+        path.quadraticCurveTo(
           cp.cx,
           cp.cy,
           points[i + 2].x,
-          points[i + 2].y
+          points[i + 2].y,
+          pressureAt(i + 2)
         )
         break
       } else {
@@ -158,23 +210,100 @@ export class PreviewRenderer {
             })
           : getCubicMomentumControlPoints(p0, p1, p2, p3, options)
 
-        this.ctx.bezierCurveTo(cp1x, cp1y, cp2x, cp2y, p2.x, p2.y)
+        path.bezierCurveTo(
+          cp1x,
+          cp1y,
+          cp2x,
+          cp2y,
+          p2.x,
+          p2.y,
+          pressureAt(i + 2)
+        )
         i += 2
       }
     }
 
-    this.ctx.strokeStyle = stroke.color
-    this.ctx.stroke()
+    const definition = this.toolRegistry.get(stroke.tool)
+    const radii = path.pressures.map((p) =>
+      pressureToRadius(
+        stroke.baseSize,
+        definition?.pressureSensitive === false ? 0.5 : p
+      )
+    )
+    const outline = getStrokeOutline(path.points, radii, {
+      taperStart:
+        fromStart && (definition?.taper ?? true) ? this.taperStart : 0,
+      cap: definition?.cap
+    })
+
+    this.ctx.beginPath()
+    traceOutline(this.ctx, outline)
+    this.ctx.fillStyle = stroke.color
+    this.ctx.globalAlpha = stroke.opacity ?? 1
+    this.ctx.fill()
   }
 
-  drawStartPoint(pos, tool = "pen", radius = 1.5) {
+  /**
+   * 绘制拖动中的形状
+   *
+   * 形状每帧都可能整体改变，调用前应先恢复已提交的墨迹，再完整绘制一次。
+   *
+   * @param {import('../tools/Shape.js').Shape} shape
+   */
+  renderShape(shape) {
+    const definition = this.toolRegistry.get(shape.tool)
     this.ctx.save()
-    if (tool === "eraser") {
-      this.ctx.globalCompositeOperation = "destination-out"
+    this.ctx.globalCompositeOperation =
+      definition?.compositeOperation ?? "source-over"
+    this.ctx.globalAlpha = shape.opacity ?? 1
+    this.ctx.fillStyle = shape.color
+
+    if (definition?.render) {
+      definition.render(this.ctx, shape, {
+        preview: true,
+        getOutline: () => this._getFullOutline(shape, definition),
+        traceOutline
+      })
+    } else if (definition?.brush) {
+      this.brushEngine.render(this.ctx, shape, definition.brush)
+    } else {
+      this.ctx.beginPath()
+      traceShape(this.ctx, shape.geometry, getShapeRadius(shape, definition))
+      this.ctx.fill()
     }
+    this.ctx.restore()
+  }
+
+  // 按原始点计算整条笔画的轮廓（不平滑，收笔不收尖），供自定义渲染使用
+  _getFullOutline(stroke, definition) {
+    const radii = stroke.pressures.map((p) =>
+      pressureToRadius(stroke.baseSize, definition.pressureSensitive ? p : 0.5)
+    )
+    return getStrokeOutline(stroke.points, radii, {
+      taperStart: definition.taper ? this.taperStart : 0,
+      cap: definition.cap
+    })
+  }
+
+  drawStartPoint(
+    pos,
+    tool = "pen",
+    radius = 1.5,
+    color = "black",
+    opacity = 1
+  ) {
+    const definition = this.toolRegistry.get(tool)
+    // 自定义渲染的工具外观未知，印章笔刷在第一次预览时从起点开始绘制，都不需要起笔圆点
+    if (definition?.render || definition?.brush) return
+
+    const erasing = definition?.compositeOperation === "destination-out"
+    this.ctx.save()
+    this.ctx.globalCompositeOperation =
+      definition?.compositeOperation ?? "source-over"
+    this.ctx.globalAlpha = opacity
     this.ctx.beginPath()
     this.ctx.arc(pos.x, pos.y, radius, 0, Math.PI * 2)
-    this.ctx.fillStyle = tool === "eraser" ? "rgba(0,0,0,1)" : "black"
+    this.ctx.fillStyle = erasing ? "rgba(0,0,0,1)" : color
     this.ctx.fill()
     this.ctx.restore()
   }
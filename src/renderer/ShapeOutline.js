@@ -0,0 +1,176 @@
+// src/renderer/ShapeOutline.js
+// 形状轮廓：按几何参数生成描边区域的路径，直接写入渲染目标
+
+import { getArrowBarbs, getShapeVertices } from "../tools/Shape.js"
+import { pressureToRadius } from "./StrokeOutline.js"
+
+// 用三次贝塞尔曲线近似四分之一椭圆弧时控制柄的长度比例
+const KAPPA = 0.5522847498
+
+/**
+ * 把形状的描边区域写入渲染目标的当前路径
+ *
+ * 描边区域为几何路径向两侧各扩展 radius，转角为圆角、端点为圆头：
+ * - 直线、箭头：每一段是两端为半圆的胶囊形
+ * - 矩形、三角形：外侧为圆角多边形，内侧为向内收缩的多边形（反向绘制形成空心）
+ * - 椭圆：内外两个椭圆，由三次贝塞尔曲线近似
+ *
+ * 所有子路径方向一致，应使用 nonzero 规则一次性填充，重叠处不会叠加透明度。
+ * 调用前需 beginPath()。
+ *
+ * @param {import('./targets/RenderTarget.js').RenderTarget} ctx - 渲染目标
+ * @param {Object} geometry - 形状几何，见 Shape.js
+ * @param {number} radius - 线宽的一半
+ */
+export function traceShape(ctx, geometry, radius) {
+  switch (geometry.type) {
+    case "line":
+      traceCapsule(ctx, geometry.from, geometry.to, radius)
+      break
+    case "arrow":
+      traceCapsule(ctx, geometry.from, geometry.to, radius)
+      for (const barb of getArrowBarbs(geometry)) {
+        traceCapsule(ctx, geometry.to, barb, radius)
+      }
+      break
+    case "rectangle":
+    case "triangle": {
+      const vertices = getShapeVertices(geometry)
+      if (Math.abs(signedArea(vertices)) < 1e-6) {
+        // 拖动中宽或高为 0 时退化为线段
+        vertices.forEach((v, i) =>
+          traceCapsule(ctx, v, vertices[(i + 1) % vertices.length], radius)
+        )
+      } else {
+        traceConvexRing(ctx, vertices, radius)
+      }
+      break
+    }
+    case "ellipse": {
+      const { center, radiusX, radiusY, rotation } = geometry
+      traceEllipse(ctx, center, radiusX + radius, radiusY + radius, rotation, 1)
+      if (radiusX > radius && radiusY > radius) {
+        traceEllipse(
+          ctx,
+          center,
+          radiusX - radius,
+          radiusY - radius,
+          rotation,
+          -1
+        )
+      }
+      break
+    }
+    default:
+      throw new Error(`未知的形状类型: ${geometry.type}`)
+  }
+}
+
+/**
+ * 形状的描边半径：压力取形状的统一压力，工具不感应压力时取中等压力
+ * @param {import('../tools/Shape.js').Shape} shape
+ * @param {import('../tools/ToolRegistry.js').ToolDefinition|null} definition - 形状所用工具的定义
+ * @returns {number}
+ */
+export function getShapeRadius(shape, definition) {
+  return pressureToRadius(
+    shape.baseSize,
+    definition?.pressureSensitive === false ? 0.5 : shape.pressure
+  )
+}
+
+// 线段 a-b 向两侧扩展 r，两端为半圆
+function traceCapsule(ctx, a, b, r) {
+  const start = Math.atan2(b.y - a.y, b.x - a.x) - Math.PI / 2
+  ctx.moveTo(b.x + Math.cos(start) * r, b.y + Math.sin(start) * r)
+  ctx.arc(b.x, b.y, r, start, start + Math.PI)
+  ctx.arc(a.x, a.y, r, start + Math.PI, start + Math.PI * 2)
+  ctx.closePath()
+}
+
+// 凸多边形的描边区域：外侧圆角多边形 + 反向的内侧收缩多边形
+function traceConvexRing(ctx, vertices, r) {
+  // 统一为角度递增的方向（屏幕上的顺时针），与圆弧的默认方向一致
+  const points = signedArea(vertices) < 0 ? [...vertices].reverse() : vertices
+  const n = points.length
+  // 每条边 i（points[i] → points[i + 1]）的外法线
+  const normals = points.map((p, i) => {
+    const q = points[(i + 1) % n]
+    const length = Math.hypot(q.x - p.x, q.y - p.y)
+    return { x: (q.y - p.y) / length, y: -(q.x - p.x) / length }
+  })
+
+  for (let i = 0; i < n; i++) {
+    const v = points[i]
+    const before = normals[(i - 1 + n) % n]
+    const after = normals[i]
+    const start = Math.atan2(before.y, before.x)
+    let end = Math.atan2(after.y, after.x)
+    while (end < start) end += Math.PI * 2
+    if (i === 0) ctx.moveTo(v.x + before.x * r, v.y + before.y * r)
+    ctx.arc(v.x, v.y, r, start, end)
+  }
+  ctx.closePath()
+
+  // 内侧顶点为相邻两边向内平移 r 后的交点
+  const inner = points.map((v, i) => {
+    const before = normals[(i - 1 + n) % n]
+    const after = normals[i]
+    const k = r / (1 + before.x * after.x + before.y * after.y)
+    return {
+      x: v.x - (before.x + after.x) * k,
+      y: v.y - (before.y + after.y) * k
+    }
+  })
+  // 线宽超过内切圆时内侧收缩为空，整个形状实心填充
+  const collapsed = inner.some((w, i) => {
+    const next = inner[(i + 1) % n]
+    const p = points[i]
+    const q = points[(i + 1) % n]
+    return (next.x - w.x) * (q.x - p.x) + (next.y - w.y) * (q.y - p.y) <= 0
+  })
+  if (collapsed) return
+
+  ctx.moveTo(inner[n - 1].x, inner[n - 1].y)
+  for (let i = n - 2; i >= 0; i--) ctx.lineTo(inner[i].x, inner[i].y)
+  ctx.closePath()
+}
+
+// 四段三次贝塞尔曲线近似的椭圆，direction 为 1 时角度递增，-1 时反向
+function traceEllipse(ctx, center, rx, ry, rotation, direction) {
+  const cos = Math.cos(rotation)
+  const sin = Math.sin(rotation)
+  const toWorld = (u, v) => ({
+    x: center.x + u * cos - v * sin,
+    y: center.y + u * sin + v * cos
+  })
+  const pointAt = (t) => toWorld(rx * Math.cos(t), ry * Math.sin(t))
+  // 控制点 = 端点 ± KAPPA × 该处的切向量（相对中心）
+  const controlAt = (t, sign) =>
+    toWorld(
+      rx * Math.cos(t) - sign * KAPPA * rx * Math.sin(t),
+      ry * Math.sin(t) + sign * KAPPA * ry * Math.cos(t)
+    )
+
+  const first = pointAt(0)
+  ctx.moveTo(first.x, first.y)
+  for (let q = 0; q < 4; q++) {
+    const t0 = (direction * q * Math.PI) / 2
+    const t1 = (direction * (q + 1) * Math.PI) / 2
+    const cp1 = controlAt(t0, direction)
+    const cp2 = controlAt(t1, -direction)
+    const end = pointAt(t1)
+    ctx.bezierCurveTo(cp1.x, cp1.y, cp2.x, cp2.y, end.x, end.y)
+  }
+  ctx.closePath()
+}
+
+function signedArea(points) {
+  let area = 0
+  for (let i = 0; i < points.length; i++) {
+    const p = points[i]
+    const q = points[(i + 1) % points.length]
+    area += p.x * q.y - q.x * p.y
+  }
+  return area / 2
+}
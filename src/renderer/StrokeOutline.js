@@ -0,0 +1,393 @@
+// src/renderer/StrokeOutline.js
+// 笔画轮廓生成：把中心线上的点和压力转换为可填充的多边形
+
+import { applyNibWidth, getNibAngles } from "./NibOutline.js"
+
+/**
+ * 根据压力计算笔画在某点的半径
+ * 与 CanvasRenderer 中 lineWidth = baseSize * (0.5 + pressure) 的约定保持一致
+ * @param {number} baseSize - 笔画基础尺寸
+ * @param {number} pressure - 压力值 0~1
+ * @returns {number}
+ */
+export function pressureToRadius(baseSize, pressure = 0.5) {
+  return (baseSize * (0.5 + (pressure ?? 0.5))) / 2
+}
+
+/**
+ * 笔画中心线上每个点的墨迹半径
+ *
+ * 工具不感应压力时使用中等压力，扁平笔尖再按行笔方向缩放（见 applyNibWidth）。
+ * 渲染与矢量橡皮擦的判定共用，擦除范围与看到的墨迹宽度一致。
+ *
+ * @param {import('../tools/Stroke.js').Stroke} stroke
+ * @param {import('../tools/ToolRegistry.js').ToolDefinition|null} definition - 笔画所用工具的定义
+ * @param {{points: Array<{x: number, y: number}>, pressures: number[]}} [centerline=stroke] - 中心线，默认为笔画的原始点
+ * @returns {number[]} 与 centerline.points 一一对应
+ */
+export function getInkRadii(stroke, definition, centerline = stroke) {
+  const radii = centerline.points.map((_, i) =>
+    pressureToRadius(
+      stroke.baseSize,
+      definition?.pressureSensitive === false ? 0.5 : centerline.pressures[i]
+    )
+  )
+  const nib = definition?.nib
+  if (nib) {
+    applyNibWidth(
+      radii,
+      centerline.points,
+      stroke.points,
+      getNibAngles(stroke, nib),
+      nib.minWidth
+    )
+  }
+  return radii
+}
+
+/**
+ * 生成变宽笔画的轮廓多边形
+ *
+ * 算法：沿中心线计算每个点两侧的偏移点（左侧正向、右侧反向），
+ * 转弯外侧插入圆弧连接，首尾各补一个半圆端帽，最终得到一个闭合多边形。
+ * 结果应使用 nonzero 规则一次性填充，避免重叠区域叠加透明度。
+ *
+ * 起止处的收笔（taper）按沿中心线的距离把半径从 minTaper 倍平滑过渡到原值，
+ * 单侧收笔长度不超过笔画总长的一半。
+ *
+ * @param {Array<{x: number, y: number}>} points - 中心线点
+ * @param {number[]} radii - 每个点的半径，与 points 一一对应
+ * @param {Object} [options]
+ * @param {number} [options.capSegments=8] - 半圆端帽的分段数
+ * @param {number} [options.minDistance=0.5] - 小于该距离的相邻点会被合并
+ * @param {number} [options.taperStart=0] - 起笔收尖长度（像素），0 表示不收尖
+ * @param {number} [options.taperEnd=0] - 收笔收尖长度（像素），0 表示不收尖
+ * @param {number} [options.minTaper=0.3] - 收尖端点处的半径比例
+ * @param {"round"|"butt"} [options.cap="round"] - 端帽样式，"butt" 在端点处平切
+ * @returns {Array<{x: number, y: number}>} 闭合多边形顶点（不重复首点）
+ */
+export function getStrokeOutline(points, radii, options = {}) {
+  const {
+    capSegments = 8,
+    minDistance = 0.5,
+    taperStart = 0,
+    taperEnd = 0,
+    minTaper = 0.3,
+    cap = "round"
+  } = options
+  const nodes = dedupe(points, radii, minDistance)
+  if (nodes.length === 0) return []
+  if (taperStart > 0 || taperEnd > 0) {
+    applyTaper(nodes, taperStart, taperEnd, minTaper)
+  }
+
+  if (nodes.length === 1) {
+    const { x, y, r } = nodes[0]
+    const segments = capSegments * 2
+    const circle = []
+    for (let i = 0; i < segments; i++) {
+      const a = (-Math.PI * 2 * i) / segments
+      circle.push({ x: x + Math.cos(a) * r, y: y + Math.sin(a) * r })
+    }
+    return circle
+  }
+
+  const dirs = []
+  for (let i = 0; i < nodes.length - 1; i++) {
+    dirs.push(unit(nodes[i], nodes[i + 1]))
+  }
+
+  const left = []
+  const right = []
+  const last = nodes.length - 1
+
+  for (let i = 0; i <= last; i++) {
+    const { x, y, r } = nodes[i]
+
+    if (i === 0 || i === last) {
+      const d = dirs[i === 0 ? 0 : last - 1]
+      left.push({ x: x - d.y * r, y: y + d.x * r })
+      right.push({ x: x + d.y * r, y: y - d.x * r })
+      continue
+    }
+
+    const din = dirs[i - 1]
+    const dout = dirs[i]
+    const dot = din.x * dout.x + din.y * dout.y
+    const cross = din.x * dout.y - din.y * dout.x
+    // cross > 0 表示向左转，左侧为内侧
+    const leftIsInner = cross > 0
+
+    const aIn = Math.atan2(din.y, din.x)
+    const aOut = Math.atan2(dout.y, dout.x)
+
+    if (dot > 0.95) {
+      // 近似直线：使用平均法线
+      const tx = din.x + dout.x
+      const ty = din.y + dout.y
+      const len = Math.hypot(tx, ty) || 1
+      const nx = -ty / len
+      const ny = tx / len
+      left.push({ x: x + nx * r, y: y + ny * r })
+      right.push({ x: x - nx * r, y: y - ny * r })
+      continue
+    }
+
+    // 外侧：从入射法线沿圆弧旋转到出射法线
+    const turn = normalizeAngle(aOut - aIn)
+    const steps = Math.max(
+      1,
+      Math.ceil((Math.abs(turn) / Math.PI) * capSegments)
+    )
+    const outer = leftIsInner ? right : left
+    const inner = leftIsInner ? left : right
+    const sideAngle = leftIsInner ? -Math.PI / 2 : Math.PI / 2
+    for (let s = 0; s <= steps; s++) {
+      const a = aIn + sideAngle + (turn * s) / steps
+      outer.push({ x: x + Math.cos(a) * r, y: y + Math.sin(a) * r })
+    }
+
+    // 内侧：使用斜接点，转角过大时退化为中心点，避免产生自交的回环
+    if (dot > -0.2) {
+      const tx = din.x + dout.x
+      const ty = din.y + dout.y
+      const len = Math.hypot(tx, ty) || 1
+      const nx = -ty / len
+      const ny = tx / len
+      const cosHalf = Math.abs(nx * -din.y + ny * din.x) || 1
+      const miter = Math.min(r / cosHalf, r * 2)
+      const sign = leftIsInner ? 1 : -1
+      inner.push({ x: x + nx * miter * sign, y: y + ny * miter * sign })
+    } else {
+      inner.push({ x, y })
+    }
+  }
+
+  if (cap === "butt") {
+    return [...left, ...right.reverse()]
+  }
+
+  const start = nodes[0]
+  const end = nodes[last]
+  const aStart = Math.atan2(dirs[0].y, dirs[0].x)
+  const aEnd = Math.atan2(dirs[last - 1].y, dirs[last - 1].x)
+
+  // 终点端帽：从左侧绕过前进方向到右侧
+  const endCap = capPoints(end, aEnd + Math.PI / 2, capSegments)
+  // 起点端帽：从右侧绕过后退方向到左侧
+  const startCap = capPoints(start, aStart - Math.PI / 2, capSegments)
+
+  return [...left, ...endCap, ...right.reverse(), ...startCap]
+}
+
+/**
+ * 在绘图上下文中描出轮廓路径（与 outlineToSvgPath 使用相同的二次曲线平滑）
+ * 调用方负责 fill()
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Array<{x: number, y: number}>} outline
+ */
+export function traceOutline(ctx, outline) {
+  const n = outline.length
+  if (n < 3) return
+
+  const start = midpoint(outline[n - 1], outline[0])
+  ctx.moveTo(start.x, start.y)
+  for (let i = 0; i < n; i++) {
+    const p = outline[i]
+    const m = midpoint(p, outline[(i + 1) % n])
+    ctx.quadraticCurveTo(p.x, p.y, m.x, m.y)
+  }
+  ctx.closePath()
+}
+
+/**
+ * 中心线构建器：把 moveTo/lineTo/曲线指令展平为带压力的折线点
+ *
+ * 渲染器沿用原有的控制点计算逻辑，只是把绘图指令交给构建器采样，
+ * 从而得到可以生成变宽轮廓的中心线。
+ */
+export class CenterlineBuilder {
+  /**
+   * @param {number} [tolerance=2] - 曲线采样间距（像素）
+   */
+  constructor(tolerance = 2) {
+    this.tolerance = tolerance
+    this.points = []
+    this.pressures = []
+  }
+
+  moveTo(x, y, pressure) {
+    this.points.push({ x, y })
+    this.pressures.push(pressure)
+  }
+
+  lineTo(x, y, pressure) {
+    this.points.push({ x, y })
+    this.pressures.push(pressure)
+  }
+
+  quadraticCurveTo(cx, cy, x, y, pressure) {
+    const p0 = this._last()
+    const from = this.pressures[this.pressures.length - 1]
+    const steps = this._steps(p0.x, p0.y, cx, cy, x, y)
+    for (let i = 1; i <= steps; i++) {
+      const t = i / steps
+      const mt = 1 - t
+      this.points.push({
+        x: mt * mt * p0.x + 2 * mt * t * cx + t * t * x,
+        y: mt * mt * p0.y + 2 * mt * t * cy + t * t * y
+      })
+      this.pressures.push(from + (pressure - from) * t)
+    }
+  }
+
+  bezierCurveTo(cp1x, cp1y, cp2x, cp2y, x, y, pressure) {
+    const p0 = this._last()
+    const from = this.pressures[this.pressures.length - 1]
+    const steps = this._steps(p0.x, p0.y, cp1x, cp1y, cp2x, cp2y, x, y)
+    for (let i = 1; i <= steps; i++) {
+      const t = i / steps
+      const mt = 1 - t
+      const a = mt * mt * mt
+      const b = 3 * mt * mt * t
+      const c = 3 * mt * t * t
+      const d = t * t * t
+      this.points.push({
+        x: a * p0.x + b * cp1x + c * cp2x + d * x,
+        y: a * p0.y + b * cp1y + c * cp2y + d * y
+      })
+      this.pressures.push(from + (pressure - from) * t)
+    }
+  }
+
+  _last() {
+    return this.points[this.points.length - 1]
+  }
+
+  // 按控制多边形长度估算采样数
+  _steps(...coords) {
+    let length = 0
+    for (let i = 2; i < coords.length; i += 2) {
+      length += Math.hypot(
+        coords[i] - coords[i - 2],
+        coords[i + 1] - coords[i - 1]
+      )
+    }
+    return Math.max(2, Math.min(32, Math.ceil(length / this.tolerance)))
+  }
+}
+
+/**
+ * 把轮廓多边形转换为 SVG path 的 d 属性
+ * 使用相邻顶点中点作为锚点、顶点作为二次贝塞尔控制点，放大后依然平滑
+ * @param {Array<{x: number, y: number}>} outline
+ * @param {number} [precision=2] - 坐标保留的小数位
+ * @returns {string}
+ */
+export function outlineToSvgPath(outline, precision = 2) {
+  const n = outline.length
+  if (n < 3) return ""
+
+  const f = (v) => formatNumber(v, precision)
+
+  const start = midpoint(outline[n - 1], outline[0])
+  let d = `M${f(start.x)} ${f(start.y)}`
+  for (let i = 0; i < n; i++) {
+    const p = outline[i]
+    const m = midpoint(p, outline[(i + 1) % n])
+    d += `Q${f(p.x)} ${f(p.y)} ${f(m.x)} ${f(m.y)}`
+  }
+  return d + "Z"
+}
+
+/**
+ * 数字格式化：固定精度并去掉多余的 0
+ * @param {number} value
+ * @param {number} precision
+ * @returns {string}
+ */
+export function formatNumber(value, precision = 2) {
+  return String(Number(value.toFixed(precision)))
+}
+
+function dedupe(points, radii, minDistance) {
+  const nodes = []
+  const min2 = minDistance * minDistance
+  for (let i = 0; i < points.length; i++) {
+    const p = points[i]
+    const r = Math.max(0.25, radii[i] ?? radii[radii.length - 1] ?? 1)
+    const prev = nodes[nodes.length - 1]
+    if (prev) {
+      const dx = p.x - prev.x
+      const dy = p.y - prev.y
+      if (dx * dx + dy * dy < min2) {
+        // 末尾点始终保留，替换掉过近的前一个点（首点除外）
+        if (i === points.length - 1 && nodes.length > 1) {
+          nodes[nodes.length - 1] = { x: p.x, y: p.y, r }
+        } else {
+          prev.r = Math.max(prev.r, r)
+        }
+        continue
+      }
+    }
+    nodes.push({ x: p.x, y: p.y, r })
+  }
+  return nodes
+}
+
+// 按到两端的距离缩小半径，使用 ease-out 曲线过渡
+function applyTaper(nodes, taperStart, taperEnd, minTaper) {
+  const distances = [0]
+  for (let i = 1; i < nodes.length; i++) {
+    distances.push(
+      distances[i - 1] +
+        Math.hypot(nodes[i].x - nodes[i - 1].x, nodes[i].y - nodes[i - 1].y)
+    )
+  }
+  const total = distances[distances.length - 1]
+  const startLen = Math.min(taperStart, total / 2)
+  const endLen = Math.min(taperEnd, total / 2)
+  const ease = (t) => minTaper + (1 - minTaper) * (1 - (1 - t) * (1 - t))
+
+  for (let i = 0; i < nodes.length; i++) {
+    let factor = 1
+    if (startLen > 0 && distances[i] < startLen) {
+      factor = Math.min(factor, ease(distances[i] / startLen))
+    }
+    const fromEnd = total - distances[i]
+    if (endLen > 0 && fromEnd < endLen) {
+      factor = Math.min(factor, ease(fromEnd / endLen))
+    }
+    nodes[i].r *= factor
+  }
+}
+
+function midpoint(a, b) {
+  return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 }
+}
+
+function unit(a, b) {
+  const dx = b.x - a.x
+  const dy = b.y - a.y
+  const len = Math.hypot(dx, dy) || 0.001
+  return { x: dx / len, y: dy / len }
+}
+
+function normalizeAngle(a) {
+  while (a > Math.PI) a -= Math.PI * 2
+  while (a < -Math.PI) a += Math.PI * 2
+  return a
+}
+
+// 半圆端帽的中间点（两端点已由左右两侧提供）
+function capPoints(node, startAngle, segments) {
+  const result = []
+  for (let i = 1; i < segments; i++) {
+    const a = startAngle - (Math.PI * i) / segments
+    result.push({
+      x: node.x + Math.cos(a) * node.r,
+      y: node.y + Math.sin(a) * node.r
+    })
+  }
+  return result
+}
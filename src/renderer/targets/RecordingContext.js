@@ -0,0 +1,154 @@
+// src/renderer/targets/RecordingContext.js
+
+import { formatNumber } from "../StrokeOutline.js"
+
+const STATE_KEYS = [
+  "fillStyle",
+  "globalAlpha",
+  "globalCompositeOperation",
+  "font",
+  "textAlign",
+  "textBaseline"
+]
+
+const PATH_METHODS = [
+  "beginPath",
+  "moveTo",
+  "lineTo",
+  "quadraticCurveTo",
+  "bezierCurveTo",
+  "arc",
+  "closePath",
+  "fill",
+  "clearRect",
+  "fillRect",
+  "transform",
+  "fillText"
+]
+
+/**
+ * RecordingContext：在内存中记录绘图指令的渲染目标
+ *
+ * 不依赖 DOM，可以在 Node 中运行渲染管线，
+ * 再把指令序列序列化为文本做快照对比，用来发现平滑、控制点等算法的回归。
+ */
+export class RecordingContext {
+  constructor() {
+    this.commands = []
+    this._state = {
+      fillStyle: "#000000",
+      globalAlpha: 1,
+      globalCompositeOperation: "source-over",
+      font: "10px sans-serif",
+      textAlign: "start",
+      textBaseline: "alphabetic"
+    }
+    this._stack = []
+
+    for (const name of PATH_METHODS) {
+      this[name] = (...args) => {
+        this.commands.push({ op: name, args })
+      }
+    }
+  }
+
+  get fillStyle() {
+    return this._state.fillStyle
+  }
+  set fillStyle(value) {
+    this._set("fillStyle", value)
+  }
+
+  get globalAlpha() {
+    return this._state.globalAlpha
+  }
+  set globalAlpha(value) {
+    this._set("globalAlpha", value)
+  }
+
+  get globalCompositeOperation() {
+    return this._state.globalCompositeOperation
+  }
+  set globalCompositeOperation(value) {
+    this._set("globalCompositeOperation", value)
+  }
+
+  get font() {
+    return this._state.font
+  }
+  set font(value) {
+    this._set("font", value)
+  }
+
+  get textAlign() {
+    return this._state.textAlign
+  }
+  set textAlign(value) {
+    this._set("textAlign", value)
+  }
+
+  get textBaseline() {
+    return this._state.textBaseline
+  }
+  set textBaseline(value) {
+    this._set("textBaseline", value)
+  }
+
+  save() {
+    this._stack.push({ ...this._state })
+    this.commands.push({ op: "save", args: [] })
+  }
+
+  restore() {
+    const state = this._stack.pop()
+    if (state) this._state = state
+    this.commands.push({ op: "restore", args: [] })
+  }
+
+  beginLayer() {
+    this.commands.push({ op: "beginLayer", args: [] })
+    this._stack.push({ ...this._state })
+    this._state = {
+      ...this._state,
+      globalAlpha: 1,
+      globalCompositeOperation: "source-over"
+    }
+  }
+
+  endLayer() {
+    const state = this._stack.pop()
+    if (state) this._state = state
+    this.commands.push({ op: "endLayer", args: [] })
+  }
+
+  /**
+   * 清空已记录的指令
+   */
+  reset() {
+    this.commands = []
+  }
+
+  /**
+   * 把指令序列转换为稳定的文本快照，每条指令一行
+   * @param {number} [precision=2] - 数字保留的小数位
+   * @returns {string}
+   */
+  toSnapshot(precision = 2) {
+    return this.commands
+      .map(({ op, args }) =>
+        [
+          op,
+          ...args.map((a) =>
+            typeof a === "number" ? formatNumber(a, precision) : String(a)
+          )
+        ].join(" ")
+      )
+      .join("\n")
+  }
+
+  _set(key, value) {
+    if (!STATE_KEYS.includes(key)) return
+    this._state[key] = value
+    this.commands.push({ op: "set", args: [key, value] })
+  }
+}
@@ -0,0 +1,68 @@
+// src/renderer/targets/RenderTarget.js
+
+/**
+ * 渲染目标接口
+ *
+ * CanvasRenderer / PreviewRenderer 只依赖 CanvasRenderingContext2D 的这一小部分，
+ * 因此任何实现了下列成员的对象都可以作为渲染目标：
+ * - 浏览器中的 CanvasRenderingContext2D / OffscreenCanvasRenderingContext2D
+ * - SvgContext：把绘图指令转换为 SVG 元素
+ * - RecordingContext：在内存中记录绘图指令，可在 Node 中做快照测试
+ *
+ * @typedef {Object} RenderTarget
+ * @property {string} fillStyle - 填充颜色
+ * @property {number} globalAlpha - 全局透明度 0~1
+ * @property {string} globalCompositeOperation - 合成模式，如 "source-over" | "destination-out"
+ * @property {function(): void} save - 保存绘图状态
+ * @property {function(): void} restore - 恢复绘图状态
+ * @property {function(): void} beginPath - 开始新路径
+ * @property {function(number, number): void} moveTo
+ * @property {function(number, number): void} lineTo
+ * @property {function(number, number, number, number): void} quadraticCurveTo
+ * @property {function(number, number, number, number, number, number): void} bezierCurveTo
+ * @property {function(number, number, number, number, number, boolean=): void} arc
+ * @property {function(): void} closePath
+ * @property {function(): void} fill - 使用 nonzero 规则填充当前路径
+ * @property {function(number, number, number, number): void} clearRect
+ * @property {function(number, number, number, number): void} fillRect
+ * @property {function(): void} [beginLayer] - 可选：开始独立合成的图层，使用当前 globalAlpha 和 globalCompositeOperation 整体叠加
+ * @property {function(): void} [endLayer] - 可选：结束图层
+ * @property {function(number, number, number, number, number, number): void} [transform] - 可选：叠加变换矩阵，绘制文字时需要
+ * @property {string} [font] - 可选：文字字体，如 "24px sans-serif"
+ * @property {string} [textAlign] - 可选：文字水平对齐
+ * @property {string} [textBaseline] - 可选：文字基线
+ * @property {function(string, number, number): void} [fillText] - 可选：使用当前 font / fillStyle 绘制单行文字
+ *
+ * 未实现 beginLayer / endLayer 的画布上下文，CanvasRenderer 会借助临时画布合成图层；
+ * 未实现 fillText 的渲染目标不绘制文字。
+ */
+
+/**
+ * 渲染器依赖的方法列表
+ */
+export const RENDER_TARGET_METHODS = [
+  "save",
+  "restore",
+  "beginPath",
+  "moveTo",
+  "lineTo",
+  "quadraticCurveTo",
+  "bezierCurveTo",
+  "arc",
+  "closePath",
+  "fill",
+  "clearRect",
+  "fillRect"
+]
+
+/**
+ * 检查对象是否实现了渲染目标接口
+ * @param {any} target
+ * @returns {boolean}
+ */
+export function isRenderTarget(target) {
+  return (
+    !!target &&
+    RENDER_TARGET_METHODS.every((name) => typeof target[name] === "function")
+  )
+}
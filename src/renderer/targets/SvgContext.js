@@ -0,0 +1,392 @@
+// src/renderer/targets/SvgContext.js
+
+import { formatNumber } from "../StrokeOutline.js"
+import { Mat2D } from "../../utils/math.js"
+
+/**
+ * SvgContext：把绘图指令转换为 SVG 元素的渲染目标
+ *
+ * - 每次 fill() 输出一个使用当前 fillStyle / globalAlpha 的 <path>
+ * - globalCompositeOperation 为 "destination-out" 时，填充区域会通过 <mask>
+ *   擦除之前绘制的内容，与画布上的橡皮擦效果一致
+ * - globalCompositeOperation 为 multiply 等混合模式时，输出 mix-blend-mode 样式
+ * - beginLayer() / endLayer() 之间的内容输出到一个 <g> 中，
+ *   整组使用 beginLayer() 时的 globalAlpha 和混合模式，其中的擦除只作用于组内
+ * - clearRect() 会清空已绘制的全部内容
+ * - transform() 叠加的变换直接作用于输出坐标；圆弧只支持平移、旋转和等比缩放
+ * - fillText() 输出使用当前 font / textAlign / textBaseline 的 <text>
+ */
+export class SvgContext {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.precision=2] - 坐标保留的小数位
+   */
+  constructor({ precision = 2 } = {}) {
+    this.precision = precision
+    this.fillStyle = "#000000"
+    this.globalAlpha = 1
+    this.globalCompositeOperation = "source-over"
+    this.font = "10px sans-serif"
+    this.textAlign = "start"
+    this.textBaseline = "alphabetic"
+
+    this._stack = []
+    // 当前变换矩阵，null 表示单位矩阵
+    this._matrix = null
+    this._path = ""
+    this._current = null
+    this._body = ""
+    this._masks = []
+    this._currentMask = null
+    this._layers = []
+  }
+
+  save() {
+    this._stack.push({
+      fillStyle: this.fillStyle,
+      globalAlpha: this.globalAlpha,
+      globalCompositeOperation: this.globalCompositeOperation,
+      font: this.font,
+      textAlign: this.textAlign,
+      textBaseline: this.textBaseline,
+      _matrix: this._matrix
+    })
+  }
+
+  /**
+   * 叠加变换矩阵，之后的坐标先经过该变换再输出
+   */
+  transform(a, b, c, d, e, f) {
+    const m = { a, b, c, d, e, f }
+    this._matrix = this._matrix ? Mat2D.multiply(this._matrix, m) : m
+  }
+
+  restore() {
+    const state = this._stack.pop()
+    if (state) Object.assign(this, state)
+  }
+
+  beginPath() {
+    this._path = ""
+    this._current = null
+  }
+
+  moveTo(x, y) {
+    this._moveTo(this._p(x, y))
+  }
+
+  lineTo(x, y) {
+    if (!this._current) return this.moveTo(x, y)
+    this._lineTo(this._p(x, y))
+  }
+
+  quadraticCurveTo(cx, cy, x, y) {
+    if (!this._current) this.moveTo(cx, cy)
+    const c = this._p(cx, cy)
+    const p = this._p(x, y)
+    this._path += `Q${this._f(c.x)} ${this._f(c.y)} ${this._f(p.x)} ${this._f(p.y)}`
+    this._current = p
+  }
+
+  bezierCurveTo(cp1x, cp1y, cp2x, cp2y, x, y) {
+    if (!this._current) this.moveTo(cp1x, cp1y)
+    const c1 = this._p(cp1x, cp1y)
+    const c2 = this._p(cp2x, cp2y)
+    const p = this._p(x, y)
+    this._path +=
+      `C${this._f(c1.x)} ${this._f(c1.y)} ${this._f(c2.x)} ${this._f(c2.y)} ` +
+      `${this._f(p.x)} ${this._f(p.y)}`
+    this._current = p
+  }
+
+  arc(cx, cy, r, startAngle, endAngle, anticlockwise = false) {
+    const TAU = Math.PI * 2
+    let sweep = anticlockwise ? startAngle - endAngle : endAngle - startAngle
+    if (sweep >= TAU) {
+      sweep = TAU
+    } else {
+      sweep = ((sweep % TAU) + TAU) % TAU
+    }
+
+    const m = this._matrix
+    const center = this._p(cx, cy)
+    if (m) {
+      // 旋转 + 等比缩放下圆弧仍是圆弧：半径按缩放系数缩放，角度叠加旋转角，镜像时方向相反
+      const rotation = Math.atan2(m.b, m.a)
+      const mirrored = m.a * m.d - m.b * m.c < 0
+      r *= Mat2D.getScale(m)
+      startAngle = mirrored ? rotation - startAngle : rotation + startAngle
+      if (mirrored) anticlockwise = !anticlockwise
+    }
+
+    const sx = center.x + Math.cos(startAngle) * r
+    const sy = center.y + Math.sin(startAngle) * r
+    if (!this._current) {
+      this._moveTo({ x: sx, y: sy })
+    } else if (
+      // 已位于圆弧起点时不输出多余的零长度线段
+      this._f(this._current.x) !== this._f(sx) ||
+      this._f(this._current.y) !== this._f(sy)
+    ) {
+      this._lineTo({ x: sx, y: sy })
+    }
+    if (sweep === 0) return
+
+    const dir = anticlockwise ? -1 : 1
+    const sweepFlag = anticlockwise ? 0 : 1
+    // SVG 的弧线无法表示整圆，拆成两段
+    const parts = sweep > Math.PI ? 2 : 1
+    for (let i = 1; i <= parts; i++) {
+      const a = startAngle + (dir * sweep * i) / parts
+      const x = center.x + Math.cos(a) * r
+      const y = center.y + Math.sin(a) * r
+      this._path += `A${this._f(r)} ${this._f(r)} 0 0 ${sweepFlag} ${this._f(x)} ${this._f(y)}`
+      this._current = { x, y }
+    }
+  }
+
+  closePath() {
+    if (this._path) this._path += "Z"
+  }
+
+  fill() {
+    if (!this._path) return
+    this._emit(`<path d="${this._path}"`)
+  }
+
+  fillRect(x, y, width, height) {
+    if (this._matrix) {
+      // 变换后的矩形可能带旋转，按四个角输出路径
+      const d = [
+        this._p(x, y),
+        this._p(x + width, y),
+        this._p(x + width, y + height),
+        this._p(x, y + height)
+      ]
+        .map((p, i) => `${i === 0 ? "M" : "L"}${this._f(p.x)} ${this._f(p.y)}`)
+        .join("")
+      this._emit(`<path d="${d}Z"`)
+      return
+    }
+    this._emit(
+      `<rect x="${this._f(x)}" y="${this._f(y)}" width="${this._f(width)}" height="${this._f(height)}"`
+    )
+  }
+
+  /**
+   * 输出单行文字，位置和字号经过当前变换，旋转输出为 transform 属性
+   * @param {string} text
+   * @param {number} x
+   * @param {number} y
+   */
+  fillText(text, x, y) {
+    const m = this._matrix
+    const p = this._p(x, y)
+    const scale = m ? Mat2D.getScale(m) : 1
+    const rotation = m ? (Math.atan2(m.b, m.a) * 180) / Math.PI : 0
+    const font = parseFont(this.font)
+
+    let element =
+      `<text x="${this._f(p.x)}" y="${this._f(p.y)}" ` +
+      `font-family="${escapeXml(font.family)}" font-size="${this._f(font.size * scale)}"`
+    if (font.style) element += ` font-style="${font.style}"`
+    if (font.weight) element += ` font-weight="${font.weight}"`
+    if (TEXT_ANCHORS[this.textAlign]) {
+      element += ` text-anchor="${TEXT_ANCHORS[this.textAlign]}"`
+    }
+    if (DOMINANT_BASELINES[this.textBaseline]) {
+      element += ` dominant-baseline="${DOMINANT_BASELINES[this.textBaseline]}"`
+    }
+    if (this._f(rotation) !== "0") {
+      element += ` transform="rotate(${this._f(rotation)} ${this._f(p.x)} ${this._f(p.y)})"`
+    }
+    this._emit(`${element} xml:space="preserve"`, `>${escapeXml(text)}</text>`)
+  }
+
+  clearRect() {
+    this._body = ""
+    this._masks = []
+    this._currentMask = null
+    this._layers = []
+  }
+
+  /**
+   * 开始一个独立合成的图层，之后的绘制在 endLayer() 时整体叠加
+   * 与画布的 beginLayer() 一致：图层使用当前 globalAlpha 和 globalCompositeOperation，层内状态重置为默认值
+   */
+  beginLayer() {
+    this._layers.push({
+      body: this._body,
+      alpha: this.globalAlpha,
+      compositeOperation: this.globalCompositeOperation
+    })
+    this.save()
+    this._body = ""
+    this._currentMask = null
+    this.globalAlpha = 1
+    this.globalCompositeOperation = "source-over"
+  }
+
+  /**
+   * 结束当前图层并输出为 <g>
+   */
+  endLayer() {
+    const parent = this._layers.pop()
+    if (!parent) return
+    this.restore()
+    const opacity =
+      parent.alpha < 1 ? ` opacity="${this._f(parent.alpha)}"` : ""
+    const blend = BLEND_MODES.has(parent.compositeOperation)
+      ? ` style="mix-blend-mode:${parent.compositeOperation}"`
+      : ""
+    this._body = `${parent.body}<g${opacity}${blend}>${this._body}</g>`
+    this._currentMask = null
+  }
+
+  /**
+   * 生成完整的 SVG 文档
+   * @param {Object} options
+   * @param {number} options.width - 输出宽度
+   * @param {number} options.height - 输出高度
+   * @param {{x: number, y: number, width: number, height: number}} [options.viewBox] - 视图框，默认 0 0 width height
+   * @param {string|null} [options.background=null] - 背景色，位于遮罩之外，不会被擦除
+   * @param {{src: string, width: number, height: number, crop: Object, rect: Object}|null} [options.backgroundImage=null] -
+   *   背景图片（见 BackgroundImage），绘制在背景色之上、遮罩之外
+   * @returns {string}
+   */
+  toSVG({ width, height, viewBox, background = null, backgroundImage = null }) {
+    const f = (v) => this._f(v)
+    const box = viewBox || { x: 0, y: 0, width, height }
+    const area = `x="${f(box.x)}" y="${f(box.y)}" width="${f(box.width)}" height="${f(box.height)}"`
+
+    const maskDefs = this._masks
+      .map(
+        (m) =>
+          `<mask id="${m.id}" maskUnits="userSpaceOnUse" ${area}>` +
+          `<rect ${area} fill="white"/>` +
+          m.paths.join("") +
+          `</mask>`
+      )
+      .join("")
+
+    return (
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${f(width)}" height="${f(height)}" ` +
+      `viewBox="${f(box.x)} ${f(box.y)} ${f(box.width)} ${f(box.height)}">` +
+      (maskDefs ? `<defs>${maskDefs}</defs>` : "") +
+      (background ? `<rect ${area} fill="${escapeXml(background)}"/>` : "") +
+      (backgroundImage ? this._image(backgroundImage) : "") +
+      `<g>${this._body}</g>` +
+      `</svg>`
+    )
+  }
+
+  // 嵌套 <svg> 的 viewBox 选出图片中使用的区域并缩放到目标位置
+  _image({ src, width, height, crop, rect }) {
+    const f = (v) => this._f(v)
+    return (
+      `<svg x="${f(rect.x)}" y="${f(rect.y)}" width="${f(rect.width)}" height="${f(rect.height)}" ` +
+      `viewBox="${f(crop.x)} ${f(crop.y)} ${f(crop.width)} ${f(crop.height)}" preserveAspectRatio="none">` +
+      `<image width="${width}" height="${height}" href="${escapeXml(src)}"/>` +
+      `</svg>`
+    )
+  }
+
+  _emit(element, close = "/>") {
+    if (this.globalCompositeOperation === "destination-out") {
+      // 连续的擦除合并到同一个遮罩里
+      if (!this._currentMask) {
+        this._currentMask = {
+          id: `eraser-${this._masks.length + 1}`,
+          paths: []
+        }
+        this._masks.push(this._currentMask)
+        this._body = `<g mask="url(#${this._currentMask.id})">${this._body}</g>`
+      }
+      const opacity =
+        this.globalAlpha < 1
+          ? ` fill-opacity="${this._f(this.globalAlpha)}"`
+          : ""
+      this._currentMask.paths.push(`${element} fill="black"${opacity}${close}`)
+      return
+    }
+
+    this._currentMask = null
+    const opacity =
+      this.globalAlpha < 1 ? ` fill-opacity="${this._f(this.globalAlpha)}"` : ""
+    const blend = BLEND_MODES.has(this.globalCompositeOperation)
+      ? ` style="mix-blend-mode:${this.globalCompositeOperation}"`
+      : ""
+    this._body += `${element} fill="${escapeXml(this.fillStyle)}"${opacity}${blend}${close}`
+  }
+
+  // 按当前变换映射坐标
+  _p(x, y) {
+    return this._matrix ? Mat2D.applyToPoint(this._matrix, { x, y }) : { x, y }
+  }
+
+  // 以下两个方法接收已变换的坐标
+  _moveTo(p) {
+    this._path += `M${this._f(p.x)} ${this._f(p.y)}`
+    this._current = p
+  }
+
+  _lineTo(p) {
+    this._path += `L${this._f(p.x)} ${this._f(p.y)}`
+    this._current = p
+  }
+
+  _f(value) {
+    return formatNumber(value, this.precision)
+  }
+}
+
+// 画布合成模式中与 CSS mix-blend-mode 同名的混合模式
+const BLEND_MODES = new Set([
+  "multiply",
+  "screen",
+  "overlay",
+  "darken",
+  "lighten",
+  "color-dodge",
+  "color-burn",
+  "hard-light",
+  "soft-light",
+  "difference",
+  "exclusion",
+  "hue",
+  "saturation",
+  "color",
+  "luminosity"
+])
+
+// 画布 textAlign / textBaseline 对应的 SVG 属性值，默认值不输出
+const TEXT_ANCHORS = { center: "middle", right: "end", end: "end" }
+const DOMINANT_BASELINES = {
+  top: "text-before-edge",
+  hanging: "hanging",
+  middle: "central",
+  ideographic: "ideographic",
+  bottom: "text-after-edge"
+}
+
+// 解析画布 font 字符串，如 "italic bold 24px Georgia, serif"
+function parseFont(font) {
+  const match = /^\s*(.*?)\s*(\d*\.?\d+)px(?:\/\S+)?\s+(.+)$/.exec(font)
+  if (!match) return { size: 10, family: "sans-serif", style: "", weight: "" }
+  const modifiers = match[1].split(/\s+/)
+  return {
+    size: Number(match[2]),
+    family: match[3].trim(),
+    style: modifiers.find((m) => m === "italic" || m === "oblique") ?? "",
+    weight:
+      modifiers.find((m) => /^(bold|bolder|lighter|[1-9]00)$/.test(m)) ?? ""
+  }
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+}
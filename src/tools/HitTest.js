@@ -0,0 +1,104 @@
+// src/tools/HitTest.js
+
+import { getDefaultToolRegistry } from "./ToolRegistry.js"
+import { getInkRadii } from "../renderer/StrokeOutline.js"
+import { getShapeRadius } from "../renderer/ShapeOutline.js"
+import {
+  distancePointToSegment,
+  distanceSegmentToBox,
+  pointInPolygon
+} from "../utils/geometry.js"
+
+/**
+ * 精确命中判断：按笔画折线的每一段计算距离，并计入该段的墨迹半径
+ * （取两端半径中较大者），与渲染出的笔画宽度一致：半径按工具定义计算（见 getStrokeRadii）。
+ *
+ * 文字（kind: "text"）按整个文本框判断，点在框内即命中。
+ *
+ * 通常先用空间索引（Layer.queryStrokes）筛选候选笔画，再用这里的函数做精确判断。
+ */
+
+/**
+ * 笔画每个原始点的墨迹半径，与渲染一致
+ *
+ * 不感应压力的工具使用中等压力，扁平笔尖按行笔方向缩放（见 getInkRadii），
+ * 形状按统一半径描边（见 getShapeRadius），文字没有描边，半径为 0。
+ *
+ * @param {import('./Stroke.js').Stroke} stroke
+ * @param {import('./ToolRegistry.js').ToolRegistry} toolRegistry
+ * @returns {number[]} 与 stroke.points 一一对应
+ */
+export function getStrokeRadii(stroke, toolRegistry) {
+  if (stroke.kind === "text") return stroke.points.map(() => 0)
+  const definition = toolRegistry.get(stroke.tool)
+  if (stroke.kind === "shape") {
+    return stroke.points.map(() => getShapeRadius(stroke, definition))
+  }
+  return getInkRadii(stroke, definition)
+}
+
+/**
+ * 判断点是否落在笔画墨迹的指定距离内
+ * @param {import('./Stroke.js').Stroke} stroke
+ * @param {{x: number, y: number}} point - 世界坐标
+ * @param {number} [radius=0] - 额外的命中半径
+ * @param {Object} [options]
+ * @param {import('./ToolRegistry.js').ToolRegistry} [options.toolRegistry] - 工具注册表，用于确定墨迹宽度
+ * @returns {boolean}
+ */
+export function strokeHitsPoint(stroke, point, radius = 0, options = {}) {
+  if (stroke.kind === "text" && pointInPolygon(point, stroke.points)) {
+    return true
+  }
+  return someSegment(
+    stroke,
+    getStrokeRadii(stroke, options.toolRegistry ?? getDefaultToolRegistry()),
+    (a, b, inkRadius) =>
+      distancePointToSegment(point, a, b) <= radius + inkRadius
+  )
+}
+
+/**
+ * 判断笔画墨迹是否与矩形相交
+ * @param {import('./Stroke.js').Stroke} stroke
+ * @param {{minX: number, minY: number, maxX: number, maxY: number}} box - 世界坐标
+ * @param {Object} [options]
+ * @param {import('./ToolRegistry.js').ToolRegistry} [options.toolRegistry] - 工具注册表，用于确定墨迹宽度
+ * @returns {boolean}
+ */
+export function strokeIntersectsBox(stroke, box, options = {}) {
+  if (
+    stroke.kind === "text" &&
+    pointInPolygon(
+      { x: (box.minX + box.maxX) / 2, y: (box.minY + box.maxY) / 2 },
+      stroke.points
+    )
+  ) {
+    // 矩形完全位于文本框内时与任何一条边都不相交
+    return true
+  }
+  return someSegment(
+    stroke,
+    getStrokeRadii(stroke, options.toolRegistry ?? getDefaultToolRegistry()),
+    (a, b, inkRadius) => distanceSegmentToBox(a, b, box) <= inkRadius
+  )
+}
+
+// radii 为原始点的墨迹半径，见 getStrokeRadii()
+function someSegment(stroke, radii, test) {
+  // 文本框是闭合的，最后一条边回到起点
+  const points =
+    stroke.kind === "text"
+      ? [...stroke.points, stroke.points[0]]
+      : stroke.points
+  const radiusAt = (i) => radii[i % radii.length]
+
+  if (points.length === 1) {
+    return test(points[0], points[0], radiusAt(0))
+  }
+  for (let i = 0; i < points.length - 1; i++) {
+    const inkRadius = Math.max(radiusAt(i), radiusAt(i + 1))
+    if (test(points[i], points[i + 1], inkRadius)) return true
+  }
+  return false
+}
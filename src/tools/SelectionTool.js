@@ -0,0 +1,319 @@
+// src/tools/SelectionTool.js
+
+import { Mat2D } from "../utils/math.js"
+import { pointInPolygon, unionBoxes } from "../utils/geometry.js"
+
+/**
+ * 套索选择工具
+ *
+ * 交互流程：
+ * 1. 在空白处拖动绘制套索，松开后选中大部分点位于套索内的笔画
+ * 2. 选中后显示组合包围盒及控制柄：
+ *    - 拖动包围盒内部：移动
+ *    - 拖动四角控制柄：以对角为锚点等比缩放
+ *    - 拖动顶部旋转柄：绕包围盒中心旋转
+ * 3. 拖动过程中只预览变换矩阵，松开时返回一次完整的变换，由调用方提交到历史记录
+ */
+export class SelectionTool {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.handleSize=10] - 控制柄尺寸（像素）
+   * @param {number} [options.rotateHandleOffset=24] - 旋转柄距包围盒顶部的距离
+   * @param {number} [options.selectThreshold=0.5] - 笔画点位于套索内的比例达到该值即被选中
+   * @param {number} [options.padding=6] - 包围盒外扩距离
+   */
+  constructor(options = {}) {
+    this.handleSize = options.handleSize ?? 10
+    this.rotateHandleOffset = options.rotateHandleOffset ?? 24
+    this.selectThreshold = options.selectThreshold ?? 0.5
+    this.padding = options.padding ?? 6
+    // 视口缩放比例：控制柄尺寸以屏幕像素计，换算到世界坐标时除以该值
+    this.scale = 1
+
+    this.selectedIds = new Set()
+    this.lasso = null
+    this.mode = null // "lasso" | "move" | "scale" | "rotate"
+    this.previewMatrix = null
+    this._dragStart = null
+    this._anchor = null
+  }
+
+  /**
+   * 当前是否正在拖动（套索或变换）
+   * @returns {boolean}
+   */
+  isActive() {
+    return this.mode !== null
+  }
+
+  /**
+   * 设置选中的笔画
+   * @param {string[]} ids
+   */
+  select(ids) {
+    this.selectedIds = new Set(ids)
+  }
+
+  /**
+   * 清除选择和正在进行的交互
+   */
+  clear() {
+    this.selectedIds = new Set()
+    this.lasso = null
+    this.mode = null
+    this.previewMatrix = null
+  }
+
+  /**
+   * 放弃正在进行的拖动（例如被双指手势打断），保留已有选择
+   */
+  cancel() {
+    this.lasso = null
+    this.mode = null
+    this.previewMatrix = null
+  }
+
+  /**
+   * 正在绘制的套索的包围盒，可用于预先筛选候选笔画
+   * @returns {{minX: number, minY: number, maxX: number, maxY: number}|null}
+   */
+  getLassoBounds() {
+    if (this.mode !== "lasso" || !this.lasso?.length) return null
+    return unionBoxes(
+      this.lasso.map((p) => ({ minX: p.x, minY: p.y, maxX: p.x, maxY: p.y }))
+    )
+  }
+
+  /**
+   * 获取选中的笔画（忽略已不在文档中的 ID）
+   * @param {import('./Stroke.js').Stroke[]} strokes
+   * @returns {import('./Stroke.js').Stroke[]}
+   */
+  getSelectedStrokes(strokes) {
+    return strokes.filter((s) => this.selectedIds.has(s.id))
+  }
+
+  /**
+   * 选中笔画的组合包围盒（已外扩 padding 与线宽）
+   * @param {import('./Stroke.js').Stroke[]} strokes
+   * @returns {{minX: number, minY: number, maxX: number, maxY: number}|null}
+   */
+  getSelectionBox(strokes) {
+    const selected = this.getSelectedStrokes(strokes)
+    const box = unionBoxes(
+      selected.map((s) => {
+        const b = s.getBoundingBox()
+        const margin = s.baseSize * 0.75 + this.padding / this.scale
+        return {
+          minX: b.minX - margin,
+          minY: b.minY - margin,
+          maxX: b.maxX + margin,
+          maxY: b.maxY + margin
+        }
+      })
+    )
+    return box
+  }
+
+  /**
+   * 指针按下：命中控制柄/包围盒时开始变换，否则开始新的套索
+   * @param {{x: number, y: number}} pos
+   * @param {import('./Stroke.js').Stroke[]} strokes
+   */
+  pointerDown(pos, strokes) {
+    const box = this.getSelectionBox(strokes)
+    const target = box ? this._hitTest(pos, box) : null
+
+    this._dragStart = pos
+    this.previewMatrix = null
+
+    if (!target) {
+      this.selectedIds = new Set()
+      this.mode = "lasso"
+      this.lasso = [pos]
+      return
+    }
+
+    this.mode = target.mode
+    this._anchor = target.anchor
+  }
+
+  /**
+   * 指针移动：更新套索或变换预览矩阵
+   * @param {{x: number, y: number}} pos
+   */
+  pointerMove(pos) {
+    if (this.mode === "lasso") {
+      this.lasso.push(pos)
+      return
+    }
+
+    const start = this._dragStart
+    if (this.mode === "move") {
+      this.previewMatrix = Mat2D.translate(pos.x - start.x, pos.y - start.y)
+    } else if (this.mode === "scale") {
+      // 投影到锚点与起点连线上，保持等比缩放
+      const ax = start.x - this._anchor.x
+      const ay = start.y - this._anchor.y
+      const bx = pos.x - this._anchor.x
+      const by = pos.y - this._anchor.y
+      const len2 = ax * ax + ay * ay || 1
+      const scale = Math.max(0.05, (ax * bx + ay * by) / len2)
+      this.previewMatrix = Mat2D.scale(scale, scale, this._anchor)
+    } else if (this.mode === "rotate") {
+      const c = this._anchor
+      const angle =
+        Math.atan2(pos.y - c.y, pos.x - c.x) -
+        Math.atan2(start.y - c.y, start.x - c.x)
+      this.previewMatrix = Mat2D.rotate(angle, c)
+    }
+  }
+
+  /**
+   * 指针抬起：完成套索选择或返回最终变换
+   * @param {import('./Stroke.js').Stroke[]} strokes
+   * @returns {{type: "select", ids: string[]}|{type: "transform", ids: string[], matrix: Object}|null}
+   */
+  pointerUp(strokes) {
+    const mode = this.mode
+    const matrix = this.previewMatrix
+    this.mode = null
+    this.previewMatrix = null
+
+    if (mode === "lasso") {
+      const lasso = this.lasso
+      this.lasso = null
+      const ids = lasso.length >= 3 ? this._strokesInLasso(strokes, lasso) : []
+      this.selectedIds = new Set(ids)
+      return { type: "select", ids }
+    }
+
+    if (matrix && mode) {
+      return { type: "transform", ids: [...this.selectedIds], matrix }
+    }
+    return null
+  }
+
+  /**
+   * 在画布上绘制套索或选择框与控制柄
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {import('./Stroke.js').Stroke[]} strokes
+   */
+  renderOverlay(ctx, strokes) {
+    const px = 1 / this.scale
+    ctx.save()
+    ctx.lineWidth = px
+    ctx.strokeStyle = "#2f80ed"
+    ctx.fillStyle = "#ffffff"
+
+    if (this.mode === "lasso" && this.lasso?.length > 1) {
+      ctx.setLineDash([4 * px, 4 * px])
+      ctx.beginPath()
+      ctx.moveTo(this.lasso[0].x, this.lasso[0].y)
+      for (const p of this.lasso) ctx.lineTo(p.x, p.y)
+      ctx.closePath()
+      ctx.stroke()
+      ctx.restore()
+      return
+    }
+
+    const box = this.getSelectionBox(strokes)
+    if (!box) {
+      ctx.restore()
+      return
+    }
+
+    if (this.previewMatrix) {
+      const m = this.previewMatrix
+      ctx.transform(m.a, m.b, m.c, m.d, m.e, m.f)
+    }
+
+    const { minX, minY, maxX, maxY } = box
+    const handleSize = this.handleSize * px
+    const rotateHandleOffset = this.rotateHandleOffset * px
+    ctx.setLineDash([4 * px, 4 * px])
+    ctx.strokeRect(minX, minY, maxX - minX, maxY - minY)
+    ctx.setLineDash([])
+
+    const topCenter = { x: (minX + maxX) / 2, y: minY }
+    ctx.beginPath()
+    ctx.moveTo(topCenter.x, topCenter.y)
+    ctx.lineTo(topCenter.x, topCenter.y - rotateHandleOffset)
+    ctx.stroke()
+
+    const half = handleSize / 2
+    for (const corner of this._corners(box)) {
+      ctx.fillRect(corner.x - half, corner.y - half, handleSize, handleSize)
+      ctx.strokeRect(corner.x - half, corner.y - half, handleSize, handleSize)
+    }
+
+    ctx.beginPath()
+    ctx.arc(topCenter.x, topCenter.y - rotateHandleOffset, half, 0, Math.PI * 2)
+    ctx.fill()
+    ctx.stroke()
+    ctx.restore()
+  }
+
+  _corners({ minX, minY, maxX, maxY }) {
+    return [
+      { x: minX, y: minY },
+      { x: maxX, y: minY },
+      { x: maxX, y: maxY },
+      { x: minX, y: maxY }
+    ]
+  }
+
+  // 判断指针命中了哪个控制柄，返回交互模式及锚点
+  _hitTest(pos, box) {
+    const tolerance = this.handleSize / this.scale
+    const center = {
+      x: (box.minX + box.maxX) / 2,
+      y: (box.minY + box.maxY) / 2
+    }
+    const rotateHandle = {
+      x: center.x,
+      y: box.minY - this.rotateHandleOffset / this.scale
+    }
+
+    if (
+      Math.hypot(pos.x - rotateHandle.x, pos.y - rotateHandle.y) <= tolerance
+    ) {
+      return { mode: "rotate", anchor: center }
+    }
+
+    const corners = this._corners(box)
+    for (let i = 0; i < corners.length; i++) {
+      const c = corners[i]
+      if (
+        Math.abs(pos.x - c.x) <= tolerance &&
+        Math.abs(pos.y - c.y) <= tolerance
+      ) {
+        // 以对角为锚点缩放
+        return { mode: "scale", anchor: corners[(i + 2) % 4] }
+      }
+    }
+
+    if (
+      pos.x >= box.minX &&
+      pos.x <= box.maxX &&
+      pos.y >= box.minY &&
+      pos.y <= box.maxY
+    ) {
+      return { mode: "move", anchor: null }
+    }
+    return null
+  }
+
+  // 大部分点位于套索内的笔画视为被选中（橡皮擦轨迹不可见，不参与选择）
+  _strokesInLasso(strokes, lasso) {
+    return strokes
+      .filter((stroke) => {
+        if (stroke.tool === "eraser") return false
+        const inside = stroke.points.filter((p) =>
+          pointInPolygon(p, lasso)
+        ).length
+        return inside / stroke.points.length >= this.selectThreshold
+      })
+      .map((s) => s.id)
+  }
+}
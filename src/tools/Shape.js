@@ -0,0 +1,372 @@
+// src/tools/Shape.js
+
+import { Stroke } from "./Stroke.js"
+import { Mat2D } from "../utils/math.js"
+import { hashString } from "../utils/random.js"
+
+/**
+ * 形状几何类型
+ *
+ * 几何参数（世界坐标）：
+ * - line：{ type, from, to }
+ * - rectangle：{ type, center, width, height, rotation }
+ * - ellipse：{ type, center, radiusX, radiusY, rotation }
+ * - triangle：{ type, points: [a, b, c] }
+ * - arrow：{ type, from, to, headLength, headAngle }
+ *
+ * 几何对象视为不可变，修改时整体替换（见 Shape.setGeometry）。
+ */
+export const SHAPE_TYPES = ["line", "rectangle", "ellipse", "triangle", "arrow"]
+
+// 形状采样点的间距（世界坐标）
+const POINT_SPACING = 4
+
+// Shift 约束时直线 / 箭头的角度步长
+const ANGLE_STEP = Math.PI / 12
+
+/**
+ * Shape 类：由几何参数定义的形状实体（直线、矩形、椭圆、三角形、箭头）
+ *
+ * 文档中保存的是几何参数而不是采样点，变换时直接修改参数，导出为干净的路径。
+ * points 由几何参数沿轮廓采样得到，命中测试、空间索引、套索选择和橡皮擦
+ * 都可以像普通笔画一样处理形状；局部擦除后剩余的部分成为普通笔画。
+ */
+export class Shape extends Stroke {
+  /**
+   * @param {string} tool - 工具类型，例如 'rect'，识别出的形状沿用原笔画的工具
+   * @param {Object} geometry - 形状几何，见 SHAPE_TYPES
+   * @param {number} [pressure=0.5] - 整个形状使用的压力值，决定线宽
+   * @param {number} [baseSize=3] - 工具的基础大小/宽度
+   */
+  constructor(tool, geometry, pressure = 0.5, baseSize = 3) {
+    // 起始点和压力序列由 setGeometry() 按几何参数生成
+    super(tool, null, pressure, baseSize)
+    this.kind = "shape"
+    this.pressure = pressure
+    this.setGeometry(geometry)
+  }
+
+  /**
+   * 替换几何参数并重新采样轮廓点
+   * @param {Object} geometry
+   */
+  setGeometry(geometry) {
+    this.geometry = geometry
+    this.points = shapeToPoints(geometry, POINT_SPACING)
+    this.pressures = this.points.map(() => this.pressure)
+  }
+
+  /**
+   * 有长度的直线 / 箭头，或宽高都不为 0 的闭合形状才有效
+   * @returns {boolean}
+   */
+  isValid() {
+    const { minX, minY, maxX, maxY } = this.getBoundingBox()
+    const open = this.geometry.type === "line" || this.geometry.type === "arrow"
+    return open ? maxX > minX || maxY > minY : maxX > minX && maxY > minY
+  }
+
+  /**
+   * 对形状应用仿射变换（原地修改），几何参数随之变换
+   *
+   * 矩形和椭圆只保存旋转角和两个轴长，带切变的变换（如旋转后再非等比缩放）
+   * 会近似为轴方向变换后的结果。
+   *
+   * @param {{a: number, b: number, c: number, d: number, e: number, f: number}} matrix - 变换矩阵
+   */
+  transform(matrix) {
+    super.transform(matrix)
+    this.setGeometry(transformShapeGeometry(this.geometry, matrix))
+  }
+
+  /**
+   * @returns {Shape} 当前形状的完整克隆
+   */
+  clone() {
+    const clone = new Shape(
+      this.tool,
+      this.geometry,
+      this.pressure,
+      this.baseSize
+    )
+    clone.id = this.id
+    clone.color = this.color
+    clone.opacity = this.opacity
+    clone.width = this.width
+    clone.timestamp = this.timestamp
+    clone.seed = this.seed
+    return clone
+  }
+
+  /**
+   * 序列化为纯 JSON 对象，保存几何参数而不是采样点
+   * @returns {Object}
+   */
+  toJSON() {
+    const data = super.toJSON()
+    // 形状的旋转记录在几何参数中
+    delete data.points
+    delete data.pressures
+    delete data.rotation
+    return {
+      ...data,
+      kind: "shape",
+      pressure: this.pressure,
+      geometry: this.geometry
+    }
+  }
+
+  /**
+   * 从 JSON 对象还原形状
+   * @param {Object} data - 由 toJSON() 生成的对象
+   * @returns {Shape}
+   * @throws {Error} 几何参数无效时抛出
+   */
+  static fromJSON(data) {
+    if (!data?.geometry || !SHAPE_TYPES.includes(data.geometry.type)) {
+      throw new Error(`无效的形状数据：未知的形状类型 ${data?.geometry?.type}`)
+    }
+
+    const shape = new Shape(
+      data.tool || "pen",
+      data.geometry,
+      data.pressure ?? 0.5,
+      data.baseSize ?? 3
+    )
+    if (data.id) shape.id = data.id
+    if (data.color) shape.color = data.color
+    shape.opacity = data.opacity ?? 1
+    shape.width = data.width ?? shape.baseSize
+    shape.timestamp = data.timestamp ?? shape.timestamp
+    shape.seed = data.seed ?? hashString(shape.id)
+    return shape
+  }
+}
+
+/**
+ * 从锚点拖动到当前位置时的形状几何
+ *
+ * 直线和箭头从锚点指向当前位置；矩形、椭圆和三角形以锚点和当前位置为对角构成外框。
+ *
+ * @param {string} type - SHAPE_TYPES 之一
+ * @param {{x: number, y: number}} anchor - 按下的位置（世界坐标）
+ * @param {{x: number, y: number}} point - 当前位置（世界坐标）
+ * @param {Object} [options]
+ * @param {boolean} [options.constrain=false] - 约束：直线 / 箭头吸附到 15° 的整数倍，外框约束为正方形（正方形、圆）
+ * @param {number} [options.size=3] - 工具尺寸，决定箭头的大小
+ * @returns {Object} 形状几何
+ */
+export function createShapeFromDrag(type, anchor, point, options = {}) {
+  const { constrain = false, size = 3 } = options
+  let dx = point.x - anchor.x
+  let dy = point.y - anchor.y
+
+  if (type === "line" || type === "arrow") {
+    if (constrain) {
+      const length = Math.hypot(dx, dy)
+      const angle = Math.round(Math.atan2(dy, dx) / ANGLE_STEP) * ANGLE_STEP
+      dx = Math.cos(angle) * length
+      dy = Math.sin(angle) * length
+    }
+    const from = { x: anchor.x, y: anchor.y }
+    const to = { x: anchor.x + dx, y: anchor.y + dy }
+    if (type === "line") return { type, from, to }
+    return {
+      type,
+      from,
+      to,
+      headLength: Math.min(Math.hypot(dx, dy) / 2, Math.max(10, size * 4)),
+      headAngle: Math.PI / 6
+    }
+  }
+
+  if (constrain) {
+    const side = Math.max(Math.abs(dx), Math.abs(dy))
+    dx = (dx < 0 ? -1 : 1) * side
+    dy = (dy < 0 ? -1 : 1) * side
+  }
+  const center = { x: anchor.x + dx / 2, y: anchor.y + dy / 2 }
+  const width = Math.abs(dx)
+  const height = Math.abs(dy)
+
+  switch (type) {
+    case "rectangle":
+      return { type, center, width, height, rotation: 0 }
+    case "ellipse":
+      return {
+        type,
+        center,
+        radiusX: width / 2,
+        radiusY: height / 2,
+        rotation: 0
+      }
+    case "triangle":
+      return {
+        type,
+        points: [
+          { x: center.x, y: center.y - height / 2 },
+          { x: center.x + width / 2, y: center.y + height / 2 },
+          { x: center.x - width / 2, y: center.y + height / 2 }
+        ]
+      }
+    default:
+      throw new Error(`未知的形状类型: ${type}`)
+  }
+}
+
+/**
+ * 对形状几何应用仿射变换
+ * @param {Object} geometry
+ * @param {{a: number, b: number, c: number, d: number, e: number, f: number}} matrix
+ * @returns {Object} 新的几何对象
+ */
+export function transformShapeGeometry(geometry, matrix) {
+  const apply = (p) => Mat2D.applyToPoint(matrix, p)
+  switch (geometry.type) {
+    case "line":
+      return { ...geometry, from: apply(geometry.from), to: apply(geometry.to) }
+    case "arrow":
+      return {
+        ...geometry,
+        from: apply(geometry.from),
+        to: apply(geometry.to),
+        headLength: geometry.headLength * Mat2D.getScale(matrix)
+      }
+    case "triangle":
+      return { ...geometry, points: geometry.points.map(apply) }
+    case "rectangle":
+    case "ellipse": {
+      // 两条轴分别经过矩阵的线性部分
+      const cos = Math.cos(geometry.rotation)
+      const sin = Math.sin(geometry.rotation)
+      const ux = matrix.a * cos + matrix.c * sin
+      const uy = matrix.b * cos + matrix.d * sin
+      const scaleU = Math.hypot(ux, uy)
+      const scaleV = Math.hypot(
+        -matrix.a * sin + matrix.c * cos,
+        -matrix.b * sin + matrix.d * cos
+      )
+      const rotation = Math.atan2(uy, ux)
+      const center = apply(geometry.center)
+      return geometry.type === "rectangle"
+        ? {
+            ...geometry,
+            center,
+            width: geometry.width * scaleU,
+            height: geometry.height * scaleV,
+            rotation
+          }
+        : {
+            ...geometry,
+            center,
+            radiusX: geometry.radiusX * scaleU,
+            radiusY: geometry.radiusY * scaleV,
+            rotation
+          }
+    }
+    default:
+      throw new Error(`未知的形状类型: ${geometry.type}`)
+  }
+}
+
+/**
+ * 矩形或三角形的顶点（按绘制顺序）
+ * @param {Object} geometry
+ * @returns {Array<{x: number, y: number}>}
+ */
+export function getShapeVertices(geometry) {
+  if (geometry.type === "triangle") return geometry.points
+  const { center, width, height, rotation } = geometry
+  return [
+    [-width / 2, -height / 2],
+    [width / 2, -height / 2],
+    [width / 2, height / 2],
+    [-width / 2, height / 2]
+  ].map(([u, v]) => fromLocal(u, v, center, rotation))
+}
+
+/**
+ * 箭头两侧倒钩的端点
+ * @param {Object} geometry - arrow 几何
+ * @returns {Array<{x: number, y: number}>}
+ */
+export function getArrowBarbs({ from, to, headLength, headAngle }) {
+  const back = Math.atan2(from.y - to.y, from.x - to.x)
+  return [1, -1].map((sign) => ({
+    x: to.x + Math.cos(back + sign * headAngle) * headLength,
+    y: to.y + Math.sin(back + sign * headAngle) * headLength
+  }))
+}
+
+/**
+ * 把形状几何转换为折线点，闭合图形首尾相接
+ * @param {Object} geometry - 形状几何，见 SHAPE_TYPES
+ * @param {number} [spacing=4] - 采样间距（世界坐标）
+ * @returns {Array<{x: number, y: number}>}
+ */
+export function shapeToPoints(geometry, spacing = POINT_SPACING) {
+  switch (geometry.type) {
+    case "line":
+      return densify([geometry.from, geometry.to], spacing)
+    case "triangle":
+    case "rectangle": {
+      const vertices = getShapeVertices(geometry)
+      return densify([...vertices, vertices[0]], spacing)
+    }
+    case "ellipse": {
+      const { center, radiusX, radiusY, rotation } = geometry
+      // Ramanujan 近似周长
+      const sum = radiusX + radiusY
+      const h = sum > 0 ? ((radiusX - radiusY) / sum) ** 2 : 0
+      const perimeter =
+        Math.PI * sum * (1 + (3 * h) / (10 + Math.sqrt(4 - 3 * h)))
+      const steps = Math.max(16, Math.ceil(perimeter / spacing))
+      const points = []
+      for (let i = 0; i <= steps; i++) {
+        const t = (i / steps) * Math.PI * 2
+        points.push(
+          fromLocal(
+            radiusX * Math.cos(t),
+            radiusY * Math.sin(t),
+            center,
+            rotation
+          )
+        )
+      }
+      return points
+    }
+    case "arrow": {
+      const [barb1, barb2] = getArrowBarbs(geometry)
+      const { from, to } = geometry
+      return densify([from, to, barb1, to, barb2], spacing)
+    }
+    default:
+      throw new Error(`未知的形状类型: ${geometry.type}`)
+  }
+}
+
+function fromLocal(u, v, center, rotation) {
+  const cos = Math.cos(rotation)
+  const sin = Math.sin(rotation)
+  return { x: center.x + u * cos - v * sin, y: center.y + u * sin + v * cos }
+}
+
+// 在折线顶点之间按间距插值，保留顶点本身（即形状的角点）
+function densify(vertices, spacing) {
+  const points = [{ ...vertices[0] }]
+  for (let i = 1; i < vertices.length; i++) {
+    const a = vertices[i - 1]
+    const b = vertices[i]
+    const steps = Math.max(
+      1,
+      Math.ceil(Math.hypot(b.x - a.x, b.y - a.y) / spacing)
+    )
+    for (let s = 1; s <= steps; s++) {
+      points.push({
+        x: a.x + ((b.x - a.x) * s) / steps,
+        y: a.y + ((b.y - a.y) * s) / steps
+      })
+    }
+  }
+  return points
+}
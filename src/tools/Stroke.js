@@ -1,34 +1,52 @@
 // src/tools/Stroke.js
 
+import { generateId } from "../utils/id.js"
+import { Mat2D } from "../utils/math.js"
+import { hashString, randomSeed } from "../utils/random.js"
+
 /**
  * Stroke类：表示一个完整的笔画
  *
  * 这个类用于存储和管理用户绘制的单个笔画，包含了：
  * - 点坐标序列
  * - 每个点的压力值
+ * - 每个点的触控笔姿态（倾斜、方位角 / 高度角、旋转，设备支持时）
  * - 工具类型（如：笔、橡皮擦等）
- * - 笔画颜色和宽度信息
+ * - 笔画颜色、不透明度和宽度信息
  * - 时间戳
  *
- * 它提供了添加点、检查有效性、获取边界框和克隆等功能。
+ * 它提供了添加点、检查有效性、获取边界框、克隆以及 JSON 序列化等功能。
  */
 export class Stroke {
   /**
    * 创建一个新的笔画对象
    *
-   * @param {string} tool - 工具类型，例如 'pen'、'eraser'、'chalk'等
+   * @param {string} tool - 工具类型，例如 'pen'、'chalk'、'pencil'、'eraser' 等
    * @param {Object} startPoint - 起始点位置，格式为 {x, y}
    * @param {number} pressure - 起始压力值，范围0~1之间
    * @param {number} baseSize - 工具的基础大小/宽度
+   * @param {import('../input/StylusAdapter.js').StylusOrientation|null} [orientation=null] - 起始点的触控笔姿态
    */
-  constructor(tool, startPoint, pressure = 0.5, baseSize = 3) {
+  constructor(
+    tool,
+    startPoint,
+    pressure = 0.5,
+    baseSize = 3,
+    orientation = null
+  ) {
+    this.id = generateId("s") // 笔画唯一标识，用于序列化和历史记录
     this.tool = tool
     this.points = [startPoint] // 存储所有点坐标的数组
     this.pressures = [pressure] // 存储每个点对应的压力值
+    // 每个点的触控笔姿态，与 points 一一对应；输入设备没有姿态时为 null
+    this.orientations = orientation ? [orientation] : null
     this.color = tool === "eraser" ? "white" : "black" // 根据工具类型设置颜色
+    this.opacity = 1 // 不透明度 0~1
     this.width = baseSize // 当前宽度
     this.baseSize = baseSize // 基础宽度（不受压力影响的部分）
     this.timestamp = Date.now() // 创建时间戳，用于历史记录
+    this.seed = randomSeed() // 随机种子，纹理笔刷据此生成可复现的印章
+    this.rotation = 0 // 变换累计的旋转角（弧度），扁平笔尖的角度随之旋转
   }
 
   /**
@@ -38,10 +56,19 @@ export class Stroke {
    *
    * @param {Object} point - 格式为 {x, y} 的点坐标
    * @param {number} pressure - 当前点的压力值，范围0~1
+   * @param {import('../input/StylusAdapter.js').StylusOrientation|null} [orientation=null] - 当前点的触控笔姿态
    */
-  addPoint(point, pressure = 0.5) {
+  addPoint(point, pressure = 0.5, orientation = null) {
     this.points.push(point)
     this.pressures.push(pressure)
+    if (orientation && !this.orientations) {
+      // 中途才报告姿态时，之前的点沿用第一个姿态
+      this.orientations = this.points.map(() => orientation)
+      return
+    }
+    this.orientations?.push(
+      orientation ?? this.orientations[this.orientations.length - 1]
+    )
   }
 
   /**
@@ -84,6 +111,37 @@ export class Stroke {
     return { minX, minY, maxX, maxY }
   }
 
+  /**
+   * 墨迹覆盖范围：包围盒按最大笔宽（压力为 1 时半径为 baseSize * 0.75）外扩
+   * @returns {{minX: number, minY: number, maxX: number, maxY: number}}
+   */
+  getInkBounds() {
+    const box = this.getBoundingBox()
+    const margin = this.baseSize * 0.75
+    return {
+      minX: box.minX - margin,
+      minY: box.minY - margin,
+      maxX: box.maxX + margin,
+      maxY: box.maxY + margin
+    }
+  }
+
+  /**
+   * 对笔画应用仿射变换（原地修改）
+   *
+   * 点坐标按矩阵变换，线宽按矩阵的平均缩放系数同步缩放，
+   * 矩阵的旋转分量累加到 rotation（触控笔姿态保持录制时的原始值）
+   *
+   * @param {{a: number, b: number, c: number, d: number, e: number, f: number}} matrix - 变换矩阵
+   */
+  transform(matrix) {
+    this.points = this.points.map((p) => Mat2D.applyToPoint(matrix, p))
+    const scale = Mat2D.getScale(matrix)
+    this.baseSize *= scale
+    this.width *= scale
+    this.rotation += Math.atan2(matrix.b, matrix.a)
+  }
+
   /**
    * 克隆当前笔画
    *
@@ -101,11 +159,102 @@ export class Stroke {
       this.baseSize
     )
     // 深拷贝所有属性
+    clone.id = this.id
     clone.points = [...this.points]
     clone.pressures = [...this.pressures]
+    clone.orientations = this.orientations && [...this.orientations]
     clone.color = this.color
+    clone.opacity = this.opacity
     clone.width = this.width
     clone.timestamp = this.timestamp
+    clone.seed = this.seed
+    clone.rotation = this.rotation
     return clone
   }
+
+  /**
+   * 序列化为纯 JSON 对象（文档格式中的单个笔画条目）
+   *
+   * 点坐标以 [x, y] 元组存储，比 {x, y} 对象更紧凑；
+   * 触控笔姿态以 [tiltX, tiltY, azimuth, altitude, twist] 元组存储，没有姿态或未旋转时省略对应字段。
+   *
+   * @returns {{id: string, tool: string, color: string, opacity: number, baseSize: number, width: number, timestamp: number, seed: number, points: Array<[number, number]>, pressures: number[], orientations?: Array<number[]>, rotation?: number}}
+   */
+  toJSON() {
+    const data = {
+      id: this.id,
+      tool: this.tool,
+      color: this.color,
+      opacity: this.opacity,
+      baseSize: this.baseSize,
+      width: this.width,
+      timestamp: this.timestamp,
+      seed: this.seed,
+      points: this.points.map((p) => [p.x, p.y]),
+      pressures: [...this.pressures]
+    }
+    if (this.orientations) {
+      data.orientations = this.orientations.map((o) => [
+        o.tiltX,
+        o.tiltY,
+        o.azimuth,
+        o.altitude,
+        o.twist
+      ])
+    }
+    if (this.rotation) data.rotation = this.rotation
+    return data
+  }
+
+  /**
+   * 从 JSON 对象还原笔画
+   *
+   * @param {Object} data - 由 toJSON() 生成的对象
+   * @returns {Stroke}
+   * @throws {Error} 数据缺少点，或点与压力、姿态数量不一致时抛出
+   */
+  static fromJSON(data) {
+    if (!data || !Array.isArray(data.points) || data.points.length === 0) {
+      throw new Error("无效的笔画数据：缺少点坐标")
+    }
+
+    const points = data.points.map(([x, y]) => ({ x, y }))
+    const pressures = Array.isArray(data.pressures)
+      ? data.pressures.slice()
+      : points.map(() => 0.5)
+    if (pressures.length !== points.length) {
+      throw new Error("无效的笔画数据：点与压力值数量不一致")
+    }
+    const orientations = Array.isArray(data.orientations)
+      ? data.orientations.map(([tiltX, tiltY, azimuth, altitude, twist]) => ({
+          tiltX,
+          tiltY,
+          azimuth,
+          altitude,
+          twist
+        }))
+      : null
+    if (orientations && orientations.length !== points.length) {
+      throw new Error("无效的笔画数据：点与触控笔姿态数量不一致")
+    }
+
+    const stroke = new Stroke(
+      data.tool || "pen",
+      points[0],
+      pressures[0],
+      data.baseSize ?? 3
+    )
+    if (data.id) stroke.id = data.id
+    stroke.points = points
+    stroke.pressures = pressures
+    stroke.orientations = orientations
+    if (data.color) stroke.color = data.color
+    stroke.opacity = data.opacity ?? 1
+    stroke.width = data.width ?? stroke.baseSize
+    stroke.timestamp = data.timestamp ?? stroke.timestamp
+    // 旧数据没有种子时由 ID 推导，保证每次加载的纹理一致
+    stroke.seed = data.seed ?? hashString(stroke.id)
+    stroke.rotation = data.rotation ?? 0
+    return stroke
+  }
 }
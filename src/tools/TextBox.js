@@ -0,0 +1,223 @@
+// src/tools/TextBox.js
+
+import { Stroke } from "./Stroke.js"
+import { Mat2D } from "../utils/math.js"
+import { hashString } from "../utils/random.js"
+import { measureTextWidth } from "../utils/canvas.js"
+
+/**
+ * 默认字体族
+ */
+export const DEFAULT_FONT_FAMILY = "sans-serif"
+
+/**
+ * 行高与字号之比，渲染与编辑框使用相同的值，换行位置保持一致
+ */
+export const TEXT_LINE_HEIGHT = 1.2
+
+/**
+ * TextBox 类：放置在图层中的文字实体
+ *
+ * 以左上角 position 为锚点，按 rotation 旋转；多行文字以 "\n" 分隔。
+ * 文字的宽高在创建或修改内容时测量一次并随文档保存，
+ * 不同环境下字体度量的差异不会改变已有文字的范围。
+ *
+ * points 为文本框的四个角（顺时针），命中测试、空间索引和套索选择
+ * 可以像普通笔画一样处理文字；橡皮擦碰到文字时整段删除，不会切分。
+ */
+export class TextBox extends Stroke {
+  /**
+   * @param {string} tool - 工具类型，例如 'text'
+   * @param {{x: number, y: number}} position - 文本框左上角（世界坐标）
+   * @param {string} [text=""] - 文字内容
+   * @param {Object} [options]
+   * @param {number} [options.fontSize=24] - 字号（世界坐标）
+   * @param {string} [options.fontFamily=DEFAULT_FONT_FAMILY] - 字体族
+   * @param {number} [options.rotation=0] - 旋转角（弧度）
+   */
+  constructor(tool, position, text = "", options = {}) {
+    // 文字没有线宽，四个角由 layout() 生成
+    super(tool, null, 0.5, 0)
+    this.kind = "text"
+    this.position = { x: position.x, y: position.y }
+    this.fontSize = options.fontSize ?? 24
+    this.fontFamily = options.fontFamily ?? DEFAULT_FONT_FAMILY
+    this.rotation = options.rotation ?? 0
+    this.setText(text)
+  }
+
+  /**
+   * 修改文字内容并重新测量宽高
+   * @param {string} text
+   */
+  setText(text) {
+    this.text = text
+    this.measure()
+  }
+
+  /**
+   * 按当前字号和字体族重新测量文字宽高
+   */
+  measure() {
+    const lines = getTextLines(this.text)
+    this.textWidth = Math.max(
+      0,
+      ...lines.map((line) =>
+        measureTextWidth(line, this.fontSize, this.fontFamily)
+      )
+    )
+    this.textHeight = lines.length * this.fontSize * TEXT_LINE_HEIGHT
+    this.layout()
+  }
+
+  /**
+   * 按锚点、宽高和旋转角重新生成四个角
+   */
+  layout() {
+    const { x, y } = this.position
+    const cos = Math.cos(this.rotation)
+    const sin = Math.sin(this.rotation)
+    const corner = (u, v) => ({
+      x: x + u * cos - v * sin,
+      y: y + u * sin + v * cos
+    })
+    this.points = [
+      corner(0, 0),
+      corner(this.textWidth, 0),
+      corner(this.textWidth, this.textHeight),
+      corner(0, this.textHeight)
+    ]
+    this.pressures = this.points.map(() => 0.5)
+  }
+
+  /**
+   * 只包含空白字符的文字无效，不会提交到文档
+   * @returns {boolean}
+   */
+  isValid() {
+    return this.text.trim().length > 0
+  }
+
+  /**
+   * 墨迹范围：文本框外扩少量边距，覆盖斜体等超出测量宽度的字形
+   * @returns {{minX: number, minY: number, maxX: number, maxY: number}}
+   */
+  getInkBounds() {
+    const box = this.getBoundingBox()
+    const margin = this.fontSize * 0.2
+    return {
+      minX: box.minX - margin,
+      minY: box.minY - margin,
+      maxX: box.maxX + margin,
+      maxY: box.maxY + margin
+    }
+  }
+
+  /**
+   * 对文字应用仿射变换（原地修改）
+   *
+   * 锚点按矩阵变换，字号和宽高按平均缩放系数缩放，旋转角叠加矩阵的旋转分量；
+   * 非等比缩放会近似为等比缩放，文字不会被拉伸。
+   *
+   * @param {{a: number, b: number, c: number, d: number, e: number, f: number}} matrix - 变换矩阵
+   */
+  transform(matrix) {
+    const scale = Mat2D.getScale(matrix)
+    this.position = Mat2D.applyToPoint(matrix, this.position)
+    this.fontSize *= scale
+    this.textWidth *= scale
+    this.textHeight *= scale
+    this.rotation += Math.atan2(matrix.b, matrix.a)
+    this.layout()
+  }
+
+  /**
+   * @returns {TextBox} 当前文字的完整克隆
+   */
+  clone() {
+    const clone = new TextBox(this.tool, this.position, "", {
+      fontSize: this.fontSize,
+      fontFamily: this.fontFamily,
+      rotation: this.rotation
+    })
+    clone.text = this.text
+    clone.textWidth = this.textWidth
+    clone.textHeight = this.textHeight
+    clone.layout()
+    clone.id = this.id
+    clone.color = this.color
+    clone.opacity = this.opacity
+    clone.timestamp = this.timestamp
+    clone.seed = this.seed
+    return clone
+  }
+
+  /**
+   * 序列化为纯 JSON 对象，保存文字内容、字体和测量得到的宽高
+   * @returns {Object}
+   */
+  toJSON() {
+    const data = super.toJSON()
+    delete data.points
+    delete data.pressures
+    return {
+      ...data,
+      kind: "text",
+      text: this.text,
+      position: { x: this.position.x, y: this.position.y },
+      fontSize: this.fontSize,
+      fontFamily: this.fontFamily,
+      rotation: this.rotation,
+      textWidth: this.textWidth,
+      textHeight: this.textHeight
+    }
+  }
+
+  /**
+   * 从 JSON 对象还原文字
+   * @param {Object} data - 由 toJSON() 生成的对象
+   * @returns {TextBox}
+   * @throws {Error} 缺少文字内容或锚点时抛出
+   */
+  static fromJSON(data) {
+    if (typeof data?.text !== "string" || !data.position) {
+      throw new Error("无效的文字数据：缺少文字内容或位置")
+    }
+
+    const text = new TextBox(data.tool || "text", data.position, data.text, {
+      fontSize: data.fontSize,
+      fontFamily: data.fontFamily,
+      rotation: data.rotation
+    })
+    // 使用保存时测量的宽高，保证在不同环境中加载的范围一致
+    if (data.textWidth !== undefined && data.textHeight !== undefined) {
+      text.textWidth = data.textWidth
+      text.textHeight = data.textHeight
+      text.layout()
+    }
+    if (data.id) text.id = data.id
+    if (data.color) text.color = data.color
+    text.opacity = data.opacity ?? 1
+    text.timestamp = data.timestamp ?? text.timestamp
+    text.seed = data.seed ?? hashString(text.id)
+    return text
+  }
+}
+
+/**
+ * 把文字拆分为行
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function getTextLines(text) {
+  return text.split(/\r?\n/)
+}
+
+/**
+ * 文字对应的画布 font 字符串
+ * @param {TextBox} text
+ * @returns {string}
+ */
+export function getTextFont(text) {
+  return `${text.fontSize}px ${text.fontFamily}`
+}
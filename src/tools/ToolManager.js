@@ -1,31 +1,102 @@
 // src/tools/ToolManager.js
 
+import { ToolRegistry } from "./ToolRegistry.js"
+import { DEFAULT_FONT_FAMILY } from "./TextBox.js"
+import { isValidColor } from "../utils/canvas.js"
+
+/**
+ * 默认调色板
+ */
+export const DEFAULT_PALETTE = [
+  "#000000",
+  "#5f6368",
+  "#ffffff",
+  "#e53935",
+  "#fb8c00",
+  "#fdd835",
+  "#43a047",
+  "#1e88e5",
+  "#8e24aa"
+]
+
 /**
- * 工具管理器：用于管理当前工具类型、默认尺寸、自定义尺寸。
+ * 工具管理器：用于管理当前工具类型、默认尺寸、自定义尺寸，
+ * 以及每个工具的颜色、不透明度、调色板、最近使用的颜色和文字工具的字体。
+ *
+ * 可用工具及其尺寸范围、颜色行为由 ToolRegistry 定义，registerTool() 可添加自定义工具。
  */
 export class ToolManager {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {string[]} [options.palette] - 调色板颜色，默认 DEFAULT_PALETTE
+   * @param {number} [options.maxRecentColors=8] - 最近使用颜色的最大数量
+   * @param {ToolRegistry} [options.registry] - 工具注册表，默认新建一个只含内置工具的注册表
+   * @param {string} [options.fontFamily] - 文字工具的字体族，默认 DEFAULT_FONT_FAMILY
+   */
+  constructor(options = {}) {
     this.currentTool = "pen"
+    this.registry = options.registry || new ToolRegistry()
 
-    this.defaultSizes = {
-      pen: 3,
-      chalk: 5,
-      eraser: 20
-    }
+    // 用户设置的尺寸，未设置的工具使用定义中的 defaultSize
+    this.customSizes = {}
+
+    // 橡皮擦模式：
+    // - "partial"：局部擦除，把笔画在擦除处切开
+    // - "stroke"：整笔擦除，碰到的笔画整笔删除
+    // - "pixel"：像素擦除，只在画布上绘制 destination-out，墨迹数据仍保留
+    this.eraserMode = "partial"
+
+    // 用户为每个工具设置的颜色和不透明度，只对颜色行为为 "custom" 的工具生效
+    this.colors = {}
+    this.opacities = {}
+
+    this.palette = [...(options.palette || DEFAULT_PALETTE)]
+    this.maxRecentColors = options.maxRecentColors ?? 8
+    this.recentColors = []
+
+    // 文字工具的字体族，字号使用工具尺寸
+    this.fontFamily = options.fontFamily || DEFAULT_FONT_FAMILY
+  }
 
-    this.customSizes = {
-      pen: 3,
-      chalk: 5,
-      eraser: 20
+  /**
+   * 注册自定义工具，注册后即可通过 setTool() 使用
+   * @param {string} name - 工具名
+   * @param {import('./ToolRegistry.js').ToolDefinition} definition
+   * @returns {Readonly<import('./ToolRegistry.js').ToolDefinition>} 补全默认值后的定义
+   */
+  registerTool(name, definition) {
+    const normalized = this.registry.register(name, definition)
+    // 重新注册时丢弃超出新尺寸范围的自定义尺寸
+    const size = this.customSizes[name]
+    if (size < normalized.minSize || size > normalized.maxSize) {
+      delete this.customSizes[name]
     }
+    return normalized
+  }
+
+  /**
+   * 获取工具定义
+   * @param {string} [tool] - 可选，默认当前工具
+   * @returns {Readonly<import('./ToolRegistry.js').ToolDefinition>|null}
+   */
+  getToolDefinition(tool) {
+    return this.registry.get(tool || this.currentTool)
+  }
+
+  /**
+   * 已注册的工具名
+   * @returns {string[]}
+   */
+  getTools() {
+    return this.registry.list()
   }
 
   /**
    * 设置当前工具类型
-   * @param {string} tool - 工具名："pen" | "chalk" | "eraser"
+   * @param {string} tool - 已注册的工具名，内置 "pen" | "chalk" | "pencil" | "airbrush" | "eraser" | "select"
    */
   setTool(tool) {
-    if (["pen", "chalk", "eraser"].includes(tool)) {
+    if (this.registry.has(tool)) {
       this.currentTool = tool
     } else {
       console.warn(`未知工具类型: ${tool}`)
@@ -40,15 +111,15 @@ export class ToolManager {
   getToolSize(tool) {
     tool = tool || this.currentTool
 
-    if (this.customSizes?.[tool] !== undefined) {
+    if (this.customSizes[tool] !== undefined) {
       return this.customSizes[tool]
     }
 
-    return this.defaultSizes[tool] || 3
+    return this.registry.get(tool)?.defaultSize || 3
   }
 
   /**
-   * 设置工具的自定义大小
+   * 设置工具的自定义大小，超出工具尺寸范围时会被截断
    * @param {number} size - 新的尺寸值
    * @param {string} [tool] - 可选，指定工具名
    * @returns {boolean} 是否设置成功
@@ -56,9 +127,13 @@ export class ToolManager {
   setToolSize(size, tool) {
     tool = tool || this.currentTool
     const parsed = parseFloat(size)
+    const definition = this.registry.get(tool)
 
-    if (!isNaN(parsed) && parsed > 0) {
-      this.customSizes[tool] = parsed
+    if (definition && !isNaN(parsed) && parsed > 0) {
+      this.customSizes[tool] = Math.max(
+        definition.minSize,
+        Math.min(definition.maxSize, parsed)
+      )
       return true
     }
 
@@ -72,4 +147,140 @@ export class ToolManager {
   getCurrentTool() {
     return this.currentTool
   }
+
+  /**
+   * 获取当前或指定工具的颜色
+   * @param {string} [tool]
+   * @returns {string}
+   */
+  getColor(tool) {
+    tool = tool || this.currentTool
+    const definition = this.registry.get(tool)
+    if (!definition) return "#000000"
+    if (definition.color !== "custom") return definition.defaultColor
+    return this.colors[tool] ?? definition.defaultColor
+  }
+
+  /**
+   * 设置工具颜色，并记录到最近使用的颜色中
+   * @param {string} color - CSS 颜色值，首尾空白会被去除
+   * @param {string} [tool] - 可选，指定工具名
+   * @returns {boolean} 是否设置成功（无效的颜色值、颜色行为不是 "custom" 的工具不能设置）
+   */
+  setColor(color, tool) {
+    tool = tool || this.currentTool
+    color = typeof color === "string" ? color.trim() : ""
+    if (!color || !isValidColor(color)) {
+      console.warn(`无效的颜色: ${color}`)
+      return false
+    }
+    if (this.registry.get(tool)?.color !== "custom") return false
+
+    this.colors[tool] = color
+    this._addRecentColor(color)
+    return true
+  }
+
+  /**
+   * 获取当前或指定工具的不透明度
+   * @param {string} [tool]
+   * @returns {number} 0~1
+   */
+  getOpacity(tool) {
+    tool = tool || this.currentTool
+    const definition = this.registry.get(tool)
+    if (!definition) return 1
+    if (definition.color !== "custom") return definition.defaultOpacity
+    return this.opacities[tool] ?? definition.defaultOpacity
+  }
+
+  /**
+   * 设置工具不透明度
+   * @param {number} opacity - 0~1，超出范围会被截断
+   * @param {string} [tool]
+   * @returns {boolean} 是否设置成功
+   */
+  setOpacity(opacity, tool) {
+    tool = tool || this.currentTool
+    const parsed = parseFloat(opacity)
+    if (isNaN(parsed) || this.registry.get(tool)?.color !== "custom") {
+      return false
+    }
+
+    this.opacities[tool] = Math.max(0.05, Math.min(1, parsed))
+    return true
+  }
+
+  /**
+   * 获取调色板
+   * @returns {string[]}
+   */
+  getPalette() {
+    return [...this.palette]
+  }
+
+  /**
+   * 替换调色板
+   * @param {string[]} colors
+   */
+  setPalette(colors) {
+    this.palette = colors.filter((c) => typeof c === "string" && c.trim())
+  }
+
+  /**
+   * 获取最近使用的颜色，最近的在前
+   * @returns {string[]}
+   */
+  getRecentColors() {
+    return [...this.recentColors]
+  }
+
+  _addRecentColor(color) {
+    const trimmed = color.trim()
+    const normalized = trimmed.toLowerCase()
+    this.recentColors = [
+      trimmed,
+      ...this.recentColors.filter((c) => c.trim().toLowerCase() !== normalized)
+    ].slice(0, this.maxRecentColors)
+  }
+
+  /**
+   * 设置橡皮擦模式
+   * @param {string} mode - "partial" | "stroke" | "pixel"
+   */
+  setEraserMode(mode) {
+    if (["partial", "stroke", "pixel"].includes(mode)) {
+      this.eraserMode = mode
+    } else {
+      console.warn(`未知橡皮擦模式: ${mode}`)
+    }
+  }
+
+  /**
+   * 获取当前橡皮擦模式
+   * @returns {string}
+   */
+  getEraserMode() {
+    return this.eraserMode
+  }
+
+  /**
+   * 设置文字工具的字体族
+   * @param {string} family - CSS font-family，如 "serif"、"'Noto Sans SC', sans-serif"
+   */
+  setFontFamily(family) {
+    if (typeof family === "string" && family.trim()) {
+      this.fontFamily = family.trim()
+    } else {
+      console.warn(`无效的字体族: ${family}`)
+    }
+  }
+
+  /**
+   * 获取文字工具的字体族
+   * @returns {string}
+   */
+  getFontFamily() {
+    return this.fontFamily
+  }
 }
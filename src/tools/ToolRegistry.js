@@ -0,0 +1,305 @@
+// src/tools/ToolRegistry.js
+
+import { getBrushPreset } from "../renderer/BrushEngine.js"
+import { getNibOptions } from "../renderer/NibOutline.js"
+import { SHAPE_TYPES } from "./Shape.js"
+
+/**
+ * 轨迹平滑预设，对应 PathSmoother.setOptions() 的参数
+ */
+export const SMOOTHING_PRESETS = {
+  none: { enabled: false },
+  light: {
+    factor: 0.15,
+    historySize: 2,
+    enabled: true,
+    velocitySmoothing: false,
+    jitterThreshold: 1.5
+  },
+  default: {
+    factor: 0.3,
+    historySize: 3,
+    enabled: true,
+    velocitySmoothing: false,
+    jitterThreshold: 2.0
+  },
+  strong: {
+    factor: 0.6,
+    historySize: 6,
+    enabled: true,
+    velocitySmoothing: true,
+    jitterThreshold: 2.5
+  }
+}
+
+/**
+ * @typedef {Object} ToolDefinition
+ * @property {number} [defaultSize=3] - 默认尺寸
+ * @property {number} [minSize=1] - 最小尺寸
+ * @property {number} [maxSize=100] - 最大尺寸
+ * @property {"custom"|"fixed"|"none"} [color="custom"] - 颜色行为：
+ *   "custom" 可由用户设置颜色和不透明度，"fixed" 始终使用 defaultColor，"none" 不使用颜色（橡皮擦、选择）
+ * @property {string} [defaultColor="#000000"] - 默认颜色
+ * @property {number} [defaultOpacity=1] - 默认不透明度 0~1
+ * @property {string} [compositeOperation="source-over"] - 绘制时的合成模式，如 "destination-out"
+ * @property {boolean} [taper=true] - 是否起笔 / 收笔收尖
+ * @property {"round"|"butt"} [cap="round"] - 端帽样式，"butt" 为平头
+ * @property {boolean} [pressureSensitive=true] - 线宽是否随压力变化，关闭时始终使用中等压力的宽度
+ * @property {"normal"|"under"} [pass="normal"] - 渲染层："under" 的笔画在同一图层中先于其他笔画绘制，始终位于墨迹之下
+ * @property {string|Object} [smoothing="default"] - 输入平滑：SMOOTHING_PRESETS 中的名称或 PathSmoother 参数
+ * @property {string|Object} [brush] - 印章笔刷：BRUSH_PRESETS 中的名称，或在 base 预设上覆盖参数的对象；
+ *   设置后按印章绘制纹理，而不是填充平滑轮廓
+ * @property {boolean|Object} [nib] - 扁平笔尖：true 或 { angle, minWidth, stylus }（见 NIB_DEFAULTS），
+ *   设置后线宽随行笔方向与笔尖角度的夹角变化
+ * @property {function(Object, import('./Stroke.js').Stroke, ToolRenderContext): void} [render] - 自定义渲染函数，
+ *   CanvasRenderer 与 PreviewRenderer 在设置好合成模式和不透明度后调用，代替默认的轮廓填充
+ * @property {string} [shape] - 形状工具：SHAPE_TYPES 之一，设置后按下拖动绘制该形状，
+ *   提交为保存几何参数的 Shape，而不是手绘笔画
+ * @property {boolean} [text=false] - 文字工具：设置后点击放置可编辑的文本框，提交为 TextBox，
+ *   尺寸作为字号；文字始终按字体绘制，不使用 render / brush
+ * @property {boolean} [previewRedraw=false] - 预览时先恢复已提交墨迹再完整重绘当前笔画；
+ *   自定义渲染每帧都会绘制整条笔画，带半透明或叠加效果时需要开启
+ */
+
+/**
+ * @typedef {Object} ToolRenderContext
+ * @property {boolean} preview - 是否为绘制过程中的预览
+ * @property {function(): Array<{x: number, y: number}>} getOutline - 获取默认的变宽轮廓多边形
+ * @property {function(Object, Array<{x: number, y: number}>): void} traceOutline - 把轮廓路径写入渲染目标
+ */
+
+const BUILTIN_TOOLS = {
+  pen: { defaultSize: 3 },
+  chalk: { defaultSize: 8, brush: "chalk", taper: false },
+  pencil: { defaultSize: 2, minSize: 0.5, maxSize: 20, brush: "pencil" },
+  airbrush: {
+    defaultSize: 30,
+    maxSize: 200,
+    brush: "airbrush",
+    taper: false,
+    smoothing: "strong"
+  },
+  eraser: {
+    defaultSize: 20,
+    color: "none",
+    defaultColor: "white",
+    compositeOperation: "destination-out",
+    taper: false
+  },
+  highlighter: {
+    defaultSize: 20,
+    minSize: 4,
+    maxSize: 80,
+    defaultColor: "#ffeb3b",
+    defaultOpacity: 0.4,
+    compositeOperation: "multiply",
+    taper: false,
+    cap: "butt",
+    pressureSensitive: false,
+    pass: "under",
+    smoothing: "strong"
+  },
+  line: {
+    defaultSize: 3,
+    shape: "line",
+    taper: false,
+    pressureSensitive: false
+  },
+  rect: {
+    defaultSize: 3,
+    shape: "rectangle",
+    taper: false,
+    pressureSensitive: false
+  },
+  ellipse: {
+    defaultSize: 3,
+    shape: "ellipse",
+    taper: false,
+    pressureSensitive: false
+  },
+  arrow: {
+    defaultSize: 3,
+    shape: "arrow",
+    taper: false,
+    pressureSensitive: false
+  },
+  calligraphy: {
+    defaultSize: 12,
+    minSize: 2,
+    maxSize: 60,
+    nib: true,
+    taper: false,
+    smoothing: "strong",
+    previewRedraw: true
+  },
+  text: {
+    defaultSize: 24,
+    minSize: 8,
+    maxSize: 200,
+    text: true,
+    taper: false,
+    pressureSensitive: false
+  },
+  select: { color: "none" }
+}
+
+const CAP_STYLES = ["round", "butt"]
+const RENDER_PASSES = ["normal", "under"]
+
+const COLOR_MODES = ["custom", "fixed", "none"]
+
+/**
+ * 工具注册表：保存每个工具的尺寸、颜色、合成模式、平滑和渲染定义
+ *
+ * 内置 pen / chalk / pencil / airbrush / highlighter / calligraphy / eraser、形状工具 line / rect / ellipse / arrow、text 和 select，可通过 register() 添加自定义工具，
+ * ToolManager 据此管理工具状态，渲染器据此绘制笔画。
+ */
+export class ToolRegistry {
+  constructor() {
+    this.tools = new Map()
+    for (const [name, definition] of Object.entries(BUILTIN_TOOLS)) {
+      this.register(name, definition)
+    }
+  }
+
+  /**
+   * 注册工具，同名工具会被覆盖
+   * @param {string} name - 工具名，保存在笔画的 tool 字段中
+   * @param {ToolDefinition} [definition]
+   * @returns {Readonly<ToolDefinition>} 补全默认值后的定义
+   * @throws {Error} 工具名或定义无效时抛出
+   */
+  register(name, definition = {}) {
+    if (typeof name !== "string" || !name.trim()) {
+      throw new Error(`无效的工具名: ${name}`)
+    }
+    if (
+      definition.render !== undefined &&
+      typeof definition.render !== "function"
+    ) {
+      throw new Error(`工具 ${name} 的 render 必须是函数`)
+    }
+
+    const color = definition.color ?? "custom"
+    if (!COLOR_MODES.includes(color)) {
+      throw new Error(`工具 ${name} 的颜色行为无效: ${color}`)
+    }
+
+    const smoothing = definition.smoothing ?? "default"
+    if (typeof smoothing === "string" && !SMOOTHING_PRESETS[smoothing]) {
+      throw new Error(`工具 ${name} 的平滑预设无效: ${smoothing}`)
+    }
+
+    const cap = definition.cap ?? "round"
+    if (!CAP_STYLES.includes(cap)) {
+      throw new Error(`工具 ${name} 的端帽样式无效: ${cap}`)
+    }
+
+    const pass = definition.pass ?? "normal"
+    if (!RENDER_PASSES.includes(pass)) {
+      throw new Error(`工具 ${name} 的渲染层无效: ${pass}`)
+    }
+
+    if (
+      definition.shape !== undefined &&
+      !SHAPE_TYPES.includes(definition.shape)
+    ) {
+      throw new Error(`工具 ${name} 的形状类型无效: ${definition.shape}`)
+    }
+    if (definition.text && definition.shape !== undefined) {
+      throw new Error(`工具 ${name} 不能同时是形状工具和文字工具`)
+    }
+
+    const minSize = definition.minSize ?? 1
+    const maxSize = definition.maxSize ?? 100
+    if (!(minSize > 0 && maxSize >= minSize)) {
+      throw new Error(`工具 ${name} 的尺寸范围无效: ${minSize} ~ ${maxSize}`)
+    }
+
+    const normalized = Object.freeze({
+      ...definition,
+      name,
+      defaultSize: Math.max(
+        minSize,
+        Math.min(maxSize, definition.defaultSize ?? 3)
+      ),
+      minSize,
+      maxSize,
+      color,
+      defaultColor: definition.defaultColor ?? "#000000",
+      defaultOpacity: definition.defaultOpacity ?? 1,
+      compositeOperation: definition.compositeOperation ?? "source-over",
+      taper: definition.taper ?? true,
+      cap,
+      pressureSensitive: definition.pressureSensitive ?? true,
+      pass,
+      smoothing,
+      brush:
+        definition.brush === undefined
+          ? null
+          : getBrushPreset(definition.brush),
+      nib: definition.nib ? getNibOptions(definition.nib) : null,
+      text: definition.text ?? false,
+      previewRedraw: definition.previewRedraw ?? false
+    })
+    this.tools.set(name, normalized)
+    return normalized
+  }
+
+  /**
+   * 移除工具（内置工具不能移除）
+   * @param {string} name
+   * @returns {boolean} 是否移除成功
+   */
+  unregister(name) {
+    if (BUILTIN_TOOLS[name]) return false
+    return this.tools.delete(name)
+  }
+
+  /**
+   * @param {string} name
+   * @returns {boolean}
+   */
+  has(name) {
+    return this.tools.has(name)
+  }
+
+  /**
+   * @param {string} name
+   * @returns {Readonly<ToolDefinition>|null}
+   */
+  get(name) {
+    return this.tools.get(name) ?? null
+  }
+
+  /**
+   * 已注册的工具名，按注册顺序排列
+   * @returns {string[]}
+   */
+  list() {
+    return [...this.tools.keys()]
+  }
+}
+
+let defaultRegistry = null
+
+/**
+ * 只含内置工具的共享注册表，渲染器未指定注册表时使用
+ * @returns {ToolRegistry}
+ */
+export function getDefaultToolRegistry() {
+  if (!defaultRegistry) defaultRegistry = new ToolRegistry()
+  return defaultRegistry
+}
+
+/**
+ * 把工具定义中的平滑设置解析为 PathSmoother 参数
+ * @param {string|Object} smoothing - 预设名或参数对象
+ * @returns {Object}
+ */
+export function getSmoothingOptions(smoothing) {
+  if (typeof smoothing === "string") {
+    return SMOOTHING_PRESETS[smoothing] ?? SMOOTHING_PRESETS.default
+  }
+  return { ...SMOOTHING_PRESETS.default, ...smoothing }
+}
@@ -0,0 +1,246 @@
+// src/tools/VectorEraser.js
+
+import { Stroke } from "./Stroke.js"
+import { getDefaultToolRegistry } from "./ToolRegistry.js"
+import { getStrokeRadii } from "./HitTest.js"
+import {
+  boxesIntersect,
+  distancePointToSegment,
+  distanceSegmentToSegment,
+  pointInPolygon
+} from "../utils/geometry.js"
+
+/**
+ * 矢量橡皮擦：直接修改文档数据，而不是在画布上绘制 destination-out
+ *
+ * - 笔画橡皮擦（stroke）：橡皮擦轨迹碰到的笔画整笔删除
+ * - 局部橡皮擦（partial）：把笔画在被擦除的位置切开，生成新的 Stroke
+ *
+ * 文字不能切开，两种模式下碰到文本框的文字都整段删除。
+ *
+ * 判定距离同时考虑橡皮擦半径和墨迹半径，切分后剩余墨迹的圆头端帽
+ * 刚好与橡皮擦边缘相切，不会残留不可见的墨迹数据。
+ * 墨迹半径与渲染一致，与命中判断共用 getStrokeRadii()。
+ */
+
+/**
+ * 把橡皮擦笔画转换为带半径的线段列表
+ * @param {Stroke} eraser
+ * @param {import('./ToolRegistry.js').ToolRegistry} toolRegistry
+ * @returns {Array<{a: {x: number, y: number}, b: {x: number, y: number}, radius: number}>}
+ */
+function getEraserSegments(eraser, toolRegistry) {
+  const radii = getStrokeRadii(eraser, toolRegistry)
+  const points = eraser.points
+  if (points.length === 1) {
+    return [{ a: points[0], b: points[0], radius: radii[0] }]
+  }
+
+  const segments = []
+  for (let i = 0; i < points.length - 1; i++) {
+    segments.push({
+      a: points[i],
+      b: points[i + 1],
+      radius: Math.max(radii[i], radii[i + 1])
+    })
+  }
+  return segments
+}
+
+function getPathBox(eraser) {
+  const box = eraser.getBoundingBox()
+  const margin = eraser.baseSize * 0.75
+  return {
+    minX: box.minX - margin,
+    minY: box.minY - margin,
+    maxX: box.maxX + margin,
+    maxY: box.maxY + margin
+  }
+}
+
+/**
+ * 找出被橡皮擦轨迹触碰到的笔画
+ * @param {Stroke[]} strokes - 候选笔画
+ * @param {Stroke} eraser - 橡皮擦轨迹
+ * @param {Object} [options]
+ * @param {import('./ToolRegistry.js').ToolRegistry} [options.toolRegistry] - 工具注册表，用于确定墨迹宽度
+ * @returns {Stroke[]} 被触碰到的笔画
+ */
+export function findStrokesHitByEraser(strokes, eraser, options = {}) {
+  const toolRegistry = options.toolRegistry ?? getDefaultToolRegistry()
+  const segments = getEraserSegments(eraser, toolRegistry)
+  const eraserBox = getPathBox(eraser)
+
+  return strokes.filter((stroke) => {
+    if (stroke.tool === "eraser") return false
+    const inkMargin = stroke.baseSize * 0.75
+    if (!boxesIntersect(stroke.getBoundingBox(), eraserBox, inkMargin)) {
+      return false
+    }
+    if (stroke.kind === "text") return eraserHitsText(stroke, segments)
+
+    const points = stroke.points
+    const radii = getStrokeRadii(stroke, toolRegistry)
+    for (let i = 0; i < points.length; i++) {
+      const j = Math.min(i + 1, points.length - 1)
+      const inkRadius = Math.max(radii[i], radii[j])
+      for (const seg of segments) {
+        if (
+          distanceSegmentToSegment(points[i], points[j], seg.a, seg.b) <=
+          seg.radius + inkRadius
+        ) {
+          return true
+        }
+      }
+    }
+    return false
+  })
+}
+
+/**
+ * 按橡皮擦轨迹切分笔画
+ *
+ * 沿笔画以不超过 1px 的间距采样判定擦除状态，
+ * 只保留原始点和擦除边界处的点，因此切分结果不会显著增加点数。
+ *
+ * @param {Stroke[]} strokes - 候选笔画
+ * @param {Stroke} eraser - 橡皮擦轨迹
+ * @param {Object} [options]
+ * @param {import('./ToolRegistry.js').ToolRegistry} [options.toolRegistry] - 工具注册表，用于确定墨迹宽度
+ * @returns {Array<{stroke: Stroke, pieces: Stroke[]}>} 受影响的笔画及切分后的片段（可能为空数组，表示整笔被擦除）
+ */
+export function splitStrokesByEraser(strokes, eraser, options = {}) {
+  const toolRegistry = options.toolRegistry ?? getDefaultToolRegistry()
+  const segments = getEraserSegments(eraser, toolRegistry)
+  const eraserBox = getPathBox(eraser)
+  const results = []
+
+  for (const stroke of strokes) {
+    if (stroke.tool === "eraser") continue
+    const inkMargin = stroke.baseSize * 0.75
+    if (!boxesIntersect(stroke.getBoundingBox(), eraserBox, inkMargin)) {
+      continue
+    }
+    if (stroke.kind === "text") {
+      if (eraserHitsText(stroke, segments)) results.push({ stroke, pieces: [] })
+      continue
+    }
+
+    const samples = sampleStroke(
+      stroke,
+      getStrokeRadii(stroke, toolRegistry),
+      segments
+    )
+    if (!samples.some((s) => s.erased)) continue
+
+    results.push({ stroke, pieces: buildPieces(stroke, samples) })
+  }
+
+  return results
+}
+
+// 橡皮擦轨迹进入文本框或碰到文本框的边
+function eraserHitsText(text, segments) {
+  const corners = text.points
+  return segments.some(
+    (seg) =>
+      pointInPolygon(seg.a, corners) ||
+      corners.some(
+        (corner, i) =>
+          distanceSegmentToSegment(
+            corner,
+            corners[(i + 1) % corners.length],
+            seg.a,
+            seg.b
+          ) <= seg.radius
+      )
+  )
+}
+
+// 沿笔画采样并标记每个采样点是否被擦除，radii 为原始点的墨迹半径
+function sampleStroke(stroke, radii, segments) {
+  const { points, pressures, orientations } = stroke
+  const samples = []
+  const isErased = (p, inkRadius) =>
+    segments.some(
+      (seg) => distancePointToSegment(p, seg.a, seg.b) <= seg.radius + inkRadius
+    )
+
+  for (let i = 0; i < points.length - 1; i++) {
+    const a = points[i]
+    const b = points[i + 1]
+    const pa = pressures[i] ?? 0.5
+    const pb = pressures[i + 1] ?? 0.5
+    const steps = Math.max(1, Math.ceil(Math.hypot(b.x - a.x, b.y - a.y)))
+
+    for (let k = 0; k < steps; k++) {
+      const t = k / steps
+      const point = { x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t }
+      const pressure = pa + (pb - pa) * t
+      samples.push({
+        point,
+        pressure,
+        orientation: orientations?.[i] ?? null,
+        original: k === 0,
+        erased: isErased(point, radii[i] + (radii[i + 1] - radii[i]) * t)
+      })
+    }
+  }
+
+  const last = points.length - 1
+  samples.push({
+    point: { x: points[last].x, y: points[last].y },
+    pressure: pressures[last] ?? 0.5,
+    orientation: orientations?.[last] ?? null,
+    original: true,
+    erased: isErased(points[last], radii[last])
+  })
+  return samples
+}
+
+// 把连续的未擦除采样组装成新的笔画
+function buildPieces(stroke, samples) {
+  const pieces = []
+  let current = null
+
+  const finish = () => {
+    if (current && current.points.length >= 2) pieces.push(current)
+    current = null
+  }
+
+  for (let j = 0; j < samples.length; j++) {
+    const sample = samples[j]
+    if (sample.erased) {
+      finish()
+      continue
+    }
+
+    const next = samples[j + 1]
+    if (!current) {
+      current = createPiece(stroke, sample)
+    } else if (sample.original || !next || next.erased) {
+      // 只保留原始点和擦除边界前的最后一个点
+      current.addPoint(sample.point, sample.pressure, sample.orientation)
+    }
+  }
+  finish()
+
+  return pieces
+}
+
+function createPiece(source, sample) {
+  const piece = new Stroke(
+    source.tool,
+    sample.point,
+    sample.pressure,
+    source.baseSize,
+    sample.orientation
+  )
+  piece.color = source.color
+  piece.opacity = source.opacity
+  piece.seed = source.seed
+  piece.width = source.width
+  piece.timestamp = source.timestamp
+  piece.rotation = source.rotation
+  return piece
+}
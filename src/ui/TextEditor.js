@@ -0,0 +1,129 @@
+// src/ui/TextEditor.js
+
+import { TEXT_LINE_HEIGHT } from "../tools/TextBox.js"
+
+/**
+ * 文本编辑框：覆盖在画布上的 <textarea>，用于输入和修改文字
+ *
+ * 编辑框的字体、行高与画布上的文字一致，左上角对齐文本框左上角，
+ * 随内容自动调整大小。编辑框失去焦点时不会结束编辑，
+ * 因此可以在编辑过程中通过工具栏修改颜色、字号和字体；
+ * 按 Esc 或 Ctrl / ⌘ + Enter 时调用 onCommit，由调用方决定如何提交。
+ */
+export class TextEditor {
+  /**
+   * @param {HTMLCanvasElement} canvas - 编辑框覆盖的画布
+   */
+  constructor(canvas) {
+    this.canvas = canvas
+    this.element = null
+  }
+
+  /**
+   * @returns {boolean} 是否正在编辑
+   */
+  isOpen() {
+    return this.element !== null
+  }
+
+  /**
+   * 打开编辑框并获得焦点（已打开时先关闭）
+   * @param {string} text - 初始文字
+   * @param {Object} style - 见 setStyle()
+   * @param {function(): void} onCommit - 用户要求结束编辑时调用
+   */
+  open(text, style, onCommit) {
+    this.close()
+    const element = document.createElement("textarea")
+    element.value = text
+    element.wrap = "off"
+    element.spellcheck = false
+    Object.assign(element.style, {
+      position: "absolute",
+      zIndex: "1000",
+      margin: "0",
+      padding: "0",
+      border: "none",
+      outline: "1px dashed #1e88e5",
+      background: "transparent",
+      resize: "none",
+      overflow: "hidden",
+      whiteSpace: "pre",
+      lineHeight: String(TEXT_LINE_HEIGHT),
+      transformOrigin: "0 0"
+    })
+    element.addEventListener("input", () => this._fit())
+    element.addEventListener("keydown", (e) => {
+      if (
+        e.key === "Escape" ||
+        (e.key === "Enter" && (e.ctrlKey || e.metaKey))
+      ) {
+        e.preventDefault()
+        onCommit()
+      }
+    })
+    // 编辑框内的指针事件不传递给页面中的其他手势处理
+    element.addEventListener("pointerdown", (e) => e.stopPropagation())
+
+    this.element = element
+    document.body.appendChild(element)
+    this.setStyle(style)
+    element.focus()
+    element.setSelectionRange?.(text.length, text.length)
+  }
+
+  /**
+   * 更新编辑框的位置和文字样式
+   * @param {Object} style
+   * @param {{x: number, y: number}} style.position - 文本框左上角在画布中的坐标（CSS 像素）
+   * @param {number} style.fontSize - 屏幕上的字号（CSS 像素）
+   * @param {string} style.fontFamily
+   * @param {string} style.color
+   * @param {number} style.opacity
+   * @param {number} style.rotation - 旋转角（弧度）
+   */
+  setStyle({ position, fontSize, fontFamily, color, opacity, rotation }) {
+    const element = this.element
+    if (!element) return
+    const rect = this.canvas.getBoundingClientRect()
+    Object.assign(element.style, {
+      left: `${rect.left + window.scrollX + position.x}px`,
+      top: `${rect.top + window.scrollY + position.y}px`,
+      font: `${fontSize}px ${fontFamily}`,
+      lineHeight: String(TEXT_LINE_HEIGHT),
+      color,
+      opacity: String(opacity),
+      transform: rotation ? `rotate(${rotation}rad)` : ""
+    })
+    this._fontSize = fontSize
+    this._fit()
+  }
+
+  /**
+   * @returns {string} 编辑框中的文字
+   */
+  getValue() {
+    return this.element?.value ?? ""
+  }
+
+  /**
+   * 移除编辑框
+   * @returns {string} 关闭前的文字
+   */
+  close() {
+    const element = this.element
+    if (!element) return ""
+    this.element = null
+    element.remove()
+    return element.value
+  }
+
+  // 按内容调整大小，右侧预留半个字宽给光标
+  _fit() {
+    const element = this.element
+    element.style.width = "0px"
+    element.style.height = "0px"
+    element.style.width = `${element.scrollWidth + this._fontSize / 2}px`
+    element.style.height = `${element.scrollHeight}px`
+  }
+}
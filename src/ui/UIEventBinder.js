@@ -7,7 +7,8 @@
  * @param {HTMLElement} opts.container - 事件绑定容器（默认 document）
  */
 export function bindUIEvents({ drawingBoard, container = document }) {
-  const tools = ["pen", "eraser", "chalk"]
+  // 包括已注册的自定义工具，按钮 ID 为 `${tool}-tool`
+  const tools = drawingBoard.getTools()
 
   const updateSlider = () => {
     const size = drawingBoard.getToolSize()
@@ -25,6 +26,25 @@ export function bindUIEvents({ drawingBoard, container = document }) {
     }
   })
 
+  const eraserModeSelect = container.getElementById("eraser-mode")
+  eraserModeSelect?.addEventListener("change", () => {
+    drawingBoard.setEraserMode(eraserModeSelect.value)
+  })
+
+  const deleteSelectionBtn = container.getElementById("delete-selection")
+  deleteSelectionBtn?.addEventListener("click", () =>
+    drawingBoard.deleteSelection()
+  )
+
+  // Delete / Backspace 删除选中笔画（输入框内的按键不处理）
+  document.addEventListener("keydown", (e) => {
+    if (e.key !== "Delete" && e.key !== "Backspace") return
+    if (e.target?.closest?.("input, textarea, [contenteditable]")) return
+    if (drawingBoard.getSelection().length === 0) return
+    e.preventDefault()
+    drawingBoard.deleteSelection()
+  })
+
   const undoBtn = container.getElementById("undo")
   undoBtn?.addEventListener("click", () => drawingBoard.undo())
 
@@ -43,6 +63,10 @@ export function bindUIEvents({ drawingBoard, container = document }) {
     modeBtn.addEventListener("click", () => {
       const mode = drawingBoard.toggleInputMode()
       modeText.textContent = mode === "pen" ? "触控笔模式" : "鼠标模式"
+      const multiTouch = container.getElementById("multi-touch")
+      if (multiTouch) {
+        multiTouch.checked = drawingBoard.isMultiTouchDrawingEnabled()
+      }
     })
   }
 
@@ -62,6 +86,73 @@ export function bindUIEvents({ drawingBoard, container = document }) {
     })
   }
 
+  // 颜色：调色板色块、最近使用颜色、取色器与不透明度滑块
+  const colorPicker = container.getElementById("color-picker")
+  const opacitySlider = container.getElementById("opacity-slider")
+  const opacityValue = container.getElementById("opacity-value")
+  const paletteEl = container.getElementById("color-palette")
+  const recentEl = container.getElementById("recent-colors")
+
+  const renderSwatches = (el, colors) => {
+    if (!el) return
+    el.replaceChildren(
+      ...colors.map((color) => {
+        const swatch = document.createElement("button")
+        swatch.type = "button"
+        swatch.className = "color-swatch"
+        swatch.dataset.color = color
+        swatch.title = color
+        swatch.style.background = color
+        return swatch
+      })
+    )
+  }
+
+  const updateColorControls = () => {
+    const color = drawingBoard.getColor()
+    const opacity = drawingBoard.getOpacity()
+    // <input type="color"> 只接受 #rrggbb
+    if (colorPicker && /^#[0-9a-f]{6}$/i.test(color)) colorPicker.value = color
+    if (opacitySlider) opacitySlider.value = Math.round(opacity * 100)
+    if (opacityValue) opacityValue.textContent = `${Math.round(opacity * 100)}%`
+    for (const swatch of container.querySelectorAll(".color-swatch")) {
+      swatch.classList.toggle(
+        "active",
+        swatch.dataset.color.toLowerCase() === color.toLowerCase()
+      )
+    }
+  }
+
+  const selectColor = (color) => {
+    drawingBoard.setColor(color)
+    renderSwatches(recentEl, drawingBoard.getRecentColors())
+    updateColorControls()
+  }
+
+  // 色块通过事件委托处理，调色板和最近颜色重新渲染后无需重新绑定
+  for (const el of [paletteEl, recentEl]) {
+    el?.addEventListener("click", (e) => {
+      const swatch = e.target.closest?.("[data-color]")
+      if (swatch) selectColor(swatch.dataset.color)
+    })
+  }
+
+  colorPicker?.addEventListener("change", () => selectColor(colorPicker.value))
+
+  opacitySlider?.addEventListener("input", () => {
+    drawingBoard.setOpacity(parseInt(opacitySlider.value) / 100)
+    updateColorControls()
+  })
+
+  renderSwatches(paletteEl, drawingBoard.getPalette())
+  renderSwatches(recentEl, drawingBoard.getRecentColors())
+  updateColorControls()
+  // 每个工具有独立的颜色，切换工具后同步控件
+  tools.forEach((tool) => {
+    const btn = container.getElementById(`${tool}-tool`)
+    btn?.addEventListener("click", updateColorControls)
+  })
+
   const exportAnalysisBtn = container.getElementById("export-analysis")
   exportAnalysisBtn?.addEventListener("click", () => {
     const report = drawingBoard.exportDetailedAnalysis?.()
@@ -82,6 +173,108 @@ export function bindUIEvents({ drawingBoard, container = document }) {
     }
   })
 
+  // 文字工具的字体族，编辑文字时直接应用到编辑中的文字
+  const fontFamilySelect = container.getElementById("font-family")
+  if (fontFamilySelect) {
+    fontFamilySelect.value = drawingBoard.getFontFamily()
+    fontFamilySelect.addEventListener("change", () => {
+      drawingBoard.setFontFamily(fontFamilySelect.value)
+    })
+  }
+
+  // 背景图片：选择文件后按当前摆放方式铺在所有图层之下
+  const backgroundInput = container.getElementById("background-image")
+  const backgroundMode = container.getElementById("background-mode")
+  backgroundInput?.addEventListener("change", () => {
+    const file = backgroundInput.files?.[0]
+    if (!file) return
+    drawingBoard
+      .setBackgroundImage(file, { mode: backgroundMode?.value || "fit" })
+      .catch((error) =>
+        drawingBoard.logger?.error("背景图片加载失败", { 错误: error.message })
+      )
+    // 允许再次选择同一个文件
+    backgroundInput.value = ""
+  })
+  backgroundMode?.addEventListener("change", () => {
+    drawingBoard.setBackgroundMode(backgroundMode.value)
+  })
+  const removeBackgroundBtn = container.getElementById("remove-background")
+  removeBackgroundBtn?.addEventListener("click", () =>
+    drawingBoard.removeBackgroundImage()
+  )
+
+  const shapeRecognition = container.getElementById("shape-recognition")
+  if (shapeRecognition) {
+    shapeRecognition.checked = drawingBoard.isShapeRecognitionEnabled()
+    shapeRecognition.addEventListener("change", (e) => {
+      drawingBoard.setShapeRecognition(e.target.checked)
+    })
+  }
+
+  const multiTouch = container.getElementById("multi-touch")
+  if (multiTouch) {
+    multiTouch.checked = drawingBoard.isMultiTouchDrawingEnabled()
+    multiTouch.addEventListener("change", (e) => {
+      drawingBoard.setMultiTouchDrawing(e.target.checked)
+      if (modeText) {
+        modeText.textContent =
+          drawingBoard.inputMode === "pen" ? "触控笔模式" : "鼠标模式"
+      }
+    })
+  }
+
+  const stylusProfile = container.getElementById("stylus-profile")
+  if (stylusProfile) {
+    stylusProfile.value = drawingBoard.stylusProfile
+    stylusProfile.addEventListener("change", (e) => {
+      drawingBoard.setStylusProfile(e.target.value)
+    })
+  }
+
+  // 压力校准：按提示先轻压、再用力各写几笔
+  const calibrateBtn = container.getElementById("calibrate-pressure")
+  const calibrationStatus = container.getElementById("calibration-status")
+  if (calibrateBtn) {
+    const showProgress = ({ phase, recorded, strokes }) => {
+      if (!calibrationStatus) return
+      calibrationStatus.textContent =
+        phase === "light"
+          ? `请轻压书写（${recorded}/${strokes}）`
+          : `请用力书写（${recorded}/${strokes}）`
+    }
+    calibrateBtn.addEventListener("click", () => {
+      if (drawingBoard.isCalibratingPressure()) {
+        drawingBoard.cancelPressureCalibration()
+        return
+      }
+      showProgress({ phase: "light", recorded: 0, strokes: 3 })
+      drawingBoard
+        .calibratePressure({
+          strokes: 3,
+          onProgress: (progress) => {
+            if (progress.phase !== "done") showProgress(progress)
+          }
+        })
+        .then(
+          () => {
+            if (calibrationStatus) calibrationStatus.textContent = "校准完成"
+          },
+          (error) => {
+            if (calibrationStatus) calibrationStatus.textContent = error.message
+          }
+        )
+    })
+  }
+
+  const palmRejection = container.getElementById("palm-rejection")
+  if (palmRejection) {
+    palmRejection.checked = drawingBoard.isPalmRejectionEnabled()
+    palmRejection.addEventListener("change", (e) => {
+      drawingBoard.setPalmRejection(e.target.checked)
+    })
+  }
+
   // 绑定模拟低帧率复选框事件
   const simulateLowFPS = container.getElementById("simulate-lowfps")
   simulateLowFPS?.addEventListener("change", (e) => {
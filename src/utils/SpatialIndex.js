@@ -0,0 +1,132 @@
+// src/utils/SpatialIndex.js
+
+/**
+ * 均匀网格空间索引
+ *
+ * 每个条目按包围盒登记到覆盖的所有网格单元中，
+ * 区域查询只需检查与查询框重叠的单元，而不是遍历全部条目。
+ * 手写笔画大多局部且尺寸相近，网格比 R 树更简单，更新开销也更低。
+ */
+export class SpatialIndex {
+  /**
+   * @param {number} [cellSize=256] - 网格单元边长（世界坐标）
+   */
+  constructor(cellSize = 256) {
+    this.cellSize = cellSize
+    this.cells = new Map()
+    this.items = new Map()
+  }
+
+  /**
+   * 已索引的条目数量
+   * @returns {number}
+   */
+  get size() {
+    return this.items.size
+  }
+
+  /**
+   * 添加条目；已存在时等同于 update
+   * @param {any} item
+   * @param {{minX: number, minY: number, maxX: number, maxY: number}} box
+   */
+  insert(item, box) {
+    if (this.items.has(item)) this.remove(item)
+
+    const keys = this._keysFor(box)
+    for (const key of keys) {
+      let cell = this.cells.get(key)
+      if (!cell) {
+        cell = new Set()
+        this.cells.set(key, cell)
+      }
+      cell.add(item)
+    }
+    this.items.set(item, { box, keys })
+  }
+
+  /**
+   * 移除条目
+   * @param {any} item
+   * @returns {boolean} 条目是否存在
+   */
+  remove(item) {
+    const entry = this.items.get(item)
+    if (!entry) return false
+
+    for (const key of entry.keys) {
+      const cell = this.cells.get(key)
+      cell.delete(item)
+      if (cell.size === 0) this.cells.delete(key)
+    }
+    this.items.delete(item)
+    return true
+  }
+
+  /**
+   * 更新条目的包围盒
+   * @param {any} item
+   * @param {{minX: number, minY: number, maxX: number, maxY: number}} box
+   */
+  update(item, box) {
+    this.insert(item, box)
+  }
+
+  /**
+   * 查询包围盒与查询框相交的条目
+   * @param {{minX: number, minY: number, maxX: number, maxY: number}} box
+   * @returns {Set<any>}
+   */
+  query(box) {
+    const result = new Set()
+    const { x0, y0, x1, y1 } = this._cellRange(box)
+    // 查询框覆盖的单元比已占用的单元还多时（例如缩得很小的视口），直接遍历条目
+    if ((x1 - x0 + 1) * (y1 - y0 + 1) > this.cells.size) {
+      for (const [item, entry] of this.items) {
+        if (intersects(entry.box, box)) result.add(item)
+      }
+      return result
+    }
+
+    for (const key of this._keysFor(box)) {
+      const cell = this.cells.get(key)
+      if (!cell) continue
+      for (const item of cell) {
+        if (!result.has(item) && intersects(this.items.get(item).box, box)) {
+          result.add(item)
+        }
+      }
+    }
+    return result
+  }
+
+  clear() {
+    this.cells.clear()
+    this.items.clear()
+  }
+
+  _cellRange(box) {
+    const size = this.cellSize
+    return {
+      x0: Math.floor(box.minX / size),
+      y0: Math.floor(box.minY / size),
+      x1: Math.floor(box.maxX / size),
+      y1: Math.floor(box.maxY / size)
+    }
+  }
+
+  _keysFor(box) {
+    const { x0, y0, x1, y1 } = this._cellRange(box)
+    const keys = []
+    for (let x = x0; x <= x1; x++) {
+      for (let y = y0; y <= y1; y++) keys.push(`${x},${y}`)
+    }
+    return keys
+  }
+}
+
+function intersects(a, b) {
+  return (
+    a.minX <= b.maxX && a.maxX >= b.minX && a.minY <= b.maxY && a.maxY >= b.minY
+  )
+}
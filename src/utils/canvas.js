@@ -0,0 +1,97 @@
+// src/utils/canvas.js
+
+/**
+ * 创建离屏画布，优先使用 OffscreenCanvas
+ * @param {number} width
+ * @param {number} height
+ * @returns {HTMLCanvasElement|OffscreenCanvas}
+ */
+export function createCanvas(width, height) {
+  if (typeof OffscreenCanvas !== "undefined") {
+    return new OffscreenCanvas(width, height)
+  }
+  const canvas = document.createElement("canvas")
+  canvas.width = width
+  canvas.height = height
+  return canvas
+}
+
+/**
+ * 把画布编码为图片 Blob，兼容 OffscreenCanvas 和 HTMLCanvasElement
+ * @param {HTMLCanvasElement|OffscreenCanvas} canvas
+ * @param {string} type - 图片类型，例如 image/png
+ * @param {number} [quality] - JPEG/WebP 的编码质量 0~1
+ * @returns {Promise<Blob>}
+ */
+export function canvasToBlob(canvas, type, quality) {
+  if (typeof canvas.convertToBlob === "function") {
+    return canvas.convertToBlob({ type, quality })
+  }
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(
+      (blob) => (blob ? resolve(blob) : reject(new Error("图片编码失败"))),
+      type,
+      quality
+    )
+  })
+}
+
+let scratchContext
+
+// 共享的 1×1 离屏画布上下文，用于测量文字和解析颜色；没有画布的环境返回 null
+function getScratchContext() {
+  if (scratchContext === undefined) {
+    try {
+      const ctx = createCanvas(1, 1).getContext("2d")
+      scratchContext = typeof ctx?.measureText === "function" ? ctx : null
+    } catch {
+      scratchContext = null
+    }
+  }
+  return scratchContext
+}
+
+/**
+ * 判断字符串是否为有效的 CSS 颜色值
+ *
+ * 赋值给画布的 fillStyle 来解析：无效的值会被忽略，因此先后以两个不同的颜色为底赋值，
+ * 结果一致才说明赋值生效。没有画布的环境（如 Node）无法解析，一律视为有效。
+ *
+ * @param {string} color
+ * @returns {boolean}
+ */
+export function isValidColor(color) {
+  const ctx = getScratchContext()
+  if (!ctx) return true
+  ctx.fillStyle = "#000000"
+  ctx.fillStyle = color
+  const parsed = ctx.fillStyle
+  ctx.fillStyle = "#ffffff"
+  ctx.fillStyle = color
+  return ctx.fillStyle === parsed
+}
+
+/**
+ * 测量单行文字的宽度
+ *
+ * 使用共享的离屏画布测量；没有画布的环境（如 Node）按字符估算：
+ * 全角字符（中日韩文字、全角标点）记 1 个字号宽，其余记 0.55 个字号宽。
+ *
+ * @param {string} text - 单行文字
+ * @param {number} fontSize - 字号（像素）
+ * @param {string} fontFamily - 字体族，同 CSS font-family
+ * @returns {number}
+ */
+export function measureTextWidth(text, fontSize, fontFamily) {
+  const ctx = getScratchContext()
+  if (ctx) {
+    ctx.font = `${fontSize}px ${fontFamily}`
+    return ctx.measureText(text).width
+  }
+
+  let width = 0
+  for (const char of text) {
+    width += char.codePointAt(0) >= 0x2e80 ? fontSize : fontSize * 0.55
+  }
+  return width
+}
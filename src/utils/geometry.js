@@ -0,0 +1,178 @@
+// src/utils/geometry.js
+
+/**
+ * 点到线段的距离
+ * @param {{x: number, y: number}} p
+ * @param {{x: number, y: number}} a 线段起点
+ * @param {{x: number, y: number}} b 线段终点
+ * @returns {number}
+ */
+export function distancePointToSegment(p, a, b) {
+  const dx = b.x - a.x
+  const dy = b.y - a.y
+  const len2 = dx * dx + dy * dy
+  if (len2 === 0) return Math.hypot(p.x - a.x, p.y - a.y)
+
+  let t = ((p.x - a.x) * dx + (p.y - a.y) * dy) / len2
+  t = Math.max(0, Math.min(1, t))
+  return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy))
+}
+
+/**
+ * 判断两条线段是否相交（含端点接触）
+ * @returns {boolean}
+ */
+export function segmentsIntersect(a1, a2, b1, b2) {
+  const d1 = cross(b1, b2, a1)
+  const d2 = cross(b1, b2, a2)
+  const d3 = cross(a1, a2, b1)
+  const d4 = cross(a1, a2, b2)
+
+  if (
+    ((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) &&
+    ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0))
+  ) {
+    return true
+  }
+  return (
+    (d1 === 0 && onSegment(b1, b2, a1)) ||
+    (d2 === 0 && onSegment(b1, b2, a2)) ||
+    (d3 === 0 && onSegment(a1, a2, b1)) ||
+    (d4 === 0 && onSegment(a1, a2, b2))
+  )
+}
+
+/**
+ * 两条线段之间的最短距离，相交时为 0
+ * @returns {number}
+ */
+export function distanceSegmentToSegment(a1, a2, b1, b2) {
+  if (segmentsIntersect(a1, a2, b1, b2)) return 0
+  return Math.min(
+    distancePointToSegment(a1, b1, b2),
+    distancePointToSegment(a2, b1, b2),
+    distancePointToSegment(b1, a1, a2),
+    distancePointToSegment(b2, a1, a2)
+  )
+}
+
+/**
+ * 判断两个包围盒是否相交
+ * @param {{minX: number, minY: number, maxX: number, maxY: number}} a
+ * @param {{minX: number, minY: number, maxX: number, maxY: number}} b
+ * @param {number} [margin=0] 额外外扩距离
+ * @returns {boolean}
+ */
+export function boxesIntersect(a, b, margin = 0) {
+  return (
+    a.minX - margin <= b.maxX &&
+    a.maxX + margin >= b.minX &&
+    a.minY - margin <= b.maxY &&
+    a.maxY + margin >= b.minY
+  )
+}
+
+/**
+ * 线段到轴对齐矩形的最短距离，线段与矩形相交（含位于矩形内部）时为 0
+ * @param {{x: number, y: number}} a 线段起点
+ * @param {{x: number, y: number}} b 线段终点
+ * @param {{minX: number, minY: number, maxX: number, maxY: number}} box
+ * @returns {number}
+ */
+export function distanceSegmentToBox(a, b, box) {
+  const inside = (p) =>
+    p.x >= box.minX && p.x <= box.maxX && p.y >= box.minY && p.y <= box.maxY
+  if (inside(a) || inside(b)) return 0
+
+  const corners = [
+    { x: box.minX, y: box.minY },
+    { x: box.maxX, y: box.minY },
+    { x: box.maxX, y: box.maxY },
+    { x: box.minX, y: box.maxY }
+  ]
+  let min = Infinity
+  for (let i = 0; i < 4; i++) {
+    const c1 = corners[i]
+    const c2 = corners[(i + 1) % 4]
+    min = Math.min(min, distanceSegmentToSegment(a, b, c1, c2))
+    if (min === 0) return 0
+  }
+  return min
+}
+
+/**
+ * 射线法判断点是否在多边形内
+ * @param {{x: number, y: number}} p
+ * @param {Array<{x: number, y: number}>} polygon
+ * @returns {boolean}
+ */
+export function pointInPolygon(p, polygon) {
+  let inside = false
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i]
+    const b = polygon[j]
+    if (
+      a.y > p.y !== b.y > p.y &&
+      p.x < ((b.x - a.x) * (p.y - a.y)) / (b.y - a.y) + a.x
+    ) {
+      inside = !inside
+    }
+  }
+  return inside
+}
+
+/**
+ * 合并多个包围盒
+ * @param {Array<{minX: number, minY: number, maxX: number, maxY: number}>} boxes
+ * @returns {{minX: number, minY: number, maxX: number, maxY: number}|null} 列表为空时返回 null
+ */
+export function unionBoxes(boxes) {
+  if (boxes.length === 0) return null
+  return boxes.reduce((acc, box) => ({
+    minX: Math.min(acc.minX, box.minX),
+    minY: Math.min(acc.minY, box.minY),
+    maxX: Math.max(acc.maxX, box.maxX),
+    maxY: Math.max(acc.maxY, box.maxY)
+  }))
+}
+
+/**
+ * 统计折线中的方向突变次数：相邻两段的夹角余弦小于阈值时计一次
+ * @param {Array<{x: number, y: number}>} points
+ * @param {number} [cosThreshold=0.866] - 余弦阈值，默认对应 30°
+ * @returns {number}
+ */
+export function countDirectionChanges(points, cosThreshold = 0.866) {
+  let changes = 0
+  for (let i = 2; i < points.length; i++) {
+    const p0 = points[i - 2]
+    const p1 = points[i - 1]
+    const p2 = points[i]
+
+    const dx1 = p1.x - p0.x
+    const dy1 = p1.y - p0.y
+    const dx2 = p2.x - p1.x
+    const dy2 = p2.y - p1.y
+
+    const mag1 = Math.hypot(dx1, dy1)
+    const mag2 = Math.hypot(dx2, dy2)
+    if (mag1 > 0 && mag2 > 0) {
+      const cosAngle = (dx1 * dx2 + dy1 * dy2) / (mag1 * mag2)
+      if (cosAngle < cosThreshold) changes++
+    }
+  }
+  return changes
+}
+
+function cross(a, b, p) {
+  return (b.x - a.x) * (p.y - a.y) - (b.y - a.y) * (p.x - a.x)
+}
+
+function onSegment(a, b, p) {
+  return (
+    Math.min(a.x, b.x) <= p.x &&
+    p.x <= Math.max(a.x, b.x) &&
+    Math.min(a.y, b.y) <= p.y &&
+    p.y <= Math.max(a.y, b.y)
+  )
+}
@@ -0,0 +1,18 @@
+// src/utils/id.js
+
+let counter = 0
+
+/**
+ * 生成在当前会话内唯一、跨会话冲突概率极低的 ID
+ * @param {string} [prefix="s"] - ID 前缀，便于在文档中区分实体类型
+ * @returns {string}
+ */
+export function generateId(prefix = "s") {
+  counter = (counter + 1) % 0x100000
+  const time = Date.now().toString(36)
+  const seq = counter.toString(36).padStart(4, "0")
+  const rand = Math.floor(Math.random() * 0x100000)
+    .toString(36)
+    .padStart(4, "0")
+  return `${prefix}_${time}${seq}${rand}`
+}
@@ -163,3 +163,118 @@ export const Vec2 = {
     }
   }
 }
+
+/**
+ * 二维仿射变换矩阵工具
+ * 矩阵格式与 Canvas 的 setTransform(a, b, c, d, e, f) 一致：
+ * x' = a * x + c * y + e
+ * y' = b * x + d * y + f
+ */
+export const Mat2D = {
+  /**
+   * 单位矩阵
+   * @returns {{a: number, b: number, c: number, d: number, e: number, f: number}}
+   */
+  identity() {
+    return { a: 1, b: 0, c: 0, d: 1, e: 0, f: 0 }
+  },
+
+  /**
+   * 平移矩阵
+   * @param {number} tx
+   * @param {number} ty
+   */
+  translate(tx, ty) {
+    return { a: 1, b: 0, c: 0, d: 1, e: tx, f: ty }
+  },
+
+  /**
+   * 以指定点为中心的缩放矩阵
+   * @param {number} sx
+   * @param {number} sy
+   * @param {{x: number, y: number}} [origin] 缩放中心，默认原点
+   */
+  scale(sx, sy = sx, origin = { x: 0, y: 0 }) {
+    return {
+      a: sx,
+      b: 0,
+      c: 0,
+      d: sy,
+      e: origin.x - origin.x * sx,
+      f: origin.y - origin.y * sy
+    }
+  },
+
+  /**
+   * 以指定点为中心的旋转矩阵
+   * @param {number} angle 弧度
+   * @param {{x: number, y: number}} [origin] 旋转中心，默认原点
+   */
+  rotate(angle, origin = { x: 0, y: 0 }) {
+    const cos = Math.cos(angle)
+    const sin = Math.sin(angle)
+    return {
+      a: cos,
+      b: sin,
+      c: -sin,
+      d: cos,
+      e: origin.x - origin.x * cos + origin.y * sin,
+      f: origin.y - origin.x * sin - origin.y * cos
+    }
+  },
+
+  /**
+   * 矩阵相乘：先应用 m2，再应用 m1
+   * @param {Object} m1
+   * @param {Object} m2
+   */
+  multiply(m1, m2) {
+    return {
+      a: m1.a * m2.a + m1.c * m2.b,
+      b: m1.b * m2.a + m1.d * m2.b,
+      c: m1.a * m2.c + m1.c * m2.d,
+      d: m1.b * m2.c + m1.d * m2.d,
+      e: m1.a * m2.e + m1.c * m2.f + m1.e,
+      f: m1.b * m2.e + m1.d * m2.f + m1.f
+    }
+  },
+
+  /**
+   * 逆矩阵，不可逆时返回 null
+   * @param {Object} m
+   */
+  invert(m) {
+    const det = m.a * m.d - m.b * m.c
+    if (Math.abs(det) < 1e-12) return null
+    return {
+      a: m.d / det,
+      b: -m.b / det,
+      c: -m.c / det,
+      d: m.a / det,
+      e: (m.c * m.f - m.d * m.e) / det,
+      f: (m.b * m.e - m.a * m.f) / det
+    }
+  },
+
+  /**
+   * 对点应用变换
+   * @param {Object} m
+   * @param {{x: number, y: number}} p
+   * @returns {{x: number, y: number}}
+   */
+  applyToPoint(m, p) {
+    return {
+      x: m.a * p.x + m.c * p.y + m.e,
+      y: m.b * p.x + m.d * p.y + m.f
+    }
+  },
+
+  /**
+   * 变换的平均缩放系数（用于缩放线宽）
+   * @param {Object} m
+   * @returns {number}
+   */
+  getScale(m) {
+    return Math.sqrt(Math.abs(m.a * m.d - m.b * m.c))
+  }
+}
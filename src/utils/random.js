@@ -0,0 +1,55 @@
+// src/utils/random.js
+
+/**
+ * 创建可复现的伪随机数生成器（mulberry32）
+ *
+ * 相同种子总是产生相同的序列，用于让纹理笔刷在每次重绘和导出时结果一致。
+ *
+ * @param {number} seed - 32 位整数种子
+ * @returns {function(): number} 每次调用返回 [0, 1) 之间的数
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0
+    let t = state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+/**
+ * 生成新的随机种子
+ * @returns {number} 32 位无符号整数
+ */
+export function randomSeed() {
+  return Math.floor(Math.random() * 4294967296) >>> 0
+}
+
+/**
+ * 把字符串散列为 32 位种子（FNV-1a），用于没有保存种子的旧数据
+ * @param {string} text
+ * @returns {number}
+ */
+export function hashString(text) {
+  let hash = 0x811c9dc5
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i)
+    hash = Math.imul(hash, 0x01000193)
+  }
+  return hash >>> 0
+}
+
+/**
+ * 二维整数坐标的确定性噪声
+ * @param {number} x - 整数
+ * @param {number} y - 整数
+ * @returns {number} [0, 1)
+ */
+export function hash2D(x, y) {
+  let h = Math.imul(x | 0, 0x27d4eb2d) ^ Math.imul(y | 0, 0x165667b1)
+  h = Math.imul(h ^ (h >>> 15), 0x85ebca6b)
+  h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35)
+  return ((h ^ (h >>> 16)) >>> 0) / 4294967296
+}